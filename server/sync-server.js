@@ -0,0 +1,117 @@
+// Small sync server for sharing bucket lists across devices (see src/sync.js).
+//
+//   npm run sync-server
+//
+// Each path (e.g. /team or /family) holds one shared document, kept as a JSON
+// file in SYNC_DATA_DIR. Writes must name the revision they were based on;
+// a stale one gets 409 so the client merges and retries instead of
+// overwriting. There is no authentication: run it on a trusted network.
+
+import { createServer } from "node:http";
+import { existsSync, mkdirSync, readFileSync, writeFileSync, renameSync } from "node:fs";
+import { join, resolve } from "node:path";
+
+const PORT = Number(process.env.SYNC_PORT) || 8787;
+const DATA_DIR = resolve(process.env.SYNC_DATA_DIR || "sync-data");
+// Bigger bodies than this are refused
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const SPACE_NAME = /^\/([\w-]{1,64})\/?$/;
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, PUT, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Accept",
+};
+
+mkdirSync(DATA_DIR, { recursive: true });
+
+// Space name -> { revision, document }, read from disk on first use
+const spaces = new Map();
+
+const fileFor = (space) => join(DATA_DIR, `${space}.json`);
+
+const load = (space) => {
+  if (!spaces.has(space)) {
+    const file = fileFor(space);
+    spaces.set(space, existsSync(file) ? JSON.parse(readFileSync(file, "utf8")) : null);
+  }
+  return spaces.get(space);
+};
+
+// Write to a temporary file first so a crash never leaves half a document
+const save = (space, entry) => {
+  const file = fileFor(space);
+  writeFileSync(`${file}.tmp`, JSON.stringify(entry));
+  renameSync(`${file}.tmp`, file);
+  spaces.set(space, entry);
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, { ...CORS_HEADERS, "Content-Type": "application/json" });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+};
+
+const readBody = (req) =>
+  new Promise((resolveBody, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error("too_large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolveBody(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+
+const handle = async (req, res) => {
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+
+  const match = SPACE_NAME.exec(new URL(req.url, "http://localhost").pathname);
+  if (!match) return send(res, 404, { error: "Use /<name>, e.g. /team" });
+  const space = match[1];
+
+  if (req.method === "GET") {
+    const entry = load(space);
+    return entry ? send(res, 200, entry) : send(res, 404, { error: "Nothing saved yet" });
+  }
+
+  if (req.method === "PUT") {
+    let body;
+    try {
+      body = JSON.parse(await readBody(req));
+    } catch (error) {
+      return send(res, error.message === "too_large" ? 413 : 400, { error: "Expected { revision, document }" });
+    }
+    if (!body || typeof body.document !== "object" || body.document === null) {
+      return send(res, 400, { error: "Expected { revision, document }" });
+    }
+
+    // Reading and writing happen in one tick, so two PUTs can't interleave
+    const current = load(space);
+    const revision = current?.revision ?? null;
+    if ((body.revision ?? null) !== revision) return send(res, 409, { error: "Revision is out of date", revision });
+    const next = { revision: (revision || 0) + 1, document: body.document };
+    save(space, next);
+    return send(res, 200, { revision: next.revision });
+  }
+
+  send(res, 405, { error: "Use GET or PUT" });
+};
+
+createServer((req, res) => {
+  handle(req, res).catch((error) => {
+    console.error(error);
+    if (!res.headersSent) send(res, 500, { error: "Server error" });
+  });
+}).listen(PORT, () => {
+  console.log(`Sync server on http://localhost:${PORT}/<name>, saving to ${DATA_DIR}`);
+});
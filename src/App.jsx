@@ -1,5 +1,5 @@
-import { useState, useEffect } from "react";
-import { MapContainer, TileLayer, Marker, Popup, useMap } from "react-leaflet";
+import { useState, useEffect, useMemo, useCallback, useRef } from "react";
+import { MapContainer, TileLayer, useMap } from "react-leaflet";
 import "leaflet/dist/leaflet.css";
 import L from "leaflet";
 import markerIcon2x from "leaflet/dist/images/marker-icon-2x.png";
@@ -17,10 +17,79 @@ import {
   arrayMove,
   SortableContext,
   sortableKeyboardCoordinates,
-  useSortable,
   verticalListSortingStrategy,
 } from '@dnd-kit/sortable';
-import { CSS } from '@dnd-kit/utilities';
+import {
+  loadStore,
+  saveStore,
+  createPlace,
+  createList,
+  copyPlace,
+  updateList,
+  getActiveList,
+  geocodeFromResult,
+  hasCoords,
+  DEFAULT_BUDGET_SETTINGS,
+} from "./placeStore";
+import ListSwitcher from "./components/ListSwitcher";
+import SortableItem from "./components/SortableItem";
+import VirtualList from "./components/VirtualList";
+import PlaceMarkers from "./components/PlaceMarkers";
+import useWeather from "./useWeather";
+import useUndoHistory from "./useUndoHistory";
+import UndoToast from "./components/UndoToast";
+import Announcer from "./components/Announcer";
+import MapPlaceList from "./components/MapPlaceList";
+import SharedList from "./components/SharedList";
+import { sharedFromHash, decodeList, shareUrl, clearShareHash } from "./share";
+import { TILE_URL, TILE_ATTRIBUTION, cacheTilesAround } from "./offline";
+import useOnlineStatus from "./useOnlineStatus";
+import useSuggestions from "./useSuggestions";
+import Suggestions from "./components/Suggestions";
+import MapClickAdd from "./components/MapClickAdd";
+import RoutePanel from "./components/RoutePanel";
+import RouteLayer from "./components/RouteLayer";
+import { planRoute, applyRouteOrder } from "./route";
+import StatsDashboard from "./components/StatsDashboard";
+import BudgetPanel from "./components/BudgetPanel";
+import CalendarView from "./components/CalendarView";
+import OverduePrompt from "./components/OverduePrompt";
+import { plannedVisits, findOverlaps, overlappingPlanIds, overdueVisits, toICS, today, addDays } from "./calendar";
+import { FORECAST_DAYS } from "./weather";
+import { budgetTotals } from "./budget";
+import { CountryLayer, CountryLegend } from "./components/CountryLayer";
+import { geocode, reverseGeocode } from "./geocoding";
+import FilterBar from "./components/FilterBar";
+import SortControl from "./components/SortControl";
+import { sortPlaces, MANUAL_SORT } from "./sorting";
+import { TagPicker } from "./components/Tags";
+import PlaceDetail from "./components/PlaceDetail";
+import DataMenu from "./components/DataMenu";
+import ImportPreview from "./components/ImportPreview";
+import SearchResults from "./components/SearchResults";
+import SettingsPanel from "./components/SettingsPanel";
+import { SettingsContext } from "./useSettings";
+import { loadSettings, saveSettings, createI18n, SETTINGS_KEY } from "./settings";
+import { stampChanges } from "./merge";
+import useStoreSync from "./useStoreSync";
+import {
+  FORMATS,
+  toItem,
+  serialize,
+  download,
+  exportFilename,
+  formatFromFilename,
+  parseImport,
+  importErrorText,
+  findDuplicate,
+} from "./exchange";
+import { createTag, findTagByName, matchesFilter, EMPTY_FILTER } from "./tags";
+import { goodMonths } from "./climate";
+import useClimate from "./useClimate";
+import { plannedBetween } from "./alerts";
+import useWeatherAlerts from "./useWeatherAlerts";
+import AlertsPanel from "./components/AlertsPanel";
+import AlertToasts from "./components/AlertToasts";
 
 
 delete L.Icon.Default.prototype._getIconUrl;
@@ -30,124 +99,30 @@ L.Icon.Default.mergeOptions({
   shadowUrl: markerShadow,
 });
 
-// Creating red marker icon
-const redIcon = new L.Icon({
-  iconUrl: 'https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-2x-red.png',
-  shadowUrl: markerShadow,
-  iconSize: [25, 41],
-  iconAnchor: [12, 41],
-  popupAnchor: [1, -34],
-  shadowSize: [41, 41]
-});
-
-// Creating green marker icon for visited places
-const greenIcon = new L.Icon({
-  iconUrl: 'https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-2x-green.png',
-  shadowUrl: markerShadow,
-  iconSize: [25, 41],
-  iconAnchor: [12, 41],
-  popupAnchor: [1, -34],
-  shadowSize: [41, 41]
-});
-
-// Sortable list item component
-function SortableItem({ id, place, index, visited, toggleVisited, weather, handleDelete }) {
-  const {
-    attributes,
-    listeners,
-    setNodeRef,
-    transform,
-    transition,
-    isDragging,
-  } = useSortable({ id });
-
-  const style = {
-    transform: CSS.Transform.toString(transform),
-    transition,
-    opacity: isDragging ? 0.5 : 1,
-  };
+const placeKey = (place) => place.id;
+// Outside the component: new sensor options on every render would change
+// dnd-kit's context, re-rendering every (memoized) row
+const keyboardSensorOptions = { coordinateGetter: sortableKeyboardCoordinates };
+// How long the result of "Check Weather" stays up
+const WEATHER_NOTICE_MS = 5000;
 
-  return (
-    <li
-      ref={setNodeRef}
-      style={{
-        ...style,
-        marginBottom: "15px",
-        padding: "15px 20px",
-        border: visited ? "2px solid #51cf66" : "2px solid #e0e0e0",
-        borderRadius: "12px",
-        display: "flex",
-        justifyContent: "space-between",
-        alignItems: "center",
-        flexWrap: "wrap",
-        wordBreak: "break-word",
-        backgroundColor: visited ? "#f0fdf4" : "white",
-        boxShadow: "0 2px 8px rgba(0,0,0,0.1)",
-        cursor: isDragging ? "grabbing" : "grab",
-      }}
-    >
-      <div style={{ display: "flex", alignItems: "center", gap: "15px", flex: 1, flexWrap: "wrap" }}>
-        <div {...attributes} {...listeners} style={{ cursor: "grab", fontSize: "20px", padding: "5px", color: "#000" }}>
-          ☰
-        </div>
-        <input
-          type="checkbox"
-          checked={visited || false}
-          onChange={() => toggleVisited(index)}
-          style={{
-            width: "20px",
-            height: "20px",
-            cursor: "pointer",
-            accentColor: "#51cf66",
-          }}
-        />
-        <span style={{ 
-          textDecoration: visited ? "line-through" : "none",
-          color: visited ? "#666" : "#333",
-          fontSize: "16px",
-          fontWeight: visited ? "normal" : "500"
-        }}>
-          {visited ? "✅ " : "📍 "}{place}
-        </span>
-        {weather ? (
-          <div style={{ 
-            display: "flex", 
-            alignItems: "center", 
-            gap: "8px",
-            backgroundColor: "#e3f2fd",
-            padding: "5px 12px",
-            borderRadius: "20px",
-            fontSize: "14px"
-          }}>
-            <span style={{ fontSize: "20px" }}>{weather.icon}</span>
-            <span style={{ fontWeight: "600", color: "#1e3a8a" }}>
-              {weather.temp}°C / {Math.round(weather.temp * 9/5 + 32)}°F
-            </span>
-            <span style={{ color: "#666", textTransform: "capitalize" }}>{weather.description}</span>
-          </div>
-        ) : (
-          <span style={{ fontSize: "12px", color: "#999" }}>Loading weather...</span>
-        )}
-      </div>
-      <button
-        onClick={() => handleDelete(index)}
-        style={{
-          padding: "8px 15px",
-          borderRadius: "8px",
-          border: "none",
-          backgroundColor: "#ff6b6b",
-          color: "white",
-          cursor: "pointer",
-          fontSize: "14px",
-          fontWeight: "600",
-        }}
-      >
-        Delete
-      </button>
-    </li>
-  );
-}
+const pageStyle = {
+  width: "100%",
+  minHeight: "100vh",
+  background: "linear-gradient(135deg, #56CCF2 0%, #2F80ED 100%)",
+  padding: "40px 20px",
+  boxSizing: "border-box",
+};
 
+const cardStyle = {
+  maxWidth: "1400px",
+  margin: "0 auto",
+  backgroundColor: "rgba(255, 255, 255, 0.95)",
+  borderRadius: "20px",
+  padding: "40px",
+  boxShadow: "0 20px 60px rgba(0,0,0,0.3)",
+};
+const nameOf = (places, id) => places.find((place) => place.id === id)?.name;
 
 function MapRefresher() {
   const map = useMap();
@@ -164,264 +139,1019 @@ function MapRefresher() {
   return null;
 }
 
+// Follow changes to the default map view made in settings
+function MapHome({ home, zoom }) {
+  const map = useMap();
+  const mounted = useRef(false);
+  const lat = home?.lat;
+  const lng = home?.lng;
+
+  useEffect(() => {
+    // The initial view already comes from MapContainer's props
+    if (!mounted.current) {
+      mounted.current = true;
+      return;
+    }
+    if (lat == null) map.setZoom(zoom);
+    else map.setView([lat, lng], zoom);
+  }, [map, lat, lng, zoom]);
+
+  return null;
+}
+
 export default function App() {
   const sensors = useSensors(
     useSensor(PointerSensor),
-    useSensor(KeyboardSensor, {
-      coordinateGetter: sortableKeyboardCoordinates,
-    })
+    useSensor(KeyboardSensor, keyboardSensorOptions)
+  );
+
+  const [store, setRawStore] = useState(loadStore);
+  // Every local change goes through here so it is stamped for syncing
+  const setStore = useCallback(
+    (updater) => setRawStore((prev) => stampChanges(prev, typeof updater === "function" ? updater(prev) : updater)),
+    []
+  );
+  // The latest store, for callbacks that keep a stable identity (the list
+  // rows are memoized)
+  const storeRef = useRef(store);
+  useEffect(() => {
+    storeRef.current = store;
+  }, [store]);
+  const [settings, setSettings] = useState(loadSettings);
+  const i18n = useMemo(() => ({ ...createI18n(settings), setSettings }), [settings]);
+  const { t, format } = i18n;
+  const activeList = getActiveList(store);
+  const places = activeList.places;
+  // Just the ids and names the rows offer to move or copy to, rebuilt only
+  // when those change so editing a place doesn't re-render every
+  // (memoized) row
+  const otherListsKey = JSON.stringify(
+    store.lists
+      .filter((list) => list.id !== activeList.id && !list.archived)
+      .map((list) => [list.id, list.name])
+  );
+  const otherLists = useMemo(
+    () => JSON.parse(otherListsKey).map(([id, name]) => ({ id, name })),
+    [otherListsKey]
+  );
+  const knownIds = useMemo(
+    () => new Set(store.lists.flatMap((list) => list.places.map((place) => place.id))),
+    [store.lists]
+  );
+  const allPlaces = useMemo(() => store.lists.flatMap((list) => list.places), [store.lists]);
+  // Places with a visit planned within the forecast, from any list
+  const upcomingPlaces = useMemo(
+    () => plannedBetween(allPlaces, today(), addDays(today(), FORECAST_DAYS - 1)),
+    [allPlaces]
+  );
+  // The open list plus those, so their alerts keep working from any list
+  const weatherPlaces = useMemo(
+    () => [...places, ...upcomingPlaces.filter((place) => !places.includes(place))],
+    [places, upcomingPlaces]
+  );
+  const { weatherById, refreshWeather, now } = useWeather(weatherPlaces, knownIds);
+  const { history: alertHistory, popups: alertPopups, unread: unreadAlerts } = useWeatherAlerts(upcomingPlaces, weatherById);
+  const [weatherNotice, setWeatherNotice] = useState(null);
+  const { change, undo, redo, undoLabel, redoLabel } = useUndoHistory(store, setStore);
+  const [toast, setToast] = useState(null);
+  const dismissToast = useCallback(() => setToast(null), []);
+  // Screen reader announcement for changes that have no toast
+  const [announcement, setAnnouncement] = useState(null);
+  const announce = useCallback(
+    (message) => setAnnouncement((prev) => ({ message, count: (prev?.count || 0) + 1 })),
+    []
   );
 
-  const [places, setPlaces] = useState(() => {
-    const saved = localStorage.getItem("places");
-    return saved ? JSON.parse(saved) : [];
-  });
-  const [coords, setCoords] = useState(() => {
-    const saved = localStorage.getItem("coords");
-    return saved ? JSON.parse(saved) : [];
-  });
-  const [visited, setVisited] = useState(() => {
-    const saved = localStorage.getItem("visited");
-    return saved ? JSON.parse(saved) : [];
-  });
-  const [weather, setWeather] = useState(() => {
-    const saved = localStorage.getItem("weather");
-    return saved ? JSON.parse(saved) : [];
-  });
+  // Places setter scoped to the active list
+  const setPlaces = useCallback((updater) => {
+    setStore((prev) =>
+      updateList(prev, getActiveList(prev).id, (list) => ({
+        ...list,
+        places: typeof updater === "function" ? updater(list.places) : updater,
+      }))
+    );
+  }, [setStore]);
   const [input, setInput] = useState("");
-  const [selectedPlace, setSelectedPlace] = useState(null);
+  const [newTagIds, setNewTagIds] = useState([]);
+  const [filter, setFilter] = useState(EMPTY_FILTER);
+  // Climate is only looked up for the whole list once the month filter is on
+  const { climateFor, pending: climatePending } = useClimate(places, filter.month != null);
+  const { climatePrefs } = settings;
+  const goodMonthsFor = useCallback(
+    (place) => {
+      const months = climateFor(place);
+      return months ? goodMonths(months, climatePrefs) : null;
+    },
+    [climateFor, climatePrefs]
+  );
+  const tags = store.tags;
+  const tagsById = useMemo(() => new Map(tags.map((tag) => [tag.id, tag])), [tags]);
+  const filteredPlaces = useMemo(
+    () => places.filter((place) => matchesFilter(place, filter, tagsById, goodMonthsFor)),
+    [places, filter, tagsById, goodMonthsFor]
+  );
+  const mapped = useMemo(() => filteredPlaces.filter(hasCoords), [filteredPlaces]);
+  const [routeMode, setRouteMode] = useState(false);
+  const [route, setRoute] = useState(null);
+  const [routeStartId, setRouteStartId] = useState(null);
+  const [routeEndId, setRouteEndId] = useState(null);
+  const routeCandidates = mapped.filter((place) => !place.visited);
+  const placesById = new Map(places.map((place) => [place.id, place]));
+  const [showStats, setShowStats] = useState(false);
+  const [showBudget, setShowBudget] = useState(false);
+  const [showCalendar, setShowCalendar] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showAlerts, setShowAlerts] = useState(false);
+  const budgetSettings = store.budget || DEFAULT_BUDGET_SETTINGS;
+  // Place id -> formatted budget total, for places that have costs
+  const budgetLabels = useMemo(() => {
+    const labels = new Map();
+    places.forEach((place) => {
+      if (!place.budget?.length) return;
+      const { total, missing } = budgetTotals([place], budgetSettings);
+      labels.set(place.id, `${format.money(total, budgetSettings.homeCurrency)}${missing.length ? "+" : ""}`);
+    });
+    return labels;
+  }, [places, budgetSettings, format]);
+  const [statsScope, setStatsScope] = useState("active");
+  const [lookingUpCountries, setLookingUpCountries] = useState(false);
+  const [showCountries, setShowCountries] = useState(false);
+  const homePlace = useMemo(
+    () => allPlaces.find((place) => place.id === store.homePlaceId) || null,
+    [allPlaces, store.homePlaceId]
+  );
+  const visits = useMemo(() => plannedVisits(allPlaces), [allPlaces]);
+  const overlaps = useMemo(() => findOverlaps(visits), [visits]);
+  const overlapIds = useMemo(() => overlappingPlanIds(overlaps), [overlaps]);
+  const overdue = overdueVisits(visits);
+  const [sort, setSort] = useState({ sort: MANUAL_SORT, descending: false });
+  const [myLocation, setMyLocation] = useState({ status: "idle", coords: null, error: null });
+  // The list as shown: filtered, then sorted unless in manual order
+  const shownPlaces = useMemo(
+    () => sortPlaces(filteredPlaces, sort, { weatherById, myLocation: myLocation.coords, home: homePlace }),
+    [filteredPlaces, sort, weatherById, myLocation.coords, homePlace]
+  );
+  // The sortable ids only change when the order does; a new array would make
+  // every row's useSortable re-render
+  const shownIdsKey = shownPlaces.map((place) => place.id).join("\n");
+  const shownIds = useMemo(() => (shownIdsKey ? shownIdsKey.split("\n") : []), [shownIdsKey]);
+  const [selectedPlaceId, setSelectedPlaceId] = useState(null);
+  const selectedPlace = places.find((place) => place.id === selectedPlaceId);
+  // Place highlighted on the map, from the keyboard place list or a marker click
+  const [activeMarkerId, setActiveMarkerId] = useState(null);
+  const selectFromMap = useCallback((placeId) => {
+    setActiveMarkerId(placeId);
+    setSelectedPlaceId(placeId);
+  }, []);
   const [searchResults, setSearchResults] = useState(null);
+  const [importPreview, setImportPreview] = useState(null);
+  const [searchError, setSearchError] = useState(null);
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const { suggestions, loading: suggestionsLoading } = useSuggestions(input);
+  // Suggestion highlighted with the arrow keys, -1 for none
+  const [suggestionIndex, setSuggestionIndex] = useState(-1);
+  const suggestionsOpen = showSuggestions && (suggestionsLoading || suggestions.length > 0);
+  const activeSuggestion = suggestionsOpen && suggestionIndex < suggestions.length ? suggestionIndex : -1;
+  const [shareHash, setShareHash] = useState(() => sharedFromHash(window.location.hash));
+  const [shared, setShared] = useState(null);
+  const [shareCopied, setShareCopied] = useState(false);
+  const online = useOnlineStatus();
+  // Changes only when some place's coordinates do
+  const coordsKey = allPlaces.filter(hasCoords).map((place) => `${place.lat},${place.lng}`).join(";");
 
 
   useEffect(() => {
-    localStorage.setItem("places", JSON.stringify(places));
-    localStorage.setItem("coords", JSON.stringify(coords));
-    localStorage.setItem("visited", JSON.stringify(visited));
-    localStorage.setItem("weather", JSON.stringify(weather));
-  }, [places, coords, visited, weather]);
-
-  // Get weather data for a location
-  const fetchWeather = async (lat, lng) => {
-    try {
-      // Using Open-Meteo API 
-      const response = await fetch(
-        `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lng}&current_weather=true&temperature_unit=celsius`
+    saveStore(store);
+  }, [store]);
+
+  useEffect(() => {
+    saveSettings(settings);
+  }, [settings]);
+
+  // Settings changed in another tab
+  useEffect(() => {
+    const onStorage = (e) => {
+      if (e.key === SETTINGS_KEY) setSettings(loadSettings());
+    };
+    window.addEventListener("storage", onStorage);
+    return () => window.removeEventListener("storage", onStorage);
+  }, []);
+
+  const { status: syncStatus, syncNow } = useStoreSync(store, setRawStore, settings.syncUrl);
+
+  // Keep map tiles around every saved place available offline
+  useEffect(() => {
+    if (!online || !coordsKey) return;
+    const points = coordsKey.split(";").map((pair) => {
+      const [lat, lng] = pair.split(",").map(Number);
+      return { lat, lng };
+    });
+    const timer = setTimeout(() => {
+      cacheTilesAround(points).then((result) => {
+        if (result?.full) console.warn("Offline map cache is full; older tiles will be replaced.");
+      });
+    }, 5000);
+    return () => clearTimeout(timer);
+  }, [coordsKey, online]);
+
+  // Follow share links opened while the app is already loaded
+  useEffect(() => {
+    const onHashChange = () => setShareHash(sharedFromHash(window.location.hash));
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, []);
+
+  // Decode the shared list in the link, if any
+  useEffect(() => {
+    if (!shareHash) return;
+    let cancelled = false;
+    decodeList(shareHash)
+      .then((list) => !cancelled && setShared({ hash: shareHash, status: "ready", list }))
+      .catch(
+        (error) =>
+          !cancelled && setShared({ hash: shareHash, status: "error", error: { type: error.type, message: error.message } })
       );
-      
-      if (!response.ok) {
-        console.error("Weather API error:", response.status);
-        return null;
+    return () => {
+      cancelled = true;
+    };
+  }, [shareHash]);
+
+  // Copy a link carrying the active list, falling back to a prompt to copy from
+  const handleShare = async () => {
+    const url = await shareUrl(activeList);
+    try {
+      await navigator.clipboard.writeText(url);
+      setShareCopied(true);
+      setTimeout(() => setShareCopied(false), 2000);
+    } catch {
+      window.prompt(t("toolbar.sharePrompt"), url);
+    }
+  };
+
+  const closeShared = () => {
+    clearShareHash();
+    setShareHash(null);
+    setShared(null);
+  };
+
+  // Save the shared list as a new list of our own
+  const handleImportShared = () => {
+    if (shared?.status !== "ready") return;
+    const list = createList({ name: shared.list.name ?? t("shared.untitled"), places: shared.list.places.map(copyPlace) });
+    setStore((prev) => ({ ...prev, lists: [...prev.lists, list], activeListId: list.id }));
+    closeShared();
+  };
+
+  const handleUndo = useCallback(() => {
+    const label = undo();
+    setToast(null);
+    if (label) announce(t("a11y.undone", { label }));
+  }, [undo, announce, t]);
+
+  const handleRedo = useCallback(() => {
+    const label = redo();
+    if (label) announce(t("a11y.redone", { label }));
+  }, [redo, announce, t]);
+
+  // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y), except while typing in a field
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const target = e.target;
+      if (target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName)) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        handleUndo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        handleRedo();
       }
-      
-      const data = await response.json();
-      
-      if (!data.current_weather) {
-        console.error("Invalid weather data:", data);
-        return null;
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [handleUndo, handleRedo]);
+
+  // List management
+  const handleSwitchList = (listId) => {
+    setStore((prev) => ({ ...prev, activeListId: listId }));
+  };
+
+  const handleCreateList = () => {
+    const name = window.prompt(t("lists.newPrompt"));
+    if (!name || !name.trim()) return;
+    const list = createList({ name: name.trim() });
+    setStore((prev) => ({ ...prev, activeListId: list.id, lists: [...prev.lists, list] }));
+  };
+
+  const handleRenameList = (listId) => {
+    const current = store.lists.find((list) => list.id === listId);
+    const name = window.prompt(t("lists.renamePrompt"), current?.name);
+    if (!name || !name.trim()) return;
+    setStore((prev) => updateList(prev, listId, (list) => ({ ...list, name: name.trim() })));
+  };
+
+  const handleDuplicateList = (listId) => {
+    const source = store.lists.find((list) => list.id === listId);
+    if (!source) return;
+    const list = createList({ name: t("lists.copyName", { name: source.name }), places: source.places.map(copyPlace) });
+    setStore((prev) => ({ ...prev, activeListId: list.id, lists: [...prev.lists, list] }));
+  };
+
+  const handleToggleArchiveList = (listId) => {
+    const target = store.lists.find((list) => list.id === listId);
+    if (!target) return;
+
+    // Archiving the active list switches to another open one, if there is one
+    const fallback = store.lists.find((list) => !list.archived && list.id !== listId);
+    if (!target.archived && !fallback) {
+      alert(t("lists.needOpen"));
+      return;
+    }
+
+    setStore((prev) => {
+      const next = updateList(prev, listId, (list) => ({ ...list, archived: !list.archived }));
+      if (!target.archived && prev.activeListId === listId) {
+        return { ...next, activeListId: fallback.id };
       }
-      
-      const current = data.current_weather;
-      
-      // Map weather codes to descriptions
-      const weatherDescriptions = {
-        0: "Clear sky", 1: "Mainly clear", 2: "Partly cloudy", 3: "Overcast",
-        45: "Foggy", 48: "Foggy", 51: "Light drizzle", 53: "Drizzle", 55: "Heavy drizzle",
-        61: "Light rain", 63: "Rain", 65: "Heavy rain", 71: "Light snow", 73: "Snow", 75: "Heavy snow",
-        77: "Snow grains", 80: "Light showers", 81: "Showers", 82: "Heavy showers",
-        85: "Light snow showers", 86: "Snow showers", 95: "Thunderstorm", 96: "Thunderstorm", 99: "Thunderstorm"
-      };
-      
-      // Map weather codes to emoji icons
-      const weatherIcons = {
-        0: "☀️", 1: "🌤️", 2: "⛅", 3: "☁️",
-        45: "🌫️", 48: "🌫️", 51: "🌦️", 53: "🌧️", 55: "🌧️",
-        61: "🌦️", 63: "🌧️", 65: "⛈️", 71: "🌨️", 73: "❄️", 75: "❄️",
-        77: "🌨️", 80: "🌦️", 81: "🌧️", 82: "⛈️",
-        85: "🌨️", 86: "❄️", 95: "⛈️", 96: "⛈️", 99: "⛈️"
-      };
-      
-      return {
-        temp: Math.round(current.temperature),
-        description: weatherDescriptions[current.weathercode] || "Unknown",
-        icon: weatherIcons[current.weathercode] || "🌡️",
-        windSpeed: current.windspeed
-      };
-    } catch (error) {
-      console.error("Weather fetch error:", error);
-      return null;
+      return next;
+    });
+  };
+
+  const handleDeleteList = (listId) => {
+    const target = store.lists.find((list) => list.id === listId);
+    if (!target || store.lists.length <= 1) return;
+    if (!window.confirm(t("lists.confirmDelete", { name: target.name, count: target.places.length }))) return;
+
+    setStore((prev) => {
+      const lists = prev.lists.filter((list) => list.id !== listId);
+      const activeListId = prev.activeListId === listId
+        ? (lists.find((list) => !list.archived) || lists[0]).id
+        : prev.activeListId;
+      return { ...prev, lists, activeListId };
+    });
+  };
+
+  // Tags: returns the id of the (possibly existing) tag with this name
+  const handleCreateTag = useCallback((name) => {
+    const existing = findTagByName(tags, name);
+    if (existing) return existing.id;
+    const tag = createTag(name, tags);
+    setStore((prev) => ({ ...prev, tags: [...prev.tags, tag] }));
+    return tag.id;
+  }, [tags, setStore]);
+
+  const handleRecolorTag = (tagId, color) => {
+    setStore((prev) => ({
+      ...prev,
+      tags: prev.tags.map((tag) => (tag.id === tagId ? { ...tag, color } : tag)),
+    }));
+  };
+
+  const handleDeleteTag = (tagId) => {
+    const tag = store.tags.find((t) => t.id === tagId);
+    if (!tag || !window.confirm(t("tags.confirmDelete", { name: tag.name }))) return;
+    setStore((prev) => ({
+      ...prev,
+      tags: prev.tags.filter((t) => t.id !== tagId),
+      lists: prev.lists.map((list) => ({
+        ...list,
+        places: list.places.map((place) => ({
+          ...place,
+          tagIds: (place.tagIds || []).filter((id) => id !== tagId),
+        })),
+      })),
+    }));
+    setFilter((prev) => ({ ...prev, tagIds: prev.tagIds.filter((id) => id !== tagId) }));
+    setNewTagIds((prev) => prev.filter((id) => id !== tagId));
+  };
+
+  // Merge fields into one place of the active list
+  const updatePlace = useCallback((placeId, patch) => {
+    setPlaces((prev) => prev.map((place) => (place.id === placeId ? { ...place, ...patch } : place)));
+  }, [setPlaces]);
+
+  const setPlaceTags = useCallback((placeId, tagIds) => {
+    updatePlace(placeId, { tagIds: [...new Set(tagIds)] });
+  }, [updatePlace]);
+
+  // Export the active list. Every format needs coordinates (import rejects
+  // rows without them), so places that have none are left out and listed.
+  const handleExport = (format) => {
+    const items = places.filter(hasCoords).map((place) => toItem(place, tagsById));
+    download(serialize(format, items, activeList.name), exportFilename(activeList.name, format), FORMATS[format].mime);
+
+    const skipped = places.filter((place) => !hasCoords(place)).map((place) => place.name);
+    if (skipped.length > 0) {
+      alert(t("data.exportSkipped", { count: skipped.length, names: `${skipped.slice(0, 5).join(", ")}${skipped.length > 5 ? ", …" : ""}` }));
     }
   };
 
-  // Add a place
-  const handleAdd = async () => {
-    if (input.trim() === "") return;
+  // Every planned visit, across lists, as an iCalendar file
+  const handleExportCalendar = () => {
+    download(toICS(visits, t("calendar.icsName")), "travel-plans.ics", "text/calendar");
+  };
 
-    try {
-      // getting coordinates from OpenStreetMap Nominatim API
-      const response = await fetch(
-        `https://nominatim.openstreetmap.org/search?format=json&q=${input}&limit=5`
-      );
-      const data = await response.json();
-      if (!data || data.length === 0) {
-        alert("Place not found!");
-        return;
-      }
+  // Answer the "did you go?" prompt for a past plan
+  const reviewPlan = ({ place, plan }, visited) => {
+    updatePlaceAnywhere(place.id, {
+      plans: place.plans.map((p) => (p.id === plan.id ? { ...p, reviewed: true } : p)),
+      ...(visited && { visited: true, visitedDate: place.visitedDate || plan.end }),
+    });
+  };
+
+  // Open a place's details, switching to its list if needed
+  const openPlaceAnywhere = (placeId) => {
+    const list = store.lists.find((l) => l.places.some((place) => place.id === placeId));
+    if (list && list.id !== activeList.id) handleSwitchList(list.id);
+    setSelectedPlaceId(placeId);
+  };
+
+  // Read and validate a file, then show what it would add
+  const handleImportFile = async (file) => {
+    const format = formatFromFilename(file.name);
+    if (!format) {
+      alert(t("data.unsupported", { extensions: Object.values(FORMATS).map((f) => `.${f.extension}`).join(", ") }));
+      return;
+    }
 
-      // If multiple results, show selection modal
-      if (data.length > 1) {
-        setSearchResults(data);
+    try {
+      const { items, errors } = parseImport(await file.text(), format);
+      if (items.length === 0) {
+        const details = errors.slice(0, 5).map((error) => importErrorText(error, t));
+        alert(`${t("data.nothingFound", { file: file.name })}${details.length ? `\n\n${details.join("\n")}` : ""}`);
         return;
       }
 
-      // If only one result, add it directly
-      await addPlaceFromResult(data[0]);
+      // Flag duplicates of existing places and of earlier rows in the same file
+      const seen = places.filter(hasCoords);
+      const entries = items.map((item) => {
+        const duplicate = findDuplicate(item, seen);
+        seen.push(item);
+        return { item, duplicate: duplicate ? duplicate.name : null };
+      });
+      setImportPreview({ fileName: file.name, entries, errors });
     } catch (error) {
-      console.error(error);
-      alert("Error fetching location!");
+      console.error("Import error:", error);
+      alert(t("data.readError", { file: file.name, error: importErrorText(error, t) }));
     }
   };
 
-  // Add place from a search result
-  const addPlaceFromResult = async (result) => {
-    const lat = parseFloat(result.lat);
-    const lng = parseFloat(result.lon);
+  const handleConfirmImport = (items) => {
+    // Reuse tags by name, creating any the file introduces; the new ones are
+    // part of the undo entry, so undoing the import removes them too
+    const tagsList = [...storeRef.current.tags];
+    const newTags = [];
+    const tagIdFor = (name) => {
+      let tag = findTagByName(tagsList, name);
+      if (!tag) {
+        tag = createTag(name, tagsList);
+        tagsList.push(tag);
+        newTags.push(tag);
+      }
+      return tag.id;
+    };
+
+    const imported = items.map((item) => ({
+      ...createPlace({
+        name: item.name,
+        lat: item.lat,
+        lng: item.lng,
+        visited: item.visited,
+        tagIds: [...new Set(item.tags.map(tagIdFor))],
+      }),
+      notes: item.notes,
+      rating: item.rating,
+      visitedDate: item.visitedDate,
+    }));
+
+    change(t("history.import", { count: imported.length }), (prev) => [...prev, ...imported], { tags: newTags });
+    setImportPreview(null);
+  };
+
+  // Move or copy a place from the active list to another list
+  const handleTransfer = useCallback((placeId, targetListId, mode) => {
+    const current = storeRef.current;
+    const source = getActiveList(current);
+    const place = source.places.find((p) => p.id === placeId);
+    const target = current.lists.find((list) => list.id === targetListId);
+    if (!place || !target) return;
+
+    const label = t(mode === "move" ? "history.move" : "history.copy", { name: place.name, list: target.name });
+    const updates = { [targetListId]: (prev) => [...prev, mode === "copy" ? copyPlace(place) : place] };
+    // The source list comes first, so undoing a move goes back to it
+    change(label, mode === "move" ? { [source.id]: (prev) => prev.filter((p) => p.id !== placeId), ...updates } : updates);
+  }, [change, t]);
+
+  // Add a place
+  const handleAdd = async () => {
+    if (input.trim() === "") return;
+
+    setSearchError(null);
+    const result = await geocode(input);
+    if (!result.ok) {
+      setSearchError(result.error);
+      return;
+    }
+
+    // If multiple results, show selection modal
+    if (result.results.length > 1) {
+      setSearchResults(result.results);
+      return;
+    }
+
+    // If only one result, add it directly
+    addPlaceFromResult(result.results[0]);
+  };
 
-    // Fetch weather data
-    const weatherData = await fetchWeather(lat, lng);
+  // Add a geocoded place to the active list
+  const addPlace = (result, name) => {
+    // Keep the geocoder's answer alongside the name we show
+    const place = createPlace({
+      name: name.trim(),
+      lat: result.lat,
+      lng: result.lng,
+      geocode: geocodeFromResult(result),
+      tagIds: newTagIds,
+    });
+    change(t("history.add", { name: place.name }), (prev) => [...prev, place]);
+    setNewTagIds([]);
+    announce(t("a11y.added", { name: place.name }));
+  };
 
-    // Use exactly what the user typed
-    setPlaces([...places, input]);
-    setCoords([...coords, { lat, lng }]);
-    setVisited([...visited, false]);
-    setWeather([...weather, weatherData]);
+  // Add place from a search result, using exactly what the user typed
+  const addPlaceFromResult = (result, name = input) => {
+    addPlace(result, name);
     setInput("");
     setSearchResults(null);
+    setSearchError(null);
   };
 
   // Delete a place
-  const handleDelete = (index) => {
-    setPlaces(places.filter((_, i) => i !== index));
-    setCoords(coords.filter((_, i) => i !== index));
-    setVisited(visited.filter((_, i) => i !== index));
-    setWeather(weather.filter((_, i) => i !== index));
-  };
+  const handleDelete = useCallback((id) => {
+    const before = change(
+      (prev) => t("history.delete", { name: nameOf(prev, id) }),
+      (prev) => prev.filter((place) => place.id !== id)
+    );
+    if (before) setToast(t("history.deleted", { name: nameOf(before, id) }));
+  }, [change, t]);
 
   // Clear all places
   const handleClearAll = () => {
-    if (window.confirm("Are you sure you want to clear all places?")) {
-      setPlaces([]);
-      setCoords([]);
-      setVisited([]);
-      setWeather([]);
+    if (window.confirm(t("add.confirmClearAll"))) {
+      change(t("history.clearAll"), () => []);
+      setToast(t("history.cleared", { count: places.length }));
     }
   };
 
   // Toggle visited status
-  const toggleVisited = (index) => {
-    const newVisited = [...visited];
-    const wasVisited = visited[index];
-    newVisited[index] = !wasVisited;
-    
-    // If checking as visited, move to bottom
-    if (!wasVisited) {
-      // Move the item to the end
-      const newPlaces = [...places];
-      const newCoords = [...coords];
-      const newWeather = [...weather];
-      
-      const movedPlace = newPlaces.splice(index, 1)[0];
-      const movedCoord = newCoords.splice(index, 1)[0];
-      const movedVisited = newVisited.splice(index, 1)[0];
-      const movedWeather = newWeather.splice(index, 1)[0];
-      
-      newPlaces.push(movedPlace);
-      newCoords.push(movedCoord);
-      newVisited.push(movedVisited);
-      newWeather.push(movedWeather);
-      
-      setPlaces(newPlaces);
-      setCoords(newCoords);
-      setVisited(newVisited);
-      setWeather(newWeather);
-    } else {
-      // Just toggle if unchecking
-      setVisited(newVisited);
-    }
-  };
+  const toggleVisited = useCallback((id) => {
+    const before = change((prev) => t("history.toggle", { name: nameOf(prev, id) }), (prev) => {
+      const index = prev.findIndex((place) => place.id === id);
+      if (index === -1) return prev;
+
+      const toggled = { ...prev[index], visited: !prev[index].visited };
+      if (toggled.visited && !toggled.visitedDate) {
+        toggled.visitedDate = today();
+      }
+      const rest = prev.filter((_, i) => i !== index);
+
+      // If checking as visited, move to bottom; just toggle if unchecking
+      if (toggled.visited) {
+        return [...rest, toggled];
+      }
+      return prev.map((place, i) => (i === index ? toggled : place));
+    });
+    const place = before?.find((p) => p.id === id);
+    if (place) announce(t(place.visited ? "a11y.markedUnvisited" : "a11y.markedVisited", { name: place.name }));
+  }, [change, announce, t]);
 
   // Handle drag end
   const handleDragEnd = (event) => {
     const { active, over } = event;
 
-    if (active.id !== over.id) {
-      const oldIndex = places.findIndex((_, i) => i === active.id);
-      const newIndex = places.findIndex((_, i) => i === over.id);
+    if (over && active.id !== over.id) {
+      change(t("history.reorder"), (prev) => {
+        const oldIndex = prev.findIndex((place) => place.id === active.id);
+        const newIndex = prev.findIndex((place) => place.id === over.id);
+        return arrayMove(prev, oldIndex, newIndex);
+      });
+    }
+  };
+
+  // What screen readers hear while a place is dragged with the keyboard
+  const positionOf = (id) => shownPlaces.findIndex((place) => place.id === id) + 1;
+  const dragAnnouncements = {
+    onDragStart: ({ active }) =>
+      t("a11y.dragStart", { name: nameOf(places, active.id), position: positionOf(active.id), total: shownPlaces.length }),
+    onDragOver: ({ active, over }) =>
+      over && t("a11y.dragOver", { name: nameOf(places, active.id), position: positionOf(over.id), total: shownPlaces.length }),
+    onDragEnd: ({ active, over }) =>
+      over
+        ? t("a11y.dragEnd", { name: nameOf(places, active.id), position: positionOf(over.id), total: shownPlaces.length })
+        : t("a11y.dragCancel", { name: nameOf(places, active.id) }),
+    onDragCancel: ({ active }) => t("a11y.dragCancel", { name: nameOf(places, active.id) }),
+  };
+
+  // Change the sort view, asking for our location the first time it's needed
+  const handleSortChange = (next) => {
+    setSort(next);
+    if (next.sort !== "nearMe" || myLocation.status === "locating" || myLocation.coords) return;
+    if (!navigator.geolocation) {
+      setMyLocation({ status: "error", coords: null, error: "location.unavailable" });
+      return;
+    }
+    setMyLocation({ status: "locating", coords: null, error: null });
+    navigator.geolocation.getCurrentPosition(
+      (position) =>
+        setMyLocation({
+          status: "ready",
+          coords: { lat: position.coords.latitude, lng: position.coords.longitude },
+          error: null,
+        }),
+      (error) =>
+        setMyLocation({
+          status: "error",
+          coords: null,
+          error: error.code === error.PERMISSION_DENIED ? "location.denied" : "location.failed",
+        }),
+      { maximumAge: 10 * 60 * 1000, timeout: 15000 }
+    );
+  };
+
+  // Route planning over the unvisited places currently shown
+  const handlePlanRoute = () => {
+    setRoute(planRoute(routeCandidates, { startId: routeStartId, endId: routeEndId }));
+  };
+
+  const handleApplyRoute = () => {
+    if (!route) return;
+    change(t("history.applyRoute"), (prev) =>
+      applyRouteOrder(prev, route.ids.filter((id) => prev.some((place) => place.id === id)))
+    );
+    announce(t("a11y.routeApplied"));
+  };
+
+  const closeRoute = () => {
+    setRouteMode(false);
+    setRoute(null);
+    setRouteStartId(null);
+    setRouteEndId(null);
+  };
+
+  // Patch a place wherever it lives, not just in the active list
+  const updatePlaceAnywhere = (placeId, patch) => {
+    setStore((prev) => ({
+      ...prev,
+      lists: prev.lists.map((list) => ({
+        ...list,
+        places: list.places.map((place) => (place.id === placeId ? { ...place, ...patch } : place)),
+      })),
+    }));
+  };
 
-      setPlaces(arrayMove(places, oldIndex, newIndex));
-      setCoords(arrayMove(coords, oldIndex, newIndex));
-      setVisited(arrayMove(visited, oldIndex, newIndex));
-      setWeather(arrayMove(weather, oldIndex, newIndex));
+  // Fill in missing countries (e.g. for imported places) by reverse geocoding
+  const handleLookupCountries = async (targets) => {
+    setLookingUpCountries(true);
+    for (const place of targets.filter((p) => hasCoords(p) && !p.geocode?.countryCode)) {
+      const result = await reverseGeocode(place.lat, place.lng);
+      if (result.ok) {
+        updatePlaceAnywhere(place.id, {
+          geocode: { ...geocodeFromResult(result.result), ...place.geocode, country: result.result.country, countryCode: result.result.countryCode },
+        });
+      }
     }
+    setLookingUpCountries(false);
   };
 
   // Refresh weather for all places
   const refreshAllWeather = async () => {
-    console.log("Refreshing weather for all places...");
-    console.log("Coords:", coords);
-    
-    const newWeather = await Promise.all(
-      coords.map(async (coord) => {
-        const weatherData = await fetchWeather(coord.lat, coord.lng);
-        console.log("Weather data for", coord, ":", weatherData);
-        return weatherData;
-      })
-    );
-    
-    console.log("All weather data:", newWeather);
-    setWeather(newWeather);
-    alert("Weather data refreshed!");
+    const targets = places.filter(hasCoords);
+    setWeatherNotice(t("weather.refreshing"));
+    const updated = await refreshWeather(targets);
+    setWeatherNotice(updated === targets.length
+      ? t("weather.refreshed")
+      : t("weather.refreshedSome", { updated, total: targets.length }));
+    setTimeout(() => setWeatherNotice(null), WEATHER_NOTICE_MS);
   };
 
+  const header = (
+    <>
+      <h1 style={{ fontSize: "2.5rem", marginBottom: "10px", color: "#1e3a8a", fontWeight: "700" }}>🌍 {t("app.title")}</h1>
+      <p style={{ color: "#666", marginBottom: "30px" }}>{t("app.tagline")}</p>
+    </>
+  );
+
+  // A share link replaces the whole page with a read-only view
+  if (shareHash) {
+    return (
+      <SettingsContext.Provider value={i18n}>
+        <div style={pageStyle}>
+          <div style={cardStyle}>
+            {header}
+            <SharedList
+              shared={shared?.hash === shareHash ? shared : { status: "loading" }}
+              onImport={handleImportShared}
+              onClose={closeShared}
+            />
+          </div>
+        </div>
+      </SettingsContext.Provider>
+    );
+  }
+
   return (
-    <div style={{ 
-      width: "100%", 
-      minHeight: "100vh",
-      background: "linear-gradient(135deg, #56CCF2 0%, #2F80ED 100%)",
-      padding: "40px 20px", 
-      boxSizing: "border-box" 
-    }}>
-      <div style={{
-        maxWidth: "1400px",
-        margin: "0 auto",
-        backgroundColor: "rgba(255, 255, 255, 0.95)",
-        borderRadius: "20px",
-        padding: "40px",
-        boxShadow: "0 20px 60px rgba(0,0,0,0.3)"
-      }}>
-      <h1 style={{ fontSize: "2.5rem", marginBottom: "10px", color: "#1e3a8a", fontWeight: "700" }}>🌍 My Travel Bucket List</h1>
-      <p style={{ color: "#666", marginBottom: "30px" }}>Plan your dream destinations and track your adventures!</p>
+    <SettingsContext.Provider value={i18n}>
+    <div style={pageStyle}>
+      <div style={cardStyle}>
+      {header}
 
-      {/* Input */}
-      <div style={{ marginBottom: "30px", display: "flex", gap: "10px", flexWrap: "wrap", justifyContent: "center" }}>
-        <input
-          type="text"
-          placeholder="Add a new city/place"
-          value={input}
-          onChange={(e) => setInput(e.target.value)}
-          onKeyPress={(e) => e.key === 'Enter' && handleAdd()}
+      {!online && (
+        <div
+          role="status"
           style={{
-            padding: "15px 20px",
-            flex: "1",
-            minWidth: "250px",
+            marginBottom: "20px",
+            padding: "10px 16px",
             borderRadius: "10px",
-            border: "2px solid #2F80ED",
-            fontSize: "16px",
-            outline: "none",
-            transition: "all 0.3s",
-            backgroundColor: "#e3f2fd",
-            color: "#000",
+            backgroundColor: "#fff4e6",
+            border: "1px solid #ffa94d",
+            color: "#7a4100",
+            fontSize: "14px",
           }}
+        >
+          📴 {t("app.offline")}
+        </div>
+      )}
+
+      <ListSwitcher
+        lists={store.lists}
+        activeListId={activeList.id}
+        onSwitch={handleSwitchList}
+        onCreate={handleCreateList}
+        onRename={handleRenameList}
+        onDuplicate={handleDuplicateList}
+        onToggleArchive={handleToggleArchiveList}
+        onDelete={handleDeleteList}
+      />
+      <div style={{ marginBottom: "25px" }}>
+        <div style={{ display: "flex", gap: "10px", flexWrap: "wrap", alignItems: "center" }}>
+          <DataMenu onExport={handleExport} onImportFile={handleImportFile} canExport={places.length > 0} />
+          <button
+            onClick={() => setShowStats(!showStats)}
+            style={{
+              padding: "8px 14px",
+              borderRadius: "8px",
+              border: "2px solid #2F80ED",
+              backgroundColor: showStats ? "#2F80ED" : "white",
+              color: showStats ? "white" : "#1e3a8a",
+              cursor: "pointer",
+              fontSize: "14px",
+              fontWeight: "600",
+            }}
+          >
+            📊 {t("toolbar.stats")}
+          </button>
+          <button
+            onClick={() => setShowBudget(!showBudget)}
+            style={{
+              padding: "8px 14px",
+              borderRadius: "8px",
+              border: "2px solid #2F80ED",
+              backgroundColor: showBudget ? "#2F80ED" : "white",
+              color: showBudget ? "white" : "#1e3a8a",
+              cursor: "pointer",
+              fontSize: "14px",
+              fontWeight: "600",
+            }}
+          >
+            💰 {t("toolbar.budget")}
+          </button>
+          <button
+            onClick={() => setShowCalendar(!showCalendar)}
+            style={{
+              padding: "8px 14px",
+              borderRadius: "8px",
+              border: "2px solid #2F80ED",
+              backgroundColor: showCalendar ? "#2F80ED" : "white",
+              color: showCalendar ? "white" : "#1e3a8a",
+              cursor: "pointer",
+              fontSize: "14px",
+              fontWeight: "600",
+            }}
+          >
+            📅 {t("toolbar.calendar")}{overlaps.length > 0 && " ⚠️"}
+          </button>
+          <button
+            onClick={() => setShowSettings(!showSettings)}
+            style={{
+              padding: "8px 14px",
+              borderRadius: "8px",
+              border: "2px solid #2F80ED",
+              backgroundColor: showSettings ? "#2F80ED" : "white",
+              color: showSettings ? "white" : "#1e3a8a",
+              cursor: "pointer",
+              fontSize: "14px",
+              fontWeight: "600",
+            }}
+          >
+            ⚙️ {t("toolbar.settings")}
+          </button>
+          <button
+            onClick={() => setShowAlerts(!showAlerts)}
+            style={{
+              padding: "8px 14px",
+              borderRadius: "8px",
+              border: "2px solid #2F80ED",
+              backgroundColor: showAlerts ? "#2F80ED" : "white",
+              color: showAlerts ? "white" : "#1e3a8a",
+              cursor: "pointer",
+              fontSize: "14px",
+              fontWeight: "600",
+            }}
+          >
+            🔔 {t("toolbar.alerts")}{unreadAlerts > 0 && ` (${unreadAlerts})`}
+          </button>
+          <button
+            onClick={handleShare}
+            disabled={places.length === 0}
+            title={t("toolbar.shareTitle")}
+            style={{
+              padding: "8px 14px",
+              borderRadius: "8px",
+              border: "2px solid #2F80ED",
+              backgroundColor: "white",
+              color: "#1e3a8a",
+              cursor: places.length ? "pointer" : "default",
+              opacity: places.length ? 1 : 0.5,
+              fontSize: "14px",
+              fontWeight: "600",
+            }}
+          >
+            {shareCopied ? `✅ ${t("toolbar.shareCopied")}` : `🔗 ${t("toolbar.share")}`}
+          </button>
+          <button
+            onClick={handleUndo}
+            disabled={!undoLabel}
+            title={undoLabel ? t("toolbar.undoTitle", { label: undoLabel }) : t("toolbar.nothingToUndo")}
+            style={{
+              padding: "8px 14px",
+              borderRadius: "8px",
+              border: "2px solid #2F80ED",
+              backgroundColor: "white",
+              color: "#1e3a8a",
+              cursor: undoLabel ? "pointer" : "default",
+              opacity: undoLabel ? 1 : 0.5,
+              fontSize: "14px",
+              fontWeight: "600",
+            }}
+          >
+            ↶ {t("toolbar.undo")}
+          </button>
+          <button
+            onClick={handleRedo}
+            disabled={!redoLabel}
+            title={redoLabel ? t("toolbar.redoTitle", { label: redoLabel }) : t("toolbar.nothingToRedo")}
+            style={{
+              padding: "8px 14px",
+              borderRadius: "8px",
+              border: "2px solid #2F80ED",
+              backgroundColor: "white",
+              color: "#1e3a8a",
+              cursor: redoLabel ? "pointer" : "default",
+              opacity: redoLabel ? 1 : 0.5,
+              fontSize: "14px",
+              fontWeight: "600",
+            }}
+          >
+            ↷ {t("toolbar.redo")}
+          </button>
+        </div>
+      </div>
+
+      {overdue.length > 0 && (
+        <OverduePrompt
+          visits={overdue}
+          onMarkVisited={(visit) => reviewPlan(visit, true)}
+          onDismiss={(visit) => reviewPlan(visit, false)}
+        />
+      )}
+
+      {showCalendar && (
+        <CalendarView
+          visits={visits}
+          overlaps={overlaps}
+          overlapIds={overlapIds}
+          onSelect={openPlaceAnywhere}
+          onExport={handleExportCalendar}
+          onClose={() => setShowCalendar(false)}
+        />
+      )}
+
+      {showAlerts && (
+        <AlertsPanel alerts={alertHistory} onSelect={openPlaceAnywhere} onClose={() => setShowAlerts(false)} />
+      )}
+
+      {showSettings && (
+        <SettingsPanel
+          homeCandidates={allPlaces.filter(hasCoords)}
+          syncStatus={syncStatus}
+          onSyncNow={syncNow}
+          onClose={() => setShowSettings(false)}
+        />
+      )}
+
+      {showBudget && (
+        <BudgetPanel
+          settings={budgetSettings}
+          onSettingsChange={(budget) => setStore((prev) => ({ ...prev, budget }))}
+          places={places}
+          lists={store.lists}
+          tags={tags}
+          onClose={() => setShowBudget(false)}
         />
+      )}
+
+      {showStats && (
+        <StatsDashboard
+          places={statsScope === "all" ? allPlaces : places}
+          scope={statsScope}
+          onScopeChange={setStatsScope}
+          home={homePlace}
+          homeCandidates={allPlaces.filter(hasCoords)}
+          onHomeChange={(placeId) => setStore((prev) => ({ ...prev, homePlaceId: placeId }))}
+          onLookupCountries={() => handleLookupCountries(statsScope === "all" ? allPlaces : places)}
+          lookingUp={lookingUpCountries}
+          onClose={() => setShowStats(false)}
+        />
+      )}
+
+      {/* Input */}
+      <div style={{ marginBottom: "30px", display: "flex", gap: "10px", flexWrap: "wrap", justifyContent: "center" }}>
+        <div style={{ position: "relative", flex: "1", minWidth: "250px", display: "flex" }}>
+          <input
+            type="text"
+            role="combobox"
+            aria-label={t("add.placeholder")}
+            aria-autocomplete="list"
+            aria-expanded={suggestionsOpen}
+            aria-controls="place-suggestions"
+            aria-activedescendant={activeSuggestion === -1 ? undefined : `place-suggestions-${activeSuggestion}`}
+            placeholder={t("add.placeholder")}
+            value={input}
+            onChange={(e) => {
+              setInput(e.target.value);
+              setSearchError(null);
+              setShowSuggestions(true);
+              setSuggestionIndex(-1);
+            }}
+            onKeyDown={(e) => {
+              if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+                e.preventDefault();
+                setShowSuggestions(true);
+                if (suggestions.length === 0) return;
+                const last = suggestions.length - 1;
+                if (e.key === "ArrowDown") setSuggestionIndex(activeSuggestion >= last ? 0 : activeSuggestion + 1);
+                else setSuggestionIndex(activeSuggestion <= 0 ? last : activeSuggestion - 1);
+              } else if (e.key === "Enter") {
+                setShowSuggestions(false);
+                if (activeSuggestion !== -1) {
+                  const result = suggestions[activeSuggestion];
+                  addPlaceFromResult(result, result.name);
+                } else {
+                  handleAdd();
+                }
+              } else if (e.key === "Escape") {
+                setShowSuggestions(false);
+                setSuggestionIndex(-1);
+              }
+            }}
+            onFocus={() => setShowSuggestions(true)}
+            onBlur={() => setShowSuggestions(false)}
+            style={{
+              padding: "15px 20px",
+              flex: "1",
+              borderRadius: "10px",
+              border: searchError ? "2px solid #f22020" : "2px solid #2F80ED",
+              fontSize: "16px",
+              outline: "none",
+              transition: "all 0.3s",
+              backgroundColor: "#e3f2fd",
+              color: "#000",
+            }}
+          />
+          {showSuggestions && (
+            <Suggestions
+              id="place-suggestions"
+              suggestions={suggestions}
+              loading={suggestionsLoading}
+              activeIndex={activeSuggestion}
+              onPick={(result) => {
+                setShowSuggestions(false);
+                addPlaceFromResult(result, result.name);
+              }}
+            />
+          )}
+        </div>
         <button
           onClick={handleAdd}
           style={{
@@ -439,10 +1169,26 @@ export default function App() {
           onMouseOver={(e) => e.target.style.transform = "scale(1.05)"}
           onMouseOut={(e) => e.target.style.transform = "scale(1)"}
         >
-          ✈️ Add Place
+          ✈️ {t("add.button")}
         </button>
         {places.length > 0 && (
           <>
+            <button
+              onClick={() => (routeMode ? closeRoute() : setRouteMode(true))}
+              style={{
+                padding: "15px 30px",
+                borderRadius: "10px",
+                border: "none",
+                backgroundColor: "#9b51e0",
+                color: "white",
+                cursor: "pointer",
+                whiteSpace: "nowrap",
+                fontSize: "16px",
+                fontWeight: "600",
+              }}
+            >
+              🧭 {t("route.title")}
+            </button>
             <button
               onClick={refreshAllWeather}
               style={{
@@ -457,7 +1203,7 @@ export default function App() {
                 fontWeight: "600",
               }}
             >
-              🌤️ Check Weather
+              🌤️ {t("weather.check")}
             </button>
             <button
               onClick={handleClearAll}
@@ -473,43 +1219,118 @@ export default function App() {
                 fontWeight: "600",
               }}
             >
-              Clear All
+              {t("add.clearAll")}
             </button>
           </>
         )}
       </div>
 
+      {searchError && (
+        <p style={{ color: "#f22020", marginTop: "-20px", marginBottom: "25px", textAlign: "center" }}>
+          {t(`geocoding.${searchError.type}`, { fallback: searchError.message })}
+        </p>
+      )}
+      {weatherNotice && (
+        <p role="status" style={{ color: "#2b8a3e", marginTop: "-20px", marginBottom: "25px", textAlign: "center" }}>
+          {weatherNotice}
+        </p>
+      )}
+
+      {/* Tags for the next place added */}
+      <div style={{ marginTop: "-15px", marginBottom: "25px", display: "flex", gap: "10px", alignItems: "center", flexWrap: "wrap" }}>
+        <span style={{ fontSize: "14px", color: "#666" }}>{t("add.tags")}</span>
+        <TagPicker
+          tags={tags}
+          selectedIds={newTagIds}
+          onToggle={(tagId) =>
+            setNewTagIds((prev) => (prev.includes(tagId) ? prev.filter((id) => id !== tagId) : [...prev, tagId]))
+          }
+          onCreate={(name) => {
+            const tagId = handleCreateTag(name);
+            setNewTagIds((prev) => (prev.includes(tagId) ? prev : [...prev, tagId]));
+          }}
+        />
+      </div>
+
+      {routeMode && (
+        <RoutePanel
+          candidates={routeCandidates}
+          route={route}
+          startId={routeStartId}
+          endId={routeEndId}
+          onStartChange={setRouteStartId}
+          onEndChange={setRouteEndId}
+          onPlan={handlePlanRoute}
+          onApply={handleApplyRoute}
+          onClose={closeRoute}
+        />
+      )}
+
+      {places.length > 0 && (
+        <FilterBar
+          filter={filter}
+          onChange={setFilter}
+          tags={tags}
+          onRecolorTag={handleRecolorTag}
+          onDeleteTag={handleDeleteTag}
+          shown={shownPlaces.length}
+          total={places.length}
+          climatePending={climatePending}
+        />
+      )}
+      {places.length > 1 && (
+        <SortControl
+          sort={sort}
+          onChange={handleSortChange}
+          location={myLocation}
+          home={homePlace}
+          homeCandidates={allPlaces.filter(hasCoords)}
+          onHomeChange={(placeId) => setStore((prev) => ({ ...prev, homePlaceId: placeId }))}
+        />
+      )}
+
       {/* List */}
       <DndContext
         sensors={sensors}
         collisionDetection={closestCenter}
         onDragEnd={handleDragEnd}
+        accessibility={{ announcements: dragAnnouncements, screenReaderInstructions: { draggable: t("a11y.dragInstructions") } }}
       >
         <SortableContext
-          items={places.map((_, i) => i)}
+          items={shownIds}
           strategy={verticalListSortingStrategy}
+          disabled={sort.sort !== MANUAL_SORT}
         >
-          <ul style={{ listStyle: "none", padding: 0, marginBottom: "30px", maxWidth: "100%" }}>
-            {places.map((place, index) => (
+          <VirtualList
+            items={shownPlaces}
+            getKey={placeKey}
+            renderItem={(place) => (
               <SortableItem
-                key={index}
-                id={index}
+                key={place.id}
                 place={place}
-                index={index}
-                visited={visited[index]}
+                weather={weatherById[place.id]}
+                now={now}
                 toggleVisited={toggleVisited}
-                weather={weather[index]}
                 handleDelete={handleDelete}
+                otherLists={otherLists}
+                handleTransfer={handleTransfer}
+                tagsById={tagsById}
+                allTags={tags}
+                setPlaceTags={setPlaceTags}
+                handleCreateTag={handleCreateTag}
+                openDetails={setSelectedPlaceId}
+                draggable={sort.sort === MANUAL_SORT}
+                budgetLabel={budgetLabels.get(place.id)}
               />
-            ))}
-          </ul>
+            )}
+          />
         </SortableContext>
       </DndContext>
 
       {/* Map */}
       <MapContainer
-        center={coords.length ? [coords[0].lat, coords[0].lng] : [20, 0]}
-        zoom={coords.length ? 4 : 2}
+        center={settings.mapHome ? [settings.mapHome.lat, settings.mapHome.lng] : mapped.length ? [mapped[0].lat, mapped[0].lng] : [20, 0]}
+        zoom={settings.mapHome || mapped.length ? settings.mapZoom : 2}
         style={{ 
           height: "clamp(400px, 60vh, 700px)", 
           width: "100%", 
@@ -520,221 +1341,65 @@ export default function App() {
         }}
       >
         <MapRefresher />
+        <MapHome home={settings.mapHome} zoom={settings.mapZoom} />
+        <CountryLegend enabled={showCountries} onToggle={setShowCountries} />
+        {showCountries && <CountryLayer places={places} />}
+        <MapClickAdd onAdd={(result) => addPlace(result, result.name)} />
+        {routeMode && route && <RouteLayer route={route} placesById={placesById} />}
         <TileLayer 
-          url="https://{s}.basemaps.cartocdn.com/rastertiles/voyager/{z}/{x}/{y}{r}.png"
-          attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>'
+          url={TILE_URL}
+          attribution={TILE_ATTRIBUTION}
         />
-        {coords.map((c, index) => (
-          <Marker 
-            key={index} 
-            position={[c.lat, c.lng]}
-            icon={visited[index] ? greenIcon : redIcon}
-            eventHandlers={{
-              click: () => {
-                setSelectedPlace(places[index]);
-              }
-            }}
-          >
-            <Popup>
-              <div style={{ textAlign: "center" }}>
-                <strong>{places[index]}</strong>
-                {visited[index] && <div style={{ color: "#51cf66", marginTop: "5px" }}>✅ Visited</div>}
-              </div>
-            </Popup>
-          </Marker>
-        ))}
+        <PlaceMarkers places={mapped} tagsById={tagsById} onSelect={selectFromMap} activeId={activeMarkerId} />
       </MapContainer>
+      {mapped.length > 0 && (
+        <MapPlaceList
+          places={mapped}
+          activeId={activeMarkerId}
+          onActivate={setActiveMarkerId}
+          onOpen={setSelectedPlaceId}
+        />
+      )}
       </div>
 
       {/* Search Results Modal */}
       {searchResults && (
-        <div
-          style={{
-            position: "fixed",
-            top: 0,
-            left: 0,
-            right: 0,
-            bottom: 0,
-            backgroundColor: "rgba(0, 0, 0, 0.8)",
-            display: "flex",
-            justifyContent: "center",
-            alignItems: "center",
-            zIndex: 1000,
-            padding: "20px",
-          }}
-          onClick={() => setSearchResults(null)}
-        >
-          <div
-            style={{
-              backgroundColor: "white",
-              borderRadius: "10px",
-              padding: "30px",
-              maxWidth: "600px",
-              width: "100%",
-              maxHeight: "80vh",
-              overflow: "auto",
-              color: "#333",
-            }}
-            onClick={(e) => e.stopPropagation()}
-          >
-            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "20px" }}>
-              <h2 style={{ margin: 0 }}>Which "{input}" did you mean?</h2>
-              <button
-                onClick={() => setSearchResults(null)}
-                style={{
-                  padding: "8px 15px",
-                  borderRadius: "5px",
-                  border: "none",
-                  backgroundColor: "#f44336",
-                  color: "white",
-                  cursor: "pointer",
-                  fontSize: "16px",
-                }}
-              >
-                ✕
-              </button>
-            </div>
-            <div style={{ marginTop: "20px" }}>
-              {searchResults.map((result, index) => (
-                <div
-                  key={index}
-                  onClick={() => addPlaceFromResult(result)}
-                  style={{
-                    padding: "15px",
-                    marginBottom: "10px",
-                    border: "2px solid #e0e0e0",
-                    borderRadius: "8px",
-                    cursor: "pointer",
-                    transition: "all 0.2s",
-                    backgroundColor: "white",
-                  }}
-                  onMouseOver={(e) => {
-                    e.currentTarget.style.borderColor = "#2F80ED";
-                    e.currentTarget.style.backgroundColor = "#f0f7ff";
-                  }}
-                  onMouseOut={(e) => {
-                    e.currentTarget.style.borderColor = "#e0e0e0";
-                    e.currentTarget.style.backgroundColor = "white";
-                  }}
-                >
-                  <div style={{ fontWeight: "600", marginBottom: "5px", color: "#1e3a8a" }}>
-                    {result.display_name}
-                  </div>
-                  <div style={{ fontSize: "12px", color: "#666" }}>
-                    Type: {result.type || "Unknown"} • Class: {result.class || "Unknown"}
-                  </div>
-                </div>
-              ))}
-            </div>
-          </div>
-        </div>
+        <SearchResults
+          query={input}
+          results={searchResults}
+          onPick={(result) => addPlaceFromResult(result)}
+          onClose={() => setSearchResults(null)}
+        />
+      )}
+
+      {/* Import Preview Modal */}
+      {importPreview && (
+        <ImportPreview
+          preview={importPreview}
+          listName={activeList.name}
+          onConfirm={handleConfirmImport}
+          onCancel={() => setImportPreview(null)}
+        />
       )}
 
-      {/* Attractions Page Modal */}
+      {/* Place Detail Modal */}
       {selectedPlace && (
-        <div
-          style={{
-            position: "fixed",
-            top: 0,
-            left: 0,
-            right: 0,
-            bottom: 0,
-            backgroundColor: "rgba(74, 207, 167, 0.8)",
-            display: "flex",
-            justifyContent: "center",
-            alignItems: "center",
-            zIndex: 1000,
-            padding: "20px",
-          }}
-          onClick={() => setSelectedPlace(null)}
-        >
-          <div
-            style={{
-              backgroundColor: "white",
-              borderRadius: "10px",
-              padding: "30px",
-              maxWidth: "600px",
-              width: "100%",
-              maxHeight: "80vh",
-              overflow: "auto",
-              color: "#333",
-            }}
-            onClick={(e) => e.stopPropagation()}
-          >
-            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "20px" }}>
-              <h2 style={{ margin: 0 }}>Top Attractions in {selectedPlace}</h2>
-              <button
-                onClick={() => setSelectedPlace(null)}
-                style={{
-                  padding: "8px 15px",
-                  borderRadius: "5px",
-                  border: "none",
-                  backgroundColor: "#f44336",
-                  color: "white",
-                  cursor: "pointer",
-                  fontSize: "16px",
-                }}
-              >
-                ✕
-              </button>
-            </div>
-            <div style={{ marginTop: "20px" }}>
-              <p style={{ marginBottom: "15px" }}>Explore popular attractions and activities in {selectedPlace}:</p>
-              <a
-                href={`https://www.google.com/search?q=top+attractions+in+${encodeURIComponent(selectedPlace)}`}
-                target="_blank"
-                rel="noopener noreferrer"
-                style={{
-                  display: "inline-block",
-                  padding: "12px 24px",
-                  backgroundColor: "#3e7ee6",
-                  color: "white",
-                  textDecoration: "none",
-                  borderRadius: "5px",
-                  marginRight: "10px",
-                  marginBottom: "10px",
-                }}
-              >
-                🔍 Search on Google
-              </a>
-              <a
-                href={`https://en.wikipedia.org/wiki/${encodeURIComponent(selectedPlace)}`}
-                target="_blank"
-                rel="noopener noreferrer"
-                style={{
-                  display: "inline-block",
-                  padding: "12px 24px",
-                  backgroundColor: "#000",
-                  color: "white",
-                  textDecoration: "none",
-                  borderRadius: "5px",
-                  marginRight: "10px",
-                  marginBottom: "10px",
-                }}
-              >
-                📖 Wikipedia
-              </a>
-              <a
-                href={`https://www.tripadvisor.com/Search?q=${encodeURIComponent(selectedPlace)}`}
-                target="_blank"
-                rel="noopener noreferrer"
-                style={{
-                  display: "inline-block",
-                  padding: "12px 24px",
-                  backgroundColor: "#00af87",
-                  color: "white",
-                  textDecoration: "none",
-                  borderRadius: "5px",
-                  marginBottom: "10px",
-                }}
-              >
-                ✈️ TripAdvisor
-              </a>
-            </div>
-          </div>
-        </div>
+        <PlaceDetail
+          key={selectedPlace.id}
+          place={selectedPlace}
+          onChange={(patch) => updatePlace(selectedPlace.id, patch)}
+          tagsById={tagsById}
+          budgetSettings={budgetSettings}
+          overlapIds={overlapIds}
+          onClose={() => setSelectedPlaceId(null)}
+        />
       )}
+
+      {toast && <UndoToast message={toast} onUndo={handleUndo} onDismiss={dismissToast} />}
+      {alertPopups.length > 0 && <AlertToasts alerts={alertPopups} onOpen={openPlaceAnywhere} />}
+      <Announcer announcement={announcement} />
     </div>
+    </SettingsContext.Provider>
   );
 }
 
@@ -0,0 +1,57 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { STORE_KEY, SCHEMA_VERSION, DEFAULT_BUDGET_SETTINGS, createList, createPlace } from "./placeStore";
+
+// Every render of a list row calls useSortable once, so count those per place
+const rowRenders = vi.hoisted(() => new Map());
+vi.mock("@dnd-kit/sortable", async (importOriginal) => {
+  const actual = await importOriginal();
+  return {
+    ...actual,
+    useSortable: (options) => {
+      rowRenders.set(options.id, (rowRenders.get(options.id) || 0) + 1);
+      return actual.useSortable(options);
+    },
+  };
+});
+
+const { default: App } = await import("./App");
+
+// jsdom has no layout to scroll
+Element.prototype.scrollIntoView = () => {};
+
+describe("App list rows", () => {
+  beforeEach(() => {
+    localStorage.clear();
+    rowRenders.clear();
+  });
+
+  it("re-renders only the row whose place changed", async () => {
+    // No coordinates, so nothing is fetched
+    const places = ["Lisbon", "Kyoto", "Quito"].map((name) => createPlace({ name, lat: null, lng: null }));
+    const list = createList({ name: "Trips", places });
+    const other = createList({ name: "Someday" });
+    localStorage.setItem(STORE_KEY, JSON.stringify({
+      version: SCHEMA_VERSION,
+      activeListId: list.id,
+      tags: [],
+      budget: DEFAULT_BUDGET_SETTINGS,
+      updatedAt: null,
+      deleted: {},
+      lists: [list, other],
+    }));
+
+    const user = userEvent.setup();
+    render(<App />);
+    const initial = new Map(rowRenders);
+
+    // The last place, as marking one visited moves it to the bottom
+    await user.click(screen.getByRole("checkbox", { name: /Quito/ }));
+
+    expect(screen.getByRole("checkbox", { name: /Quito/ }).checked).toBe(true);
+    expect(rowRenders.get(places[2].id)).toBeGreaterThan(initial.get(places[2].id));
+    expect(rowRenders.get(places[0].id)).toBe(initial.get(places[0].id));
+    expect(rowRenders.get(places[1].id)).toBe(initial.get(places[1].id));
+  });
+});
@@ -0,0 +1,130 @@
+// Weather alerts for planned visits: per-place rules checked against the
+// 7-day forecast for the days a place is planned, and a history of what was
+// raised, persisted to localStorage.
+//
+// A place's `alertRules` lists the rule ids it watches; places without the
+// field watch every rule. An alert is
+//   { id, placeId, name, date, rule, max }
+// and its id (place, day, rule) makes sure each one is raised only once.
+
+import { today } from "./calendar";
+
+export const ALERT_HISTORY_KEY = "weatherAlerts";
+// Entries for past days kept
+const HISTORY_LIMIT = 100;
+
+// Daily highs at or above this (°C) count as extreme heat
+export const HEAT_C = 35;
+
+const STORM_CODES = new Set([95, 96, 99]);
+const HEAVY_RAIN_CODES = new Set([65, 82]);
+const SNOW_CODES = new Set([71, 73, 75, 77, 85, 86]);
+
+// Rule id -> icon and test against one forecast day ({ max, code, ... })
+export const ALERT_RULES = {
+  storm: { icon: "⛈️", test: (day) => STORM_CODES.has(day.code) },
+  heavyRain: { icon: "🌧️", test: (day) => HEAVY_RAIN_CODES.has(day.code) },
+  heat: { icon: "🥵", test: (day) => day.max >= HEAT_C },
+  snow: { icon: "❄️", test: (day) => SNOW_CODES.has(day.code) },
+};
+
+export const ALERT_RULE_IDS = Object.keys(ALERT_RULES);
+
+export const rulesFor = (place) => place.alertRules ?? ALERT_RULE_IDS;
+
+const isPlannedOn = (place, date) => (place.plans || []).some((plan) => plan.start <= date && date <= plan.end);
+
+// Places with a planned visit between `from` and `to`, inclusive
+export const plannedBetween = (places, from, to) =>
+  places.filter((place) => (place.plans || []).some((plan) => plan.end >= from && plan.start <= to));
+
+// Every alert the cached forecasts raise for planned days
+export const findAlerts = (places, weatherById, on = today()) =>
+  places.flatMap((place) => {
+    const days = (weatherById[place.id]?.daily || []).filter((day) => day.date >= on && isPlannedOn(place, day.date));
+    return days.flatMap((day) =>
+      rulesFor(place)
+        .filter((rule) => ALERT_RULES[rule]?.test(day))
+        .map((rule) => ({
+          id: `${place.id}:${day.date}:${rule}`,
+          placeId: place.id,
+          name: place.name,
+          date: day.date,
+          rule,
+          max: day.max,
+        }))
+    );
+  });
+
+// History, newest first: alerts plus { at, read, dismissed, hidden }.
+// `dismissed` hides one from the in-app pop-ups, `hidden` from the history
+// panel; hidden entries are kept so a cleared alert isn't raised again.
+// Alerts are only raised for days still to come, so entries for those are
+// always kept and only the older ones are capped at HISTORY_LIMIT.
+
+const prune = (entries, on = today()) => {
+  let past = 0;
+  return entries.filter((entry) => entry.date >= on || past++ < HISTORY_LIMIT);
+};
+
+const loadHistory = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(ALERT_HISTORY_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+};
+
+let history = loadHistory();
+const listeners = new Set();
+
+const commit = (next) => {
+  history = next;
+  try {
+    localStorage.setItem(ALERT_HISTORY_KEY, JSON.stringify(history));
+  } catch (error) {
+    console.error("Could not save weather alerts:", error);
+  }
+  listeners.forEach((listener) => listener());
+};
+
+// For useSyncExternalStore; also picks up alerts recorded in other tabs
+export const subscribeAlerts = (listener) => {
+  const onStorage = (e) => {
+    if (e.key !== ALERT_HISTORY_KEY) return;
+    history = loadHistory();
+    listener();
+  };
+  listeners.add(listener);
+  window.addEventListener("storage", onStorage);
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener("storage", onStorage);
+  };
+};
+
+export const getAlertHistory = () => history;
+
+// Add the alerts not raised before; returns those
+export const recordAlerts = (alerts, at = Date.now()) => {
+  const known = new Set(history.map((entry) => entry.id));
+  const added = alerts.filter((alert) => !known.has(alert.id));
+  if (added.length > 0) {
+    const entries = added.map((alert) => ({ ...alert, at, read: false, dismissed: false, hidden: false }));
+    commit(prune([...entries, ...history]));
+  }
+  return added;
+};
+
+const updateEntries = (fn) => commit(history.map(fn));
+
+export const dismissAlert = (id) =>
+  updateEntries((entry) => (entry.id === id ? { ...entry, dismissed: true, read: true } : entry));
+
+export const markAlertsRead = () => {
+  if (history.some((entry) => !entry.read)) updateEntries((entry) => ({ ...entry, read: true }));
+};
+
+export const clearAlertHistory = () =>
+  updateEntries((entry) => ({ ...entry, read: true, dismissed: true, hidden: true }));
@@ -0,0 +1,29 @@
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { addDays, today } from "./calendar";
+
+const alert = (id, date) => ({ id, placeId: "p", name: "Lisbon", date, rule: "storm", max: 20 });
+
+describe("alert history", () => {
+  let alerts;
+
+  beforeEach(async () => {
+    localStorage.clear();
+    // The history is module state, loaded from storage on import
+    vi.resetModules();
+    alerts = await import("./alerts");
+  });
+
+  it("doesn't raise a cleared alert again, however many come after it", () => {
+    const upcoming = alert("p:soon:storm", addDays(today(), 2));
+    expect(alerts.recordAlerts([upcoming])).toHaveLength(1);
+    alerts.clearAlertHistory();
+
+    const past = Array.from({ length: 150 }, (_, i) => alert(`p:${i}:heat`, "2000-01-01"));
+    alerts.recordAlerts(past);
+
+    expect(alerts.recordAlerts([upcoming])).toEqual([]);
+    const history = alerts.getAlertHistory();
+    expect(history.filter((entry) => entry.date < today())).toHaveLength(100);
+    expect(history.find((entry) => entry.id === upcoming.id).hidden).toBe(true);
+  });
+});
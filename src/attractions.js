@@ -0,0 +1,157 @@
+// Attraction content for a place: a Wikipedia summary and nearby points of
+// interest from OpenStreetMap (via Overpass). Both resolve to a typed result
+// instead of throwing, like geocoding.js:
+//   { ok: true, summary } (summary may be null) | { ok: true, pois }
+//   | { ok: false, error: { message } }
+//
+// VITE_WIKIPEDIA_URL and VITE_OVERPASS_URL point these at other endpoints
+// (e.g. a local mock). `{lang}` in the Wikipedia URL is replaced with the
+// article's language.
+
+import { hasCoords } from "./placeStore";
+import { distanceKm } from "./geo";
+
+export const WIKIPEDIA_URL = import.meta.env.VITE_WIKIPEDIA_URL || "https://{lang}.wikipedia.org";
+export const OVERPASS_URL = import.meta.env.VITE_OVERPASS_URL || "https://overpass-api.de/api/interpreter";
+
+// How far around a place to look for an article and for POIs
+const ARTICLE_RADIUS_M = 10000;
+export const POI_RADIUS_M = 3000;
+const POI_LIMIT = 20;
+
+// OSM tags we treat as points of interest, with an icon each. A POI's `kind`
+// is the tag value, labelled by the "poi.<kind>" strings.
+const POI_KINDS = [
+  { key: "tourism", value: "museum", icon: "🏛️" },
+  { key: "tourism", value: "gallery", icon: "🖼️" },
+  { key: "tourism", value: "viewpoint", icon: "🔭" },
+  { key: "tourism", value: "attraction", icon: "⭐" },
+  { key: "leisure", value: "park", icon: "🌳" },
+  { key: "historic", value: "castle", icon: "🏰" },
+  { key: "historic", value: "monument", icon: "🗿" },
+];
+
+const wikiBase = (lang = "en") => WIKIPEDIA_URL.replace("{lang}", lang);
+
+const requestJSON = async (url, options) => {
+  let response;
+  try {
+    response = await fetch(url, { ...options, headers: { Accept: "application/json", ...options?.headers } });
+  } catch {
+    throw new Error("Could not reach the service");
+  }
+  if (!response.ok) throw new Error(`Service error (${response.status})`);
+  return response.json();
+};
+
+const overpass = (query) =>
+  requestJSON(OVERPASS_URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({ data: query }),
+  });
+
+// "fr:Paris" from an OSM element's wikipedia tag, if it has one
+const articleFromOsm = async ({ osmType, osmId }) => {
+  if (!osmType || osmId == null) return null;
+  const data = await overpass(`[out:json][timeout:15];${osmType}(${osmId});out tags;`);
+  const tag = data.elements?.[0]?.tags?.wikipedia;
+  const match = tag?.match(/^([a-z-]+):(.+)$/);
+  return match ? { lang: match[1], title: match[2] } : null;
+};
+
+// Nearest article to the coordinates, preferring one titled like the place
+const articleNear = async (place, lang) => {
+  const params = new URLSearchParams({
+    action: "query",
+    list: "geosearch",
+    gscoord: `${place.lat}|${place.lng}`,
+    gsradius: String(ARTICLE_RADIUS_M),
+    gslimit: "10",
+    format: "json",
+    origin: "*",
+  });
+  const data = await requestJSON(`${wikiBase(lang)}/w/api.php?${params}`);
+  const found = data.query?.geosearch || [];
+  const fullName = place.name.trim().toLowerCase();
+  const shortName = fullName.split(",")[0].trim();
+  const best =
+    found.find((article) => article.title.toLowerCase() === fullName) ||
+    found.find((article) => article.title.toLowerCase().startsWith(shortName)) ||
+    found[0];
+  return best ? { lang, title: best.title } : null;
+};
+
+const summaryCache = new Map();
+const poiCache = new Map();
+
+// Wikipedia summary for the place, found from its OSM element or, failing
+// that, by coordinates in the `lang` Wikipedia
+export const fetchWikiSummary = async (place, { lang = "en" } = {}) => {
+  const key = `${place.geocode?.osmType}/${place.geocode?.osmId}@${place.lat},${place.lng}:${lang}`;
+  if (summaryCache.has(key)) return { ok: true, summary: summaryCache.get(key) };
+
+  try {
+    let article = null;
+    try {
+      article = place.geocode ? await articleFromOsm(place.geocode) : null;
+    } catch {
+      // fall back to a coordinate search
+    }
+    if (!article && hasCoords(place)) article = await articleNear(place, lang);
+
+    let summary = null;
+    if (article) {
+      const data = await requestJSON(
+        `${wikiBase(article.lang)}/api/rest_v1/page/summary/${encodeURIComponent(article.title.replace(/ /g, "_"))}`
+      );
+      summary = {
+        title: data.title,
+        extract: data.extract || "",
+        thumbnail: data.thumbnail?.source || null,
+        url: data.content_urls?.desktop?.page || `${wikiBase(article.lang)}/wiki/${encodeURIComponent(article.title)}`,
+      };
+    }
+    summaryCache.set(key, summary);
+    return { ok: true, summary };
+  } catch (error) {
+    return { ok: false, error: { message: `Could not load the Wikipedia summary: ${error.message}` } };
+  }
+};
+
+const kindOf = (tags) => POI_KINDS.find(({ key, value }) => tags[key] === value) || null;
+
+// Named museums, viewpoints, parks and the like around the place, nearest first
+export const fetchNearbyPois = async (place) => {
+  const key = `${place.lat},${place.lng}`;
+  if (poiCache.has(key)) return { ok: true, pois: poiCache.get(key) };
+
+  const around = `(around:${POI_RADIUS_M},${place.lat},${place.lng})`;
+  const filters = POI_KINDS.map(({ key: tag, value }) => `nwr${around}["${tag}"="${value}"]["name"];`).join("");
+  try {
+    const data = await overpass(`[out:json][timeout:25];(${filters});out center tags 100;`);
+    const pois = (data.elements || [])
+      .map((element) => {
+        const lat = element.lat ?? element.center?.lat;
+        const lng = element.lon ?? element.center?.lon;
+        const kind = kindOf(element.tags || {});
+        if (!Number.isFinite(lat) || !Number.isFinite(lng) || !kind) return null;
+        return {
+          id: `${element.type}/${element.id}`,
+          name: element.tags.name,
+          kind: kind.value,
+          icon: kind.icon,
+          lat,
+          lng,
+          distanceKm: distanceKm(place, { lat, lng }),
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.distanceKm - b.distanceKm)
+      .slice(0, POI_LIMIT);
+    poiCache.set(key, pois);
+    return { ok: true, pois };
+  } catch (error) {
+    return { ok: false, error: { message: `Could not load nearby places: ${error.message}` } };
+  }
+};
@@ -0,0 +1,80 @@
+// Trip budgets. Each place holds line items in any currency; the store holds
+// a home currency and user-entered rates, where rates[code] is what one unit
+// of `code` is worth in the home currency.
+
+import { createId } from "./placeStore";
+
+// Labels are the "budget.category.<id>" strings
+export const BUDGET_CATEGORIES = [
+  { id: "flights", icon: "✈️" },
+  { id: "lodging", icon: "🏨" },
+  { id: "food", icon: "🍜" },
+  { id: "activities", icon: "🎟️" },
+  { id: "other", icon: "📦" },
+];
+
+export const CURRENCIES = ["USD", "EUR", "GBP", "JPY", "AUD", "CAD", "CHF", "CNY", "INR", "LKR", "NZD", "SGD", "THB", "ZAR"];
+
+export const createBudgetItem = ({ category = "other", label = "", amount = 0, currency }) => ({
+  id: createId(),
+  category,
+  label,
+  amount,
+  currency,
+});
+
+// Amount in the home currency, or null when we have no rate for it
+export const toHome = (amount, currency, { homeCurrency, rates }) => {
+  if (currency === homeCurrency) return amount;
+  const rate = rates[currency];
+  return Number.isFinite(rate) && rate > 0 ? amount * rate : null;
+};
+
+// Totals over the places' line items, in the home currency:
+// { total, byCategory: { [category]: amount }, items, missing: [currencies without a rate] }
+export const budgetTotals = (places, settings) => {
+  const byCategory = Object.fromEntries(BUDGET_CATEGORIES.map(({ id }) => [id, 0]));
+  const missing = new Set();
+  let total = 0;
+  let items = 0;
+  places.forEach((place) =>
+    (place.budget || []).forEach((item) => {
+      items++;
+      const amount = toHome(item.amount, item.currency, settings);
+      if (amount === null) {
+        missing.add(item.currency);
+        return;
+      }
+      total += amount;
+      byCategory[item.category in byCategory ? item.category : "other"] += amount;
+    })
+  );
+  return { total, byCategory, items, missing: [...missing] };
+};
+
+// Switch home currency, re-expressing the rates in it when we know how the
+// two relate; otherwise the old rates no longer mean anything and are dropped
+export const changeHomeCurrency = ({ homeCurrency, rates }, next) => {
+  if (next === homeCurrency) return { homeCurrency, rates };
+  const pivot = rates[next];
+  if (!(pivot > 0)) return { homeCurrency: next, rates: {} };
+  const rebased = { [homeCurrency]: Number((1 / pivot).toPrecision(6)) };
+  Object.entries(rates).forEach(([code, rate]) => {
+    if (code !== next) rebased[code] = Number((rate / pivot).toPrecision(6));
+  });
+  return { homeCurrency: next, rates: rebased };
+};
+
+// Currencies used by any item that aren't the home currency
+export const foreignCurrencies = (places, { homeCurrency }) =>
+  [...new Set(places.flatMap((place) => (place.budget || []).map((item) => item.currency)))]
+    .filter((code) => code !== homeCurrency)
+    .sort();
+
+export const formatMoney = (amount, currency, locale) => {
+  try {
+    return new Intl.NumberFormat(locale, { style: "currency", currency, maximumFractionDigits: 0 }).format(amount);
+  } catch {
+    return `${Math.round(amount).toLocaleString(locale)} ${currency}`;
+  }
+};
@@ -0,0 +1,113 @@
+// Planned visits: date ranges on places, overlap checks and iCalendar export.
+//
+// A plan is { id, start, end, reviewed } with inclusive "YYYY-MM-DD" dates.
+// `reviewed` is set once we've asked whether a past plan happened.
+
+import { createId, hasCoords } from "./placeStore";
+
+// "YYYY-MM-DD" for a moment in the user's own time zone (toISOString would
+// give the UTC date, a day off in the evening or early morning)
+export const isoDate = (date = new Date()) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+
+export const today = () => isoDate();
+
+export const createPlan = ({ start, end = start }) => ({ id: createId(), start, end, reviewed: false });
+
+// "YYYY-MM-DD" shifted by whole days
+export const addDays = (date, days) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+};
+
+// Every plan with its place, earliest first: [{ place, plan }]
+export const plannedVisits = (places) =>
+  places
+    .flatMap((place) => (place.plans || []).map((plan) => ({ place, plan })))
+    .sort((a, b) => a.plan.start.localeCompare(b.plan.start) || a.plan.end.localeCompare(b.plan.end));
+
+// Pairs of visits to different places whose ranges share at least one day
+export const findOverlaps = (visits) => {
+  const overlaps = [];
+  visits.forEach((a, i) => {
+    for (let j = i + 1; j < visits.length && visits[j].plan.start <= a.plan.end; j++) {
+      const b = visits[j];
+      if (a.place.id !== b.place.id) overlaps.push([a, b]);
+    }
+  });
+  return overlaps;
+};
+
+// Plan ids that overlap another place's plan
+export const overlappingPlanIds = (overlaps) =>
+  new Set(overlaps.flatMap(([a, b]) => [a.plan.id, b.plan.id]));
+
+// Past plans for places not marked visited that we haven't asked about yet
+export const overdueVisits = (visits, on = today()) =>
+  visits.filter(({ place, plan }) => !place.visited && !plan.reviewed && plan.end < on);
+
+const localDate = (date, options) => new Date(`${date}T00:00:00`).toLocaleDateString(undefined, options);
+
+// "3 – 9 May 2025"; `fmt(date, options)` formats one end of the range
+export const formatRange = ({ start, end }, fmt = localDate) => {
+  if (start === end) return fmt(start, { day: "numeric", month: "short", year: "numeric" });
+  const sameYear = start.slice(0, 4) === end.slice(0, 4);
+  return `${fmt(start, { day: "numeric", month: "short", ...(sameYear ? {} : { year: "numeric" }) })} – ${fmt(end, { day: "numeric", month: "short", year: "numeric" })}`;
+};
+
+// iCalendar text escaping (RFC 5545 3.3.11)
+const icsText = (text) =>
+  String(text).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+
+// Lines longer than 75 octets continue on the next line after a space
+const fold = (line) => {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const char of line) {
+    const length = new TextEncoder().encode(char).length;
+    if (size + length > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += length;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+const icsDate = (date) => date.replace(/-/g, "");
+
+// One all-day VEVENT per planned visit
+export const toICS = (visits, calendarName) => {
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//My Travel Bucket List//EN",
+    "CALSCALE:GREGORIAN",
+    `X-WR-CALNAME:${icsText(calendarName)}`,
+  ];
+  visits.forEach(({ place, plan }) => {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${plan.id}@my-travel-bucket-list`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${icsDate(plan.start)}`,
+      // DTEND is exclusive for all-day events
+      `DTEND;VALUE=DATE:${icsDate(addDays(plan.end, 1))}`,
+      `SUMMARY:${icsText(place.name)}`
+    );
+    if (hasCoords(place)) lines.push(`GEO:${place.lat};${place.lng}`);
+    if (place.geocode?.displayName) lines.push(`LOCATION:${icsText(place.geocode.displayName)}`);
+    if (place.notes) lines.push(`DESCRIPTION:${icsText(place.notes)}`);
+    lines.push("END:VEVENT");
+  });
+  lines.push("END:VCALENDAR");
+  return `${lines.map(fold).join("\r\n")}\r\n`;
+};
@@ -0,0 +1,28 @@
+import { describe, it, expect, afterEach, vi } from "vitest";
+import { addDays, isoDate, today } from "./calendar";
+
+describe("today", () => {
+  const zone = process.env.TZ;
+  afterEach(() => {
+    vi.useRealTimers();
+    process.env.TZ = zone;
+  });
+
+  it("is the local date, not the UTC one", () => {
+    vi.useFakeTimers();
+    // 22:00 on the 19th in California is already the 20th in UTC
+    process.env.TZ = "America/Los_Angeles";
+    vi.setSystemTime(new Date("2026-10-20T05:00:00Z"));
+    expect(today()).toBe("2026-10-19");
+
+    // 08:00 on the 20th in Tokyo is still the 19th in UTC
+    process.env.TZ = "Asia/Tokyo";
+    vi.setSystemTime(new Date("2026-10-19T23:00:00Z"));
+    expect(today()).toBe("2026-10-20");
+  });
+
+  it("formats any local moment as YYYY-MM-DD", () => {
+    expect(isoDate(new Date(2026, 0, 5, 23, 59))).toBe("2026-01-05");
+    expect(addDays("2026-12-31", 1)).toBe("2027-01-01");
+  });
+});
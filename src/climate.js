@@ -0,0 +1,194 @@
+// Typical weather by month, for planning trips months ahead, behind a small
+// provider interface like geocoding.js.
+//
+// A provider is { name, monthly(lat, lng) } resolving to twelve months,
+// January first:
+//   [{ month: 1..12, high, low, precipitation, rainyDays }]
+// with average daily high/low in °C, average monthly precipitation in mm and
+// the average number of days with at least 1 mm. Providers throw on failure;
+// fetchClimate() wraps the active one with a cache and resolves to
+//   { ok: true, months } | { ok: false, error: { message } }
+//
+// The default provider averages the last ten full years of Open-Meteo's
+// historical weather archive. VITE_CLIMATE=mock switches to an offline
+// provider that makes up plausible months from the latitude, and
+// VITE_CLIMATE_API_URL points the archive provider at another endpoint.
+
+export const CLIMATE_API_URL = import.meta.env.VITE_CLIMATE_API_URL || "https://archive-api.open-meteo.com/v1";
+export const CLIMATE_CACHE_KEY = "climateCache";
+
+// Years of history averaged into each month
+const YEARS = 10;
+// Climate barely moves, so cached months are kept this long
+const CLIMATE_TTL_MS = 180 * 24 * 60 * 60 * 1000;
+// A day with at least this much precipitation (mm) counts as rainy
+const RAINY_DAY_MM = 1;
+
+export const MONTHS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+
+// What makes a month good to go: average highs within [minTemp, maxTemp] °C
+// and no more than maxRain mm of precipitation
+export const DEFAULT_CLIMATE_PREFS = { minTemp: 20, maxTemp: 28, maxRain: 60 };
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// Daily archive series -> twelve monthly averages
+const averageByMonth = (daily) => {
+  const sums = MONTHS.map(() => ({ high: 0, low: 0, days: 0, precipitation: 0, rainyDays: 0, years: new Set() }));
+  (daily.time || []).forEach((date, i) => {
+    const high = daily.temperature_2m_max[i];
+    const low = daily.temperature_2m_min[i];
+    const rain = daily.precipitation_sum[i];
+    if (high == null || low == null || rain == null) return;
+    const sum = sums[Number(date.slice(5, 7)) - 1];
+    sum.high += high;
+    sum.low += low;
+    sum.precipitation += rain;
+    sum.days += 1;
+    if (rain >= RAINY_DAY_MM) sum.rainyDays += 1;
+    sum.years.add(date.slice(0, 4));
+  });
+  if (sums.some((sum) => sum.days === 0)) throw new Error("Not enough history for every month");
+  return sums.map((sum, i) => ({
+    month: i + 1,
+    high: round1(sum.high / sum.days),
+    low: round1(sum.low / sum.days),
+    precipitation: Math.round(sum.precipitation / sum.years.size),
+    rainyDays: Math.round(sum.rainyDays / sum.years.size),
+  }));
+};
+
+export const createOpenMeteoClimateProvider = (baseUrl = CLIMATE_API_URL) => ({
+  name: "open-meteo",
+  monthly: async (lat, lng) => {
+    const lastYear = new Date().getFullYear() - 1;
+    const params = new URLSearchParams({
+      latitude: lat,
+      longitude: lng,
+      start_date: `${lastYear - YEARS + 1}-01-01`,
+      end_date: `${lastYear}-12-31`,
+      daily: "temperature_2m_max,temperature_2m_min,precipitation_sum",
+      timezone: "auto",
+    });
+    let response;
+    try {
+      response = await fetch(`${baseUrl}/archive?${params}`);
+    } catch {
+      throw new Error("Could not reach the climate service");
+    }
+    if (!response.ok) throw new Error(`Climate service error (${response.status})`);
+    const data = await response.json();
+    if (!data.daily) throw new Error("No climate data for this place");
+    return averageByMonth(data.daily);
+  },
+});
+
+// Offline provider for development and tests: warmer and flatter towards
+// the equator, seasons flipped south of it
+export const createMockClimateProvider = () => ({
+  name: "mock",
+  monthly: async (lat) => {
+    const mean = 28 - Math.abs(lat) * 0.45;
+    const swing = Math.abs(lat) * 0.25;
+    return MONTHS.map((month) => {
+      // +1 in July, -1 in January for the northern hemisphere
+      const season = -Math.cos(((month - 1) / 12) * 2 * Math.PI) * Math.sign(lat || 1);
+      const high = round1(mean + swing * season + 4);
+      return {
+        month,
+        high,
+        low: round1(high - 9),
+        precipitation: Math.round(70 - 40 * season),
+        rainyDays: Math.round(10 - 5 * season),
+      };
+    });
+  },
+});
+
+let provider = import.meta.env.VITE_CLIMATE === "mock" ? createMockClimateProvider() : createOpenMeteoClimateProvider();
+
+// Nearby places share a climate, so cache by rounded coordinates (~10 km)
+export const climateKey = ({ lat, lng }) => `${lat.toFixed(1)},${lng.toFixed(1)}`;
+
+const loadCache = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CLIMATE_CACHE_KEY)) || {};
+    const now = Date.now();
+    return new Map(Object.entries(saved).filter(([, entry]) => now - entry.fetchedAt < CLIMATE_TTL_MS));
+  } catch {
+    return new Map();
+  }
+};
+
+const cache = loadCache();
+
+const saveCache = () => {
+  try {
+    localStorage.setItem(CLIMATE_CACHE_KEY, JSON.stringify(Object.fromEntries(cache)));
+  } catch (error) {
+    console.error("Could not save climate cache:", error);
+  }
+};
+
+// Swap the provider at runtime (clears the cache)
+export const setClimateProvider = (next) => {
+  provider = next;
+  cache.clear();
+  inFlight.clear();
+  saveCache();
+};
+
+// Months already cached for a place, or undefined
+export const cachedClimate = (place) => cache.get(climateKey(place))?.months;
+
+// Lookups in progress by climate key, so asking again while one is on its
+// way shares it instead of sending a second request
+const inFlight = new Map();
+
+const lookUp = async (key, place) => {
+  try {
+    const months = await provider.monthly(place.lat, place.lng);
+    cache.set(key, { fetchedAt: Date.now(), months });
+    saveCache();
+    return { ok: true, months };
+  } catch (error) {
+    return { ok: false, error: { message: error.message } };
+  }
+};
+
+export const fetchClimate = (place) => {
+  const key = climateKey(place);
+  if (cache.has(key)) return Promise.resolve({ ok: true, months: cache.get(key).months });
+  if (!inFlight.has(key)) {
+    const pending = lookUp(key, place).finally(() => {
+      if (inFlight.get(key) === pending) inFlight.delete(key);
+    });
+    inFlight.set(key, pending);
+  }
+  return inFlight.get(key);
+};
+
+// How far a month is from the preferences: 0 means good to go, otherwise
+// degrees outside the range plus a degree for every 10 mm of extra rain
+export const monthScore = (month, prefs = DEFAULT_CLIMATE_PREFS) => {
+  const tooCold = Math.max(0, prefs.minTemp - month.high);
+  const tooHot = Math.max(0, month.high - prefs.maxTemp);
+  const tooWet = Math.max(0, month.precipitation - prefs.maxRain) / 10;
+  return tooCold + tooHot + tooWet;
+};
+
+// Month numbers that match the preferences
+export const goodMonths = (months, prefs = DEFAULT_CLIMATE_PREFS) =>
+  new Set(months.filter((month) => monthScore(month, prefs) === 0).map((month) => month.month));
+
+// The good months, or failing that the closest ones
+export const bestMonths = (months, prefs = DEFAULT_CLIMATE_PREFS) => {
+  const good = goodMonths(months, prefs);
+  if (good.size > 0) return { months: good, exact: true };
+  const scores = months.map((month) => monthScore(month, prefs));
+  const lowest = Math.min(...scores);
+  return {
+    months: new Set(months.filter((_, i) => scores[i] - lowest < 1).map((month) => month.month)),
+    exact: false,
+  };
+};
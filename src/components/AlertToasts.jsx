@@ -0,0 +1,59 @@
+import { ALERT_RULES, dismissAlert } from "../alerts";
+import useSettings from "../useSettings";
+
+// Stack of weather alerts raised since the app was opened, top right
+export default function AlertToasts({ alerts, onOpen }) {
+  const { t, format } = useSettings();
+
+  return (
+    <div
+      role="status"
+      style={{
+        position: "fixed",
+        top: "20px",
+        right: "20px",
+        zIndex: 3000,
+        display: "flex",
+        flexDirection: "column",
+        gap: "10px",
+        maxWidth: "min(360px, calc(100vw - 40px))",
+      }}
+    >
+      {alerts.slice(0, 3).map((alert) => (
+        <div
+          key={alert.id}
+          style={{
+            display: "flex",
+            alignItems: "flex-start",
+            gap: "10px",
+            padding: "12px 15px",
+            borderRadius: "10px",
+            backgroundColor: "#fff4e6",
+            border: "2px solid #f59f00",
+            boxShadow: "0 4px 15px rgba(0,0,0,0.2)",
+            color: "#333",
+            fontSize: "14px",
+          }}
+        >
+          <span aria-hidden="true" style={{ fontSize: "20px" }}>{ALERT_RULES[alert.rule]?.icon}</span>
+          <button
+            onClick={() => {
+              dismissAlert(alert.id);
+              onOpen(alert.placeId);
+            }}
+            style={{ flex: 1, border: "none", background: "none", padding: 0, textAlign: "left", cursor: "pointer", font: "inherit", color: "inherit" }}
+          >
+            {t(`alerts.rule.${alert.rule}`, { name: alert.name, date: format.date(alert.date), temp: format.temp(alert.max) })}
+          </button>
+          <button
+            onClick={() => dismissAlert(alert.id)}
+            aria-label={t("common.dismiss")}
+            style={{ border: "none", background: "none", cursor: "pointer", color: "#666" }}
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+import { useState, useEffect } from "react";
+import { ALERT_RULES, HEAT_C, clearAlertHistory, markAlertsRead } from "../alerts";
+import useSettings from "../useSettings";
+
+const notificationPermission = () => (typeof Notification === "undefined" ? "unsupported" : Notification.permission);
+
+// Every weather alert raised so far, newest first. Opening the panel marks
+// them read.
+export default function AlertsPanel({ alerts, onSelect, onClose }) {
+  const { t, format } = useSettings();
+  const [permission, setPermission] = useState(notificationPermission);
+
+  useEffect(() => {
+    markAlertsRead();
+  }, [alerts]);
+
+  const enableNotifications = async () => {
+    setPermission(await Notification.requestPermission());
+  };
+
+  return (
+    <div style={{ marginBottom: "25px", padding: "20px", borderRadius: "12px", backgroundColor: "#f1f5fb" }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", flexWrap: "wrap", gap: "10px", marginBottom: "15px" }}>
+        <h3 style={{ margin: 0, color: "#1e3a8a" }}>🔔 {t("alerts.title")}</h3>
+        <div style={{ display: "flex", gap: "10px", alignItems: "center" }}>
+          {alerts.length > 0 && (
+            <button
+              onClick={clearAlertHistory}
+              style={{ padding: "6px 12px", borderRadius: "8px", border: "2px solid #2F80ED", background: "white", color: "#1e3a8a", cursor: "pointer" }}
+            >
+              {t("alerts.clear")}
+            </button>
+          )}
+          <button onClick={onClose} aria-label={t("common.close")} style={{ border: "none", background: "none", cursor: "pointer", fontSize: "16px", color: "#666" }}>✕</button>
+        </div>
+      </div>
+
+      <div style={{ padding: "20px", borderRadius: "12px", backgroundColor: "white", boxShadow: "0 2px 8px rgba(0,0,0,0.1)", color: "#333" }}>
+        <p style={{ margin: "0 0 15px", fontSize: "14px", color: "#666" }}>
+          {t("alerts.about", { temp: format.temp(HEAT_C) })}{" "}
+          {permission === "default" && (
+            <button
+              onClick={enableNotifications}
+              style={{ border: "none", background: "none", padding: 0, color: "#2F80ED", cursor: "pointer", fontSize: "14px", textDecoration: "underline" }}
+            >
+              {t("alerts.enableBrowser")}
+            </button>
+          )}
+          {permission === "granted" && t("alerts.browserOn")}
+          {permission === "denied" && t("alerts.browserBlocked")}
+        </p>
+
+        {alerts.length === 0 ? (
+          <p style={{ margin: 0, color: "#666" }}>{t("alerts.empty")}</p>
+        ) : (
+          <ul style={{ listStyle: "none", padding: 0, margin: 0 }}>
+            {alerts.map((alert) => (
+              <li key={alert.id} style={{ display: "flex", alignItems: "center", gap: "10px", padding: "8px 0", borderBottom: "1px solid #f1f3f5" }}>
+                <span aria-hidden="true" style={{ fontSize: "18px" }}>{ALERT_RULES[alert.rule]?.icon}</span>
+                <button
+                  onClick={() => onSelect(alert.placeId)}
+                  style={{ flex: 1, border: "none", background: "none", padding: 0, textAlign: "left", cursor: "pointer", font: "inherit", color: "inherit" }}
+                >
+                  {t(`alerts.rule.${alert.rule}`, { name: alert.name, date: format.date(alert.date), temp: format.temp(alert.max) })}
+                </button>
+                <span style={{ fontSize: "12px", color: "#999", whiteSpace: "nowrap" }}>{format.dateTime(alert.at)}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,22 @@
+// Hidden from sight but read out by screen readers
+const hiddenStyle = {
+  position: "absolute",
+  width: "1px",
+  height: "1px",
+  margin: "-1px",
+  padding: 0,
+  overflow: "hidden",
+  clip: "rect(0 0 0 0)",
+  whiteSpace: "nowrap",
+  border: 0,
+};
+
+// Polite live region for list changes. `count` alternates a trailing
+// no-break space so the same message twice in a row is still announced.
+export default function Announcer({ announcement }) {
+  return (
+    <div role="status" aria-live="polite" aria-atomic="true" style={hiddenStyle}>
+      {announcement ? `${announcement.message}${announcement.count % 2 ? "\u00a0" : ""}` : ""}
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+import { describe, it, expect } from "vitest";
+import { render, screen } from "@testing-library/react";
+import { axe } from "jest-axe";
+import Announcer from "./Announcer";
+
+describe("Announcer", () => {
+  it("is an empty polite live region until something is announced", async () => {
+    const { container } = render(<Announcer announcement={null} />);
+    const region = screen.getByRole("status");
+    expect(region.getAttribute("aria-live")).toBe("polite");
+    expect(region.getAttribute("aria-atomic")).toBe("true");
+    expect(region.textContent).toBe("");
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it("reads out each new message", () => {
+    const { rerender } = render(<Announcer announcement={{ message: "Added Paris", count: 1 }} />);
+    expect(screen.getByRole("status").textContent.trim()).toBe("Added Paris");
+    rerender(<Announcer announcement={{ message: "Paris marked as visited", count: 2 }} />);
+    expect(screen.getByRole("status").textContent.trim()).toBe("Paris marked as visited");
+  });
+
+  it("changes the text when the same message comes twice in a row", () => {
+    const { rerender } = render(<Announcer announcement={{ message: "Undone", count: 1 }} />);
+    const first = screen.getByRole("status").textContent;
+    rerender(<Announcer announcement={{ message: "Undone", count: 2 }} />);
+    const second = screen.getByRole("status").textContent;
+    expect(second).not.toBe(first);
+    expect(second.trim()).toBe(first.trim());
+  });
+});
@@ -0,0 +1,113 @@
+import { useState, useEffect } from "react";
+import { fetchWikiSummary, fetchNearbyPois, POI_RADIUS_M } from "../attractions";
+import { hasCoords } from "../placeStore";
+import useSettings from "../useSettings";
+
+const mutedStyle = { color: "#666", fontSize: "14px" };
+
+const smallButton = {
+  padding: "5px 10px",
+  borderRadius: "6px",
+  border: "none",
+  backgroundColor: "#2F80ED",
+  color: "white",
+  cursor: "pointer",
+  fontSize: "13px",
+  whiteSpace: "nowrap",
+};
+
+// Typed result ({ ok, ... }) -> { status, data | error } for rendering
+const toState = (result) =>
+  result.ok ? { status: "ready", data: result } : { status: "error", error: result.error.message };
+
+// Wikipedia summary and nearby points of interest for a place. `savedRefs`
+// holds the OSM refs of POIs already saved as sub-stops.
+export default function Attractions({ place, savedRefs, onSaveStop }) {
+  const [wiki, setWiki] = useState({ status: "loading" });
+  const [pois, setPois] = useState({ status: "loading" });
+  const { settings, t, format } = useSettings();
+  const { language } = settings;
+  const { name, lat, lng } = place;
+  const osmType = place.geocode?.osmType;
+  const osmId = place.geocode?.osmId;
+
+  // Only refetch when what we look up by changes, not on every edit
+  useEffect(() => {
+    const target = { name, lat, lng, geocode: osmType ? { osmType, osmId } : null };
+    let cancelled = false;
+    fetchWikiSummary(target, { lang: language }).then((result) => !cancelled && setWiki(toState(result)));
+    if (hasCoords(target)) {
+      fetchNearbyPois(target).then((result) => !cancelled && setPois(toState(result)));
+    }
+    return () => {
+      cancelled = true;
+    };
+  }, [name, lat, lng, osmType, osmId, language]);
+
+  const poiList = hasCoords(place) ? pois : { status: "ready", data: { pois: [] } };
+
+  const summary = wiki.data?.summary;
+
+  return (
+    <div>
+      {wiki.status === "loading" && <p style={mutedStyle}>{t("attractions.wikiLoading")}</p>}
+      {wiki.status === "error" && <p title={wiki.error} style={{ ...mutedStyle, color: "#c92a2a" }}>{t("attractions.wikiError")}</p>}
+      {wiki.status === "ready" && !summary && <p style={mutedStyle}>{t("attractions.noArticle")}</p>}
+      {summary && (
+        <div style={{ overflow: "hidden", marginBottom: "15px" }}>
+          {summary.thumbnail && (
+            <img
+              src={summary.thumbnail}
+              alt={summary.title}
+              style={{ float: "right", maxWidth: "160px", maxHeight: "160px", borderRadius: "8px", margin: "0 0 10px 15px" }}
+            />
+          )}
+          <strong>{summary.title}</strong>
+          <p style={{ margin: "8px 0", lineHeight: 1.5 }}>{summary.extract}</p>
+          <a href={summary.url} target="_blank" rel="noopener noreferrer" style={{ color: "#2F80ED", fontSize: "14px" }}>
+            📖 {t("attractions.readMore")}
+          </a>
+        </div>
+      )}
+
+      <h4 style={{ margin: "20px 0 8px", color: "#1e3a8a" }}>{t("attractions.nearby")}</h4>
+      {poiList.status === "loading" && <p style={mutedStyle}>{t("attractions.poiLoading")}</p>}
+      {poiList.status === "error" && <p title={poiList.error} style={{ ...mutedStyle, color: "#c92a2a" }}>{t("attractions.poiError")}</p>}
+      {poiList.status === "ready" && poiList.data.pois.length === 0 && (
+        <p style={mutedStyle}>
+          {hasCoords(place)
+            ? t("attractions.nothingNearby", { distance: format.distance(POI_RADIUS_M / 1000) })
+            : t("attractions.noCoords")}
+        </p>
+      )}
+      {poiList.status === "ready" && poiList.data.pois.length > 0 && (
+        <ul style={{ listStyle: "none", padding: 0, margin: 0 }}>
+          {poiList.data.pois.map((poi) => {
+            const saved = savedRefs.has(poi.id);
+            return (
+              <li
+                key={poi.id}
+                style={{ display: "flex", alignItems: "center", gap: "10px", padding: "8px 0", borderBottom: "1px solid #f1f3f5" }}
+              >
+                <span style={{ fontSize: "18px" }}>{poi.icon}</span>
+                <div style={{ flex: 1 }}>
+                  <div>{poi.name}</div>
+                  <div style={{ fontSize: "12px", color: "#999" }}>
+                    {t(`poi.${poi.kind}`)} · {format.distance(poi.distanceKm)}
+                  </div>
+                </div>
+                <button
+                  onClick={() => onSaveStop(poi)}
+                  disabled={saved}
+                  style={{ ...smallButton, backgroundColor: saved ? "#adb5bd" : "#2F80ED", cursor: saved ? "default" : "pointer" }}
+                >
+                  {saved ? `✓ ${t("attractions.saved")}` : `➕ ${t("attractions.saveStop")}`}
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
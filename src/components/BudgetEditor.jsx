@@ -0,0 +1,87 @@
+import { BUDGET_CATEGORIES, CURRENCIES, createBudgetItem, budgetTotals } from "../budget";
+import useSettings from "../useSettings";
+
+const fieldStyle = {
+  padding: "6px 8px",
+  borderRadius: "6px",
+  border: "2px solid #e0e0e0",
+  fontSize: "14px",
+  color: "#333",
+  backgroundColor: "white",
+};
+
+// Budget line items for one place, with its total in the home currency
+export default function BudgetEditor({ items, settings, onChange }) {
+  const { t, format } = useSettings();
+  const { total, missing } = budgetTotals([{ budget: items }], settings);
+  const currencies = CURRENCIES.includes(settings.homeCurrency) ? CURRENCIES : [settings.homeCurrency, ...CURRENCIES];
+
+  const updateItem = (itemId, patch) => {
+    onChange(items.map((item) => (item.id === itemId ? { ...item, ...patch } : item)));
+  };
+
+  const addItem = () => {
+    const last = items[items.length - 1];
+    onChange([...items, createBudgetItem({ currency: last?.currency || settings.homeCurrency })]);
+  };
+
+  return (
+    <div>
+      {items.map((item) => (
+        <div key={item.id} style={{ display: "flex", gap: "6px", flexWrap: "wrap", alignItems: "center", marginBottom: "6px" }}>
+          <select value={item.category} onChange={(e) => updateItem(item.id, { category: e.target.value })} aria-label={t("a11y.category")} style={fieldStyle}>
+            {BUDGET_CATEGORIES.map((category) => (
+              <option key={category.id} value={category.id}>{category.icon} {t(`budget.category.${category.id}`)}</option>
+            ))}
+          </select>
+          <input
+            value={item.label}
+            onChange={(e) => updateItem(item.id, { label: e.target.value })}
+            placeholder={t("budget.details")}
+            aria-label={t("budget.details")}
+            style={{ ...fieldStyle, flex: "1 1 120px" }}
+          />
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={item.amount}
+            aria-label={t("a11y.amount")}
+            onChange={(e) => updateItem(item.id, { amount: Math.max(0, Number(e.target.value) || 0) })}
+            style={{ ...fieldStyle, width: "100px" }}
+          />
+          <select value={item.currency} onChange={(e) => updateItem(item.id, { currency: e.target.value })} aria-label={t("a11y.currency")} style={fieldStyle}>
+            {(currencies.includes(item.currency) ? currencies : [item.currency, ...currencies]).map((code) => (
+              <option key={code} value={code}>{code}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => onChange(items.filter((other) => other.id !== item.id))}
+            aria-label={t("a11y.removeCost")}
+            style={{ border: "none", background: "none", color: "#ff6b6b", cursor: "pointer" }}
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", flexWrap: "wrap", gap: "10px" }}>
+        <button
+          onClick={addItem}
+          style={{ padding: "6px 12px", borderRadius: "8px", border: "2px solid #2F80ED", background: "white", color: "#1e3a8a", cursor: "pointer" }}
+        >
+          ➕ {t("budget.addCost")}
+        </button>
+        {items.length > 0 && (
+          <strong>
+            {t("common.total", { amount: format.money(total, settings.homeCurrency) })}
+            {missing.length > 0 && (
+              <span style={{ fontWeight: "normal", fontSize: "13px", color: "#e67700" }}>
+                {" "}{t("budget.noRate", { codes: missing.join(", ") })}
+              </span>
+            )}
+          </strong>
+        )}
+      </div>
+    </div>
+  );
+}
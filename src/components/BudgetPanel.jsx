@@ -0,0 +1,170 @@
+import { useState } from "react";
+import { BUDGET_CATEGORIES, CURRENCIES, budgetTotals, foreignCurrencies, changeHomeCurrency } from "../budget";
+import useSettings from "../useSettings";
+
+const cardStyle = {
+  flex: "1 1 260px",
+  padding: "20px",
+  borderRadius: "12px",
+  backgroundColor: "white",
+  boxShadow: "0 2px 8px rgba(0,0,0,0.1)",
+  color: "#333",
+};
+
+const cardTitle = { margin: "0 0 12px", fontSize: "16px", color: "#1e3a8a" };
+
+const fieldStyle = {
+  padding: "6px 8px",
+  borderRadius: "6px",
+  border: "2px solid #e0e0e0",
+  fontSize: "14px",
+  color: "#333",
+  backgroundColor: "white",
+};
+
+const rowStyle = { display: "flex", justifyContent: "space-between", gap: "10px", padding: "4px 0" };
+
+// One "label ... amount" line, flagging totals that skip unconverted items
+function TotalRow({ label, totals, currency, strong }) {
+  const { t, format } = useSettings();
+
+  return (
+    <div style={{ ...rowStyle, fontWeight: strong ? "700" : "normal" }}>
+      <span>{label}</span>
+      <span title={totals.missing.length ? t("budget.leavesOut", { codes: totals.missing.join(", ") }) : undefined}>
+        {format.money(totals.total, currency)}
+        {totals.missing.length > 0 && " ⚠️"}
+      </span>
+    </div>
+  );
+}
+
+// Home currency, exchange rates and budget totals for the list, its tags,
+// the places still to visit, and every list
+export default function BudgetPanel({ settings, onSettingsChange, places, lists, tags, onClose }) {
+  const [newCurrency, setNewCurrency] = useState("");
+  const { t, format } = useSettings();
+  const { homeCurrency, rates } = settings;
+  const allPlaces = lists.flatMap((list) => list.places);
+  const rateCodes = [...new Set([...foreignCurrencies(allPlaces, settings), ...Object.keys(rates)])]
+    .filter((code) => code !== homeCurrency)
+    .sort();
+
+  const listTotals = budgetTotals(places, settings);
+  const remaining = budgetTotals(places.filter((place) => !place.visited), settings);
+  const tagTotals = tags
+    .map((tag) => ({ tag, totals: budgetTotals(places.filter((place) => place.tagIds?.includes(tag.id)), settings) }))
+    .filter(({ totals }) => totals.items > 0);
+
+  const setRate = (code, value) => {
+    const next = { ...rates };
+    if (value === "") delete next[code];
+    else next[code] = Math.max(0, Number(value) || 0);
+    onSettingsChange({ ...settings, rates: next });
+  };
+
+  const addCurrency = () => {
+    const code = newCurrency.trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(code) || code === homeCurrency || code in rates) return;
+    onSettingsChange({ ...settings, rates: { ...rates, [code]: 1 } });
+    setNewCurrency("");
+  };
+
+  return (
+    <div style={{ marginBottom: "25px", padding: "20px", borderRadius: "12px", backgroundColor: "#f1f5fb" }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", flexWrap: "wrap", gap: "10px", marginBottom: "15px" }}>
+        <h3 style={{ margin: 0, color: "#1e3a8a" }}>💰 {t("budget.title")}</h3>
+        <div style={{ display: "flex", gap: "10px", alignItems: "center" }}>
+          <label style={{ fontSize: "14px", color: "#666", display: "flex", alignItems: "center", gap: "8px" }}>
+            {t("budget.homeCurrency")}
+            <select
+              value={homeCurrency}
+              onChange={(e) => onSettingsChange(changeHomeCurrency(settings, e.target.value))}
+              style={fieldStyle}
+            >
+              {(CURRENCIES.includes(homeCurrency) ? CURRENCIES : [homeCurrency, ...CURRENCIES]).map((code) => (
+                <option key={code} value={code}>{code}</option>
+              ))}
+            </select>
+          </label>
+          <button onClick={onClose} aria-label={t("common.close")} style={{ border: "none", background: "none", cursor: "pointer", fontSize: "16px", color: "#666" }}>✕</button>
+        </div>
+      </div>
+
+      <div style={{ display: "flex", gap: "15px", flexWrap: "wrap" }}>
+        <div style={cardStyle}>
+          <h4 style={cardTitle}>{t("common.thisList")}</h4>
+          {listTotals.items === 0 ? (
+            <p style={{ color: "#666", margin: 0 }}>{t("budget.empty")}</p>
+          ) : (
+            <>
+              {BUDGET_CATEGORIES.filter(({ id }) => listTotals.byCategory[id] > 0).map((category) => (
+                <div key={category.id} style={rowStyle}>
+                  <span>{category.icon} {t(`budget.category.${category.id}`)}</span>
+                  <span>{format.money(listTotals.byCategory[category.id], homeCurrency)}</span>
+                </div>
+              ))}
+              <hr style={{ border: "none", borderTop: "1px solid #e0e0e0" }} />
+              <TotalRow label={t("budget.total")} totals={listTotals} currency={homeCurrency} strong />
+              <TotalRow label={t("budget.stillToVisit")} totals={remaining} currency={homeCurrency} />
+            </>
+          )}
+        </div>
+
+        {tagTotals.length > 0 && (
+          <div style={cardStyle}>
+            <h4 style={cardTitle}>{t("budget.byTag")}</h4>
+            {tagTotals.map(({ tag, totals }) => (
+              <TotalRow
+                key={tag.id}
+                label={<><span style={{ color: tag.color }}>●</span> {tag.name}</>}
+                totals={totals}
+                currency={homeCurrency}
+              />
+            ))}
+          </div>
+        )}
+
+        <div style={cardStyle}>
+          <h4 style={cardTitle}>{t("budget.byList")}</h4>
+          {lists.map((list) => (
+            <TotalRow key={list.id} label={list.name} totals={budgetTotals(list.places, settings)} currency={homeCurrency} />
+          ))}
+        </div>
+
+        <div style={cardStyle}>
+          <h4 style={cardTitle}>{t("budget.rates")}</h4>
+          {rateCodes.length === 0 && <p style={{ color: "#666", margin: "0 0 10px" }}>{t("budget.allHome", { currency: homeCurrency })}</p>}
+          {rateCodes.map((code) => (
+            <label key={code} style={{ ...rowStyle, alignItems: "center" }}>
+              <span>1 {code} =</span>
+              <span>
+                <input
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={rates[code] ?? ""}
+                  placeholder={t("budget.rate")}
+                  onChange={(e) => setRate(code, e.target.value)}
+                  style={{ ...fieldStyle, width: "90px", borderColor: rates[code] ? "#e0e0e0" : "#ffa94d" }}
+                />{" "}
+                {homeCurrency}
+              </span>
+            </label>
+          ))}
+          <div style={{ display: "flex", gap: "6px", marginTop: "8px" }}>
+            <input
+              value={newCurrency}
+              onChange={(e) => setNewCurrency(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && addCurrency()}
+              placeholder={t("budget.addCode")}
+              maxLength={3}
+              style={{ ...fieldStyle, flex: 1 }}
+            />
+            <button onClick={addCurrency} style={{ ...fieldStyle, cursor: "pointer" }}>{t("common.add")}</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
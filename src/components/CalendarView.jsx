@@ -0,0 +1,141 @@
+import { useState } from "react";
+import { addDays, today } from "../calendar";
+import useSettings from "../useSettings";
+
+const cardStyle = {
+  padding: "20px",
+  borderRadius: "12px",
+  backgroundColor: "white",
+  boxShadow: "0 2px 8px rgba(0,0,0,0.1)",
+  color: "#333",
+};
+
+const navButton = { border: "none", background: "none", cursor: "pointer", fontSize: "18px", color: "#1e3a8a", padding: "4px 10px" };
+
+// A week that starts on a Monday, for the weekday headings
+const WEEK = Array.from({ length: 7 }, (_, i) => addDays("2024-01-01", i));
+
+// First day shown for a month: the Monday on or before the 1st
+const gridStart = (month) => {
+  const first = `${month}-01`;
+  const weekday = (new Date(`${first}T00:00:00Z`).getUTCDay() + 6) % 7;
+  return addDays(first, -weekday);
+};
+
+const shiftMonth = (month, delta) => {
+  const d = new Date(`${month}-01T00:00:00Z`);
+  d.setUTCMonth(d.getUTCMonth() + delta);
+  return d.toISOString().slice(0, 7);
+};
+
+// Month grid of planned visits, with upcoming trips and clashes listed below
+export default function CalendarView({ visits, overlaps, overlapIds, onSelect, onExport, onClose }) {
+  const [month, setMonth] = useState(() => today().slice(0, 7));
+  const { t, format } = useSettings();
+  const now = today();
+  const start = gridStart(month);
+  const days = Array.from({ length: 42 }, (_, i) => addDays(start, i));
+  const upcoming = visits.filter(({ plan }) => plan.end >= now);
+  const title = format.month(month);
+
+  return (
+    <div style={{ marginBottom: "25px", padding: "20px", borderRadius: "12px", backgroundColor: "#f1f5fb" }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", flexWrap: "wrap", gap: "10px", marginBottom: "15px" }}>
+        <h3 style={{ margin: 0, color: "#1e3a8a" }}>📅 {t("calendar.title")}</h3>
+        <div style={{ display: "flex", gap: "10px", alignItems: "center" }}>
+          <button
+            onClick={onExport}
+            disabled={visits.length === 0}
+            style={{ padding: "6px 12px", borderRadius: "8px", border: "2px solid #2F80ED", background: "white", color: "#1e3a8a", cursor: "pointer" }}
+          >
+            ⬇️ {t("calendar.export")}
+          </button>
+          <button onClick={onClose} aria-label={t("common.close")} style={{ border: "none", background: "none", cursor: "pointer", fontSize: "16px", color: "#666" }}>✕</button>
+        </div>
+      </div>
+
+      <div style={cardStyle}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "10px" }}>
+          <button onClick={() => setMonth(shiftMonth(month, -1))} style={navButton} aria-label={t("calendar.previous")}>◀</button>
+          <strong style={{ textTransform: "capitalize" }}>{title}</strong>
+          <button onClick={() => setMonth(shiftMonth(month, 1))} style={navButton} aria-label={t("calendar.next")}>▶</button>
+        </div>
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(7, minmax(0, 1fr))", gap: "4px" }}>
+          {WEEK.map((day) => (
+            <div key={day} style={{ textAlign: "center", fontSize: "12px", color: "#666", fontWeight: "600" }}>{format.weekday(day)}</div>
+          ))}
+          {days.map((day) => {
+            const onDay = visits.filter(({ plan }) => plan.start <= day && day <= plan.end);
+            const clash = onDay.some(({ plan }) => overlapIds.has(plan.id)) && new Set(onDay.map(({ place }) => place.id)).size > 1;
+            return (
+              <div
+                key={day}
+                style={{
+                  minHeight: "70px",
+                  padding: "4px",
+                  borderRadius: "6px",
+                  backgroundColor: clash ? "#fff4e6" : "#f8f9fa",
+                  border: day === now ? "2px solid #2F80ED" : "2px solid transparent",
+                  opacity: day.slice(0, 7) === month ? 1 : 0.45,
+                  overflow: "hidden",
+                }}
+              >
+                <div style={{ fontSize: "12px", color: "#666" }}>{Number(day.slice(8))}</div>
+                {onDay.map(({ place, plan }) => (
+                  <button
+                    key={plan.id}
+                    onClick={() => onSelect(place.id)}
+                    title={`${place.name}: ${format.range(plan)}`}
+                    style={{
+                      display: "block",
+                      width: "100%",
+                      marginTop: "2px",
+                      padding: "1px 4px",
+                      border: "none",
+                      borderRadius: "4px",
+                      backgroundColor: place.visited ? "#51cf66" : overlapIds.has(plan.id) ? "#ff922b" : "#2F80ED",
+                      color: "white",
+                      fontSize: "11px",
+                      textAlign: "left",
+                      whiteSpace: "nowrap",
+                      overflow: "hidden",
+                      textOverflow: "ellipsis",
+                      cursor: "pointer",
+                    }}
+                  >
+                    {place.name}
+                  </button>
+                ))}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      <div style={{ display: "flex", gap: "15px", flexWrap: "wrap", marginTop: "15px" }}>
+        <div style={{ ...cardStyle, flex: "1 1 260px" }}>
+          <h4 style={{ margin: "0 0 10px", color: "#1e3a8a" }}>{t("calendar.upcoming")}</h4>
+          {upcoming.length === 0 && <p style={{ color: "#666", margin: 0 }}>{t("calendar.noneUpcoming")}</p>}
+          {upcoming.map(({ place, plan }) => (
+            <div key={plan.id} style={{ display: "flex", justifyContent: "space-between", gap: "10px", padding: "4px 0" }}>
+              <button onClick={() => onSelect(place.id)} style={{ border: "none", background: "none", padding: 0, color: "#1e3a8a", cursor: "pointer", textAlign: "left" }}>
+                {place.name}
+              </button>
+              <span style={{ color: "#666", fontSize: "14px" }}>{format.range(plan)}</span>
+            </div>
+          ))}
+        </div>
+        {overlaps.length > 0 && (
+          <div style={{ ...cardStyle, flex: "1 1 260px" }}>
+            <h4 style={{ margin: "0 0 10px", color: "#e67700" }}>⚠️ {t("calendar.overlapping")}</h4>
+            {overlaps.map(([a, b]) => (
+              <div key={`${a.plan.id}-${b.plan.id}`} style={{ padding: "4px 0", fontSize: "14px" }}>
+                <strong>{a.place.name}</strong> ({format.range(a.plan)}) {t("calendar.and")} <strong>{b.place.name}</strong> ({format.range(b.plan)})
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+// Minimal SVG charts for the stats dashboard, no chart library needed.
+
+// Ring showing a part of a whole
+export function Donut({ value, total, color = "#51cf66", size = 140, label }) {
+  const stroke = 16;
+  const r = (size - stroke) / 2;
+  const circumference = 2 * Math.PI * r;
+  const fraction = total ? value / total : 0;
+
+  return (
+    <svg width={size} height={size} viewBox={`0 0 ${size} ${size}`} role="img" aria-label={label}>
+      <circle cx={size / 2} cy={size / 2} r={r} fill="none" stroke="#e9ecef" strokeWidth={stroke} />
+      <circle
+        cx={size / 2}
+        cy={size / 2}
+        r={r}
+        fill="none"
+        stroke={color}
+        strokeWidth={stroke}
+        strokeDasharray={`${fraction * circumference} ${circumference}`}
+        strokeLinecap={fraction > 0 ? "round" : "butt"}
+        transform={`rotate(-90 ${size / 2} ${size / 2})`}
+      />
+      <text x="50%" y="50%" textAnchor="middle" dominantBaseline="central" fontSize="24" fontWeight="700" fill="#1e3a8a">
+        {Math.round(fraction * 100)}%
+      </text>
+    </svg>
+  );
+}
+
+// Vertical bars for [{ key, count }], with a label under each bar
+export function BarChart({ data, height = 140, color = "#2F80ED", formatLabel = (key) => key, label }) {
+  const max = Math.max(1, ...data.map((d) => d.count));
+  const barWidth = 28;
+  const gap = 8;
+  const labelHeight = 30;
+  const width = data.length * (barWidth + gap);
+
+  return (
+    <div style={{ overflowX: "auto" }}>
+      <svg width={Math.max(width, 100)} height={height + labelHeight} role="img" aria-label={label}>
+        {data.map((d, i) => {
+          const h = (d.count / max) * (height - 16);
+          const x = i * (barWidth + gap);
+          return (
+            <g key={d.key}>
+              <rect x={x} y={height - h} width={barWidth} height={h} rx="4" fill={color}>
+                <title>{`${formatLabel(d.key)}: ${d.count}`}</title>
+              </rect>
+              {d.count > 0 && (
+                <text x={x + barWidth / 2} y={height - h - 4} textAnchor="middle" fontSize="11" fill="#333">
+                  {d.count}
+                </text>
+              )}
+              <text
+                x={x + barWidth / 2}
+                y={height + 14}
+                textAnchor="middle"
+                fontSize="10"
+                fill="#666"
+              >
+                {formatLabel(d.key)}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+    </div>
+  );
+}
+
+// Horizontal progress bar with a caption
+export function ProgressBar({ label, value, total, color = "#51cf66" }) {
+  const percent = total ? (value / total) * 100 : 0;
+  return (
+    <div style={{ marginBottom: "8px" }}>
+      <div style={{ display: "flex", justifyContent: "space-between", fontSize: "13px", color: "#333" }}>
+        <span>{label}</span>
+        <span style={{ color: "#666" }}>{value} / {total}</span>
+      </div>
+      <div style={{ height: "10px", borderRadius: "5px", backgroundColor: "#e9ecef", overflow: "hidden" }}>
+        <div style={{ width: `${percent}%`, height: "100%", backgroundColor: color }} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,114 @@
+import { bestMonths, DEFAULT_CLIMATE_PREFS } from "../climate";
+import { hasCoords } from "../placeStore";
+import useClimate from "../useClimate";
+import useSettings from "../useSettings";
+
+const mutedStyle = { color: "#666", fontSize: "14px" };
+
+const fieldStyle = {
+  width: "64px",
+  padding: "4px 8px",
+  borderRadius: "6px",
+  border: "2px solid #e0e0e0",
+  fontSize: "14px",
+  color: "#333",
+  backgroundColor: "white",
+};
+
+const cellStyle = { padding: "4px 8px", textAlign: "right", whiteSpace: "nowrap" };
+
+// Monthly highs, lows and rain for a place, with the months that suit the
+// climate preferences highlighted. The preferences are saved per device.
+export default function ClimatePanel({ place }) {
+  const { settings, setSettings, t, format } = useSettings();
+  const { climateFor } = useClimate([place]);
+  const prefs = settings.climatePrefs || DEFAULT_CLIMATE_PREFS;
+  const fahrenheit = settings.temperatureUnit === "F";
+  // Preferences are kept in °C and shown in the chosen unit
+  const shown = (celsius) => (fahrenheit ? Math.round((celsius * 9) / 5 + 32) : celsius);
+  const stored = (value) => (fahrenheit ? Math.round((((value - 32) * 5) / 9) * 10) / 10 : value);
+  const updatePrefs = (patch) => setSettings({ ...settings, climatePrefs: { ...prefs, ...patch } });
+
+  if (!hasCoords(place)) return <p style={mutedStyle}>{t("attractions.noCoords")}</p>;
+
+  const months = climateFor(place);
+  const best = months && bestMonths(months, prefs);
+  const monthName = (month, style = "short") =>
+    format.month(`2000-${String(month).padStart(2, "0")}`, { month: style });
+
+  return (
+    <div>
+      <div style={{ display: "flex", gap: "10px", flexWrap: "wrap", alignItems: "center", marginBottom: "10px", fontSize: "14px", color: "#666" }}>
+        {t("climate.prefs")}
+        <input
+          type="number"
+          aria-label={t("climate.minTemp")}
+          value={shown(prefs.minTemp)}
+          onChange={(e) => e.target.value !== "" && updatePrefs({ minTemp: stored(Number(e.target.value)) })}
+          style={fieldStyle}
+        />
+        –
+        <input
+          type="number"
+          aria-label={t("climate.maxTemp")}
+          value={shown(prefs.maxTemp)}
+          onChange={(e) => e.target.value !== "" && updatePrefs({ maxTemp: stored(Number(e.target.value)) })}
+          style={fieldStyle}
+        />
+        °{settings.temperatureUnit}, {t("climate.rainUpTo")}
+        <input
+          type="number"
+          min="0"
+          aria-label={t("climate.maxRain")}
+          value={prefs.maxRain}
+          onChange={(e) => e.target.value !== "" && updatePrefs({ maxRain: Number(e.target.value) })}
+          style={fieldStyle}
+        />
+        {t("climate.mmPerMonth")}
+      </div>
+
+      {months === undefined && <p style={mutedStyle}>{t("climate.loading")}</p>}
+      {months === null && <p style={{ ...mutedStyle, color: "#c92a2a" }}>{t("climate.error")}</p>}
+      {months && (
+        <>
+          <p style={{ margin: "0 0 10px", fontSize: "14px", color: best.exact ? "#2b8a3e" : "#666" }}>
+            {t(best.exact ? "climate.best" : "climate.closest", {
+              months: [...best.months].map((month) => monthName(month, "long")).join(", "),
+            })}
+          </p>
+          <div style={{ overflowX: "auto" }}>
+            <table style={{ borderCollapse: "collapse", fontSize: "13px", color: "#333", width: "100%" }}>
+              <thead>
+                <tr style={{ color: "#666" }}>
+                  <th scope="col" style={{ ...cellStyle, textAlign: "left" }}>{t("climate.month")}</th>
+                  <th scope="col" style={cellStyle}>{t("climate.high")}</th>
+                  <th scope="col" style={cellStyle}>{t("climate.low")}</th>
+                  <th scope="col" style={cellStyle}>{t("climate.rain")}</th>
+                  <th scope="col" style={cellStyle}>{t("climate.rainyDays")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {months.map((month) => {
+                  const highlighted = best.months.has(month.month);
+                  return (
+                    <tr key={month.month} style={{ backgroundColor: highlighted ? "#ebfbee" : "transparent" }}>
+                      <th scope="row" style={{ ...cellStyle, textAlign: "left", fontWeight: highlighted ? "700" : "normal" }}>
+                        {monthName(month.month)}
+                        {highlighted && <span role="img" aria-label={t("climate.goodMonth")}> ✓</span>}
+                      </th>
+                      <td style={cellStyle}>{format.temp(month.high)}</td>
+                      <td style={cellStyle}>{format.temp(month.low)}</td>
+                      <td style={cellStyle}>{format.number(month.precipitation)} mm</td>
+                      <td style={cellStyle}>{format.number(month.rainyDays)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          <p style={{ ...mutedStyle, fontSize: "12px" }}>{t("climate.source")}</p>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,128 @@
+import { useState, useEffect, useRef, useMemo } from "react";
+import { GeoJSON } from "react-leaflet";
+import L from "leaflet";
+import { loadCountries, countryAt } from "../countries";
+import { hasCoords } from "../placeStore";
+import useSettings from "../useSettings";
+
+// Labels are the "countries.<status>" strings
+const COUNTRY_STATUS = {
+  visited: { color: "#51cf66" },
+  listed: { color: "#ff922b" },
+  untouched: { color: "#adb5bd" },
+};
+
+// Shade each country by whether a place in it is visited, listed, or neither
+export function CountryLayer({ places }) {
+  const [features, setFeatures] = useState(null);
+  const [error, setError] = useState(null);
+  const { settings, t } = useSettings();
+
+  useEffect(() => {
+    let cancelled = false;
+    loadCountries()
+      .then((loaded) => !cancelled && setFeatures(loaded))
+      .catch((err) => {
+        console.error("Could not load country boundaries:", err);
+        if (!cancelled) setError(err);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Country name -> status
+  const statuses = useMemo(() => {
+    const result = new Map();
+    if (!features) return result;
+    places.filter(hasCoords).forEach((place) => {
+      const country = countryAt(features, place.lat, place.lng);
+      if (!country) return;
+      const name = country.properties.name;
+      if (place.visited) result.set(name, "visited");
+      else if (!result.has(name)) result.set(name, "listed");
+    });
+    return result;
+  }, [features, places]);
+
+  // Tooltips read the latest statuses without rebinding
+  const statusesRef = useRef(statuses);
+  useEffect(() => {
+    statusesRef.current = statuses;
+  }, [statuses]);
+
+  const style = useMemo(() => (feature) => {
+    const status = statuses.get(feature.properties.name) || "untouched";
+    return {
+      color: "white",
+      weight: 1,
+      fillColor: COUNTRY_STATUS[status].color,
+      fillOpacity: status === "untouched" ? 0.15 : 0.45,
+    };
+  }, [statuses]);
+
+  if (error || !features) return null;
+
+  return (
+    <GeoJSON
+      // Tooltips are bound once, so rebind them when the language changes
+      key={settings.language}
+      data={{ type: "FeatureCollection", features }}
+      style={style}
+      onEachFeature={(feature, layer) => {
+        layer.bindTooltip(() => {
+          const status = statusesRef.current.get(feature.properties.name) || "untouched";
+          return `${feature.properties.name}: ${t(`countries.${status}`)}`;
+        }, { sticky: true });
+      }}
+    />
+  );
+}
+
+// Toggle and legend, floating over the map's top-right corner
+export function CountryLegend({ enabled, onToggle }) {
+  const ref = useRef(null);
+  const { t } = useSettings();
+
+  // Keep clicks on the control from reaching the map underneath
+  useEffect(() => {
+    if (ref.current) {
+      L.DomEvent.disableClickPropagation(ref.current);
+      L.DomEvent.disableScrollPropagation(ref.current);
+    }
+  }, []);
+
+  return (
+    <div
+      ref={ref}
+      className="leaflet-control"
+      style={{
+        position: "absolute",
+        top: "10px",
+        right: "10px",
+        zIndex: 1000,
+        padding: "8px 12px",
+        borderRadius: "8px",
+        backgroundColor: "rgba(255, 255, 255, 0.95)",
+        boxShadow: "0 1px 5px rgba(0,0,0,0.3)",
+        fontSize: "13px",
+        color: "#333",
+      }}
+    >
+      <label style={{ display: "flex", alignItems: "center", gap: "6px", cursor: "pointer", fontWeight: "600" }}>
+        <input type="checkbox" checked={enabled} onChange={(e) => onToggle(e.target.checked)} />
+        {t("map.countries")}
+      </label>
+      {enabled && (
+        <div style={{ marginTop: "6px" }}>
+          {Object.entries(COUNTRY_STATUS).map(([status, { color }]) => (
+            <div key={status} style={{ display: "flex", alignItems: "center", gap: "6px", marginTop: "3px" }}>
+              <span style={{ width: "14px", height: "14px", borderRadius: "3px", backgroundColor: color, opacity: 0.8 }} />
+              {t(`countries.${status}`)}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
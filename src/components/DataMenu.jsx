@@ -0,0 +1,50 @@
+import { useRef } from "react";
+import { FORMATS } from "../exchange";
+import useSettings from "../useSettings";
+
+const controlStyle = {
+  padding: "8px 14px",
+  borderRadius: "8px",
+  border: "2px solid #2F80ED",
+  backgroundColor: "white",
+  color: "#1e3a8a",
+  cursor: "pointer",
+  fontSize: "14px",
+  fontWeight: "600",
+};
+
+// Export the active list to a file, or pick a file to import
+export default function DataMenu({ onExport, onImportFile, canExport }) {
+  const fileInput = useRef(null);
+  const { t } = useSettings();
+
+  return (
+    <div style={{ display: "flex", gap: "10px", flexWrap: "wrap", alignItems: "center" }}>
+      <select
+        value=""
+        disabled={!canExport}
+        onChange={(e) => onExport(e.target.value)}
+        style={controlStyle}
+      >
+        <option value="" disabled>{`⬇️ ${t("data.exportAs")}`}</option>
+        {Object.entries(FORMATS).map(([format, { label }]) => (
+          <option key={format} value={format}>{label}</option>
+        ))}
+      </select>
+      <button onClick={() => fileInput.current.click()} style={controlStyle}>
+        ⬆️ {t("data.import")}
+      </button>
+      <input
+        ref={fileInput}
+        type="file"
+        accept={Object.values(FORMATS).map((f) => `.${f.extension}`).join(",")}
+        style={{ display: "none" }}
+        onChange={(e) => {
+          const file = e.target.files[0];
+          e.target.value = "";
+          if (file) onImportFile(file);
+        }}
+      />
+    </div>
+  );
+}
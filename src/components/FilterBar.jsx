@@ -0,0 +1,117 @@
+import { useState } from "react";
+import { TagChip } from "./Tags";
+import { EMPTY_FILTER, isFilterActive } from "../tags";
+import { MONTHS } from "../climate";
+import useSettings from "../useSettings";
+
+const fieldStyle = {
+  padding: "8px 12px",
+  borderRadius: "8px",
+  border: "2px solid #e0e0e0",
+  fontSize: "14px",
+  color: "#333",
+  backgroundColor: "white",
+};
+
+// Narrows the list and the map by search text, visited state, tags and the
+// month the climate suits
+export default function FilterBar({ filter, onChange, tags, onRecolorTag, onDeleteTag, shown, total, climatePending }) {
+  const [managing, setManaging] = useState(false);
+  const { t, format } = useSettings();
+
+  const toggleTag = (tagId) => {
+    const tagIds = filter.tagIds.includes(tagId)
+      ? filter.tagIds.filter((id) => id !== tagId)
+      : [...filter.tagIds, tagId];
+    onChange({ ...filter, tagIds });
+  };
+
+  return (
+    <div style={{ marginBottom: "20px", display: "flex", flexDirection: "column", gap: "10px" }}>
+      <div style={{ display: "flex", gap: "10px", flexWrap: "wrap", alignItems: "center" }}>
+        <input
+          type="search"
+          aria-label={t("filter.search")}
+          placeholder={`🔎 ${t("filter.search")}`}
+          value={filter.query}
+          onChange={(e) => onChange({ ...filter, query: e.target.value })}
+          style={{ ...fieldStyle, flex: "1", minWidth: "200px" }}
+        />
+        <select
+          value={filter.visited}
+          aria-label={t("a11y.visitedFilter")}
+          onChange={(e) => onChange({ ...filter, visited: e.target.value })}
+          style={fieldStyle}
+        >
+          <option value="all">{t("filter.all")}</option>
+          <option value="unvisited">{t("filter.unvisited")}</option>
+          <option value="visited">{t("filter.visited")}</option>
+        </select>
+        <select
+          value={filter.month ?? ""}
+          aria-label={t("filter.goodIn")}
+          onChange={(e) => onChange({ ...filter, month: e.target.value ? Number(e.target.value) : null })}
+          style={fieldStyle}
+        >
+          <option value="">{`🌤️ ${t("filter.anyMonth")}`}</option>
+          {MONTHS.map((month) => (
+            <option key={month} value={month}>
+              {t("filter.goodInMonth", { month: format.month(`2000-${String(month).padStart(2, "0")}`, { month: "long" }) })}
+            </option>
+          ))}
+        </select>
+        {isFilterActive(filter) && (
+          <button onClick={() => onChange(EMPTY_FILTER)} style={{ ...fieldStyle, cursor: "pointer" }}>
+            {t("filter.clear")}
+          </button>
+        )}
+        <span role="status" style={{ fontSize: "14px", color: "#666" }}>
+          {t("filter.showing", { shown, total })}
+          {climatePending > 0 && ` · ${t("filter.checkingClimate", { count: climatePending })}`}
+        </span>
+      </div>
+      {tags.length > 0 && (
+        <div style={{ display: "flex", gap: "6px", flexWrap: "wrap", alignItems: "center" }}>
+          <span style={{ fontSize: "14px", color: "#666" }}>{t("tags.label")}</span>
+          {tags.map((tag) => (
+            <TagChip
+              key={tag.id}
+              tag={tag}
+              selected={filter.tagIds.includes(tag.id)}
+              onClick={() => toggleTag(tag.id)}
+            />
+          ))}
+          <button
+            onClick={() => setManaging(!managing)}
+            style={{ border: "none", background: "none", color: "#2F80ED", cursor: "pointer", fontSize: "13px" }}
+          >
+            {managing ? t("common.done") : t("tags.manage")}
+          </button>
+        </div>
+      )}
+      {managing && (
+        <div style={{ display: "flex", gap: "12px", flexWrap: "wrap" }}>
+          {tags.map((tag) => (
+            <div key={tag.id} style={{ display: "flex", alignItems: "center", gap: "6px", fontSize: "14px", color: "#333" }}>
+              <input
+                type="color"
+                aria-label={t("a11y.tagColor", { name: tag.name })}
+                value={tag.color}
+                onChange={(e) => onRecolorTag(tag.id, e.target.value)}
+                style={{ width: "28px", height: "28px", border: "none", padding: 0, background: "none" }}
+              />
+              {tag.name}
+              <button
+                onClick={() => onDeleteTag(tag.id)}
+                aria-label={t("a11y.deleteTag", { name: tag.name })}
+                style={{ border: "none", background: "none", color: "#ff6b6b", cursor: "pointer" }}
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
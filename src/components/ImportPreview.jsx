@@ -0,0 +1,121 @@
+import { useState } from "react";
+import useSettings from "../useSettings";
+import useDialog from "../useDialog";
+import { importErrorText } from "../exchange";
+
+// Lists what a file would add before anything is written. Duplicates of
+// places already in the list start unticked.
+export default function ImportPreview({ preview, listName, onConfirm, onCancel }) {
+  const { fileName, entries, errors } = preview;
+  const [selected, setSelected] = useState(() => entries.map((entry) => !entry.duplicate));
+  const { t } = useSettings();
+  const dialogRef = useDialog(onCancel);
+
+  const count = selected.filter(Boolean).length;
+  const duplicates = entries.filter((entry) => entry.duplicate).length;
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        backgroundColor: "rgba(0, 0, 0, 0.8)",
+        display: "flex",
+        justifyContent: "center",
+        alignItems: "center",
+        zIndex: 1000,
+        padding: "20px",
+      }}
+      onClick={onCancel}
+    >
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="import-preview-title"
+        tabIndex={-1}
+        style={{
+          backgroundColor: "white",
+          borderRadius: "10px",
+          padding: "30px",
+          maxWidth: "700px",
+          width: "100%",
+          maxHeight: "80vh",
+          overflow: "auto",
+          color: "#333",
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2 id="import-preview-title" style={{ marginTop: 0 }}>{t("import.title", { name: listName })}</h2>
+        <p style={{ color: "#666" }}>
+          {t("import.found", { file: fileName, count: entries.length })}
+          {duplicates > 0 && t("import.duplicates", { count: duplicates })}
+          {errors.length > 0 && t("import.skipped", { count: errors.length })}.
+        </p>
+
+        {errors.length > 0 && (
+          <details style={{ marginBottom: "15px", color: "#c92a2a", fontSize: "13px" }}>
+            <summary>{t("import.badRows")}</summary>
+            <ul>
+              {errors.map((error, i) => <li key={i}>{importErrorText(error, t)}</li>)}
+            </ul>
+          </details>
+        )}
+
+        <ul style={{ listStyle: "none", padding: 0 }}>
+          {entries.map((entry, i) => (
+            <li
+              key={i}
+              style={{
+                display: "flex",
+                gap: "10px",
+                alignItems: "center",
+                padding: "8px 10px",
+                marginBottom: "6px",
+                borderRadius: "8px",
+                border: "2px solid #e0e0e0",
+                backgroundColor: entry.duplicate ? "#fff9db" : "white",
+              }}
+            >
+              <input
+                type="checkbox"
+                aria-label={entry.item.name}
+                checked={selected[i]}
+                onChange={() => setSelected(selected.map((value, j) => (j === i ? !value : value)))}
+              />
+              <div style={{ flex: 1 }}>
+                <div style={{ fontWeight: "600", color: "#1e3a8a" }}>
+                  {entry.item.visited ? "✅ " : "📍 "}{entry.item.name}
+                </div>
+                <div style={{ fontSize: "12px", color: "#666" }}>
+                  {entry.item.lat.toFixed(4)}, {entry.item.lng.toFixed(4)}
+                  {entry.item.tags.length > 0 && ` • ${entry.item.tags.join(", ")}`}
+                  {entry.duplicate && ` • ${t("import.duplicateOf", { name: entry.duplicate })}`}
+                </div>
+              </div>
+            </li>
+          ))}
+        </ul>
+
+        <div style={{ display: "flex", gap: "10px", justifyContent: "flex-end" }}>
+          <button
+            onClick={onCancel}
+            style={{ padding: "10px 20px", borderRadius: "8px", border: "2px solid #e0e0e0", backgroundColor: "white", color: "#333", cursor: "pointer" }}
+          >
+            {t("common.cancel")}
+          </button>
+          <button
+            onClick={() => onConfirm(entries.filter((_, i) => selected[i]).map((entry) => entry.item))}
+            disabled={count === 0}
+            style={{ padding: "10px 20px", borderRadius: "8px", border: "none", backgroundColor: "#2F80ED", color: "white", cursor: "pointer", fontWeight: "600" }}
+          >
+            {t("import.add", { count })}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,90 @@
+import { useState } from "react";
+import useSettings from "../useSettings";
+
+const buttonStyle = {
+  padding: "8px 14px",
+  borderRadius: "8px",
+  border: "2px solid #2F80ED",
+  backgroundColor: "white",
+  color: "#1e3a8a",
+  cursor: "pointer",
+  fontSize: "14px",
+  fontWeight: "600",
+  whiteSpace: "nowrap",
+};
+
+// Header control for picking and managing named bucket lists
+export default function ListSwitcher({
+  lists,
+  activeListId,
+  onSwitch,
+  onCreate,
+  onRename,
+  onDuplicate,
+  onToggleArchive,
+  onDelete,
+}) {
+  const [showArchived, setShowArchived] = useState(false);
+  const { t } = useSettings();
+
+  const active = lists.find((list) => list.id === activeListId);
+  // The active list always stays selectable, even when archived
+  const open = lists.filter((list) => !list.archived || list.id === activeListId);
+  const archived = lists.filter((list) => list.archived && list.id !== activeListId);
+
+  return (
+    <div style={{ display: "flex", gap: "10px", flexWrap: "wrap", alignItems: "center", marginBottom: "20px" }}>
+      <select
+        value={activeListId}
+        onChange={(e) => onSwitch(e.target.value)}
+        style={{
+          padding: "8px 12px",
+          borderRadius: "8px",
+          border: "2px solid #2F80ED",
+          fontSize: "16px",
+          fontWeight: "600",
+          color: "#1e3a8a",
+          backgroundColor: "#e3f2fd",
+        }}
+      >
+        {open.map((list) => (
+          <option key={list.id} value={list.id}>
+            {list.name} ({list.places.length})
+          </option>
+        ))}
+        {showArchived && archived.length > 0 && (
+          <optgroup label={t("lists.archived")}>
+            {archived.map((list) => (
+              <option key={list.id} value={list.id}>
+                {list.name} ({list.places.length})
+              </option>
+            ))}
+          </optgroup>
+        )}
+      </select>
+      <button onClick={onCreate} style={buttonStyle}>➕ {t("lists.new")}</button>
+      <button onClick={() => onRename(activeListId)} style={buttonStyle}>✏️ {t("lists.rename")}</button>
+      <button onClick={() => onDuplicate(activeListId)} style={buttonStyle}>📄 {t("lists.duplicate")}</button>
+      <button onClick={() => onToggleArchive(activeListId)} style={buttonStyle}>
+        {active?.archived ? `📤 ${t("lists.unarchive")}` : `🗄️ ${t("lists.archive")}`}
+      </button>
+      <button
+        onClick={() => onDelete(activeListId)}
+        disabled={lists.length <= 1}
+        style={{ ...buttonStyle, borderColor: "#ff6b6b", color: "#ff6b6b" }}
+      >
+        🗑️ {t("lists.delete")}
+      </button>
+      {archived.length > 0 && (
+        <label style={{ fontSize: "14px", color: "#666", display: "flex", alignItems: "center", gap: "5px" }}>
+          <input
+            type="checkbox"
+            checked={showArchived}
+            onChange={(e) => setShowArchived(e.target.checked)}
+          />
+          {t("lists.showArchived", { count: archived.length })}
+        </label>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,71 @@
+import { useState, useEffect } from "react";
+import { Popup, useMapEvents } from "react-leaflet";
+import { reverseGeocode, ERROR_TYPES } from "../geocoding";
+import useSettings from "../useSettings";
+
+// Click (or long-press, which Leaflet reports as contextmenu) anywhere on the
+// map to get the nearest named place with an "Add to list" action.
+export default function MapClickAdd({ onAdd }) {
+  const [point, setPoint] = useState(null);
+  const [lookup, setLookup] = useState(null);
+  const { t } = useSettings();
+
+  const pick = (e) => {
+    setPoint({ lat: e.latlng.lat, lng: e.latlng.lng });
+    setLookup(null);
+  };
+
+  useMapEvents({ click: pick, contextmenu: pick });
+
+  useEffect(() => {
+    if (!point) return;
+    const controller = new AbortController();
+    reverseGeocode(point.lat, point.lng, { signal: controller.signal }).then((result) => {
+      if (!controller.signal.aborted) setLookup({ point, ...result });
+    });
+    return () => controller.abort();
+  }, [point]);
+
+  if (!point) return null;
+
+  const ready = lookup && lookup.point === point;
+
+  return (
+    <Popup position={[point.lat, point.lng]} eventHandlers={{ remove: () => setPoint(null) }}>
+      <div style={{ textAlign: "center", minWidth: "160px" }}>
+        {!ready && <span style={{ color: "#999" }}>{t("map.lookingUp")}</span>}
+        {ready && !lookup.ok && (
+          <span style={{ color: "#f22020" }}>
+            {lookup.error.type === ERROR_TYPES.NOT_FOUND
+              ? t("geocoding.nothingHere")
+              : t(`geocoding.${lookup.error.type}`, { fallback: lookup.error.message })}
+          </span>
+        )}
+        {ready && lookup.ok && (
+          <>
+            <strong>{lookup.result.name}</strong>
+            {lookup.result.country && <div style={{ color: "#666", marginTop: "3px" }}>{lookup.result.country}</div>}
+            <button
+              onClick={() => {
+                onAdd(lookup.result);
+                setPoint(null);
+              }}
+              style={{
+                marginTop: "8px",
+                padding: "6px 12px",
+                borderRadius: "6px",
+                border: "none",
+                backgroundColor: "#2F80ED",
+                color: "white",
+                cursor: "pointer",
+                fontWeight: "600",
+              }}
+            >
+              ➕ {t("map.addToList")}
+            </button>
+          </>
+        )}
+      </div>
+    </Popup>
+  );
+}
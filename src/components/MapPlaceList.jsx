@@ -0,0 +1,91 @@
+import { useEffect, useRef } from "react";
+import useSettings from "../useSettings";
+
+// Keyboard way through the map: arrow keys move between the mapped places
+// (the map follows along), Enter or Space opens the active one.
+export default function MapPlaceList({ places, activeId, onActivate, onOpen }) {
+  const { t } = useSettings();
+  const listRef = useRef(null);
+  const activeIndex = places.findIndex((place) => place.id === activeId);
+
+  // Keep the active option in view while stepping through a long list
+  useEffect(() => {
+    listRef.current?.querySelector('[aria-selected="true"]')?.scrollIntoView({ block: "nearest" });
+  }, [activeId]);
+
+  const handleKeyDown = (e) => {
+    if (places.length === 0) return;
+    const last = places.length - 1;
+    let index;
+    if (e.key === "ArrowDown" || e.key === "ArrowRight") index = activeIndex === -1 ? 0 : Math.min(activeIndex + 1, last);
+    else if (e.key === "ArrowUp" || e.key === "ArrowLeft") index = activeIndex === -1 ? last : Math.max(activeIndex - 1, 0);
+    else if (e.key === "Home") index = 0;
+    else if (e.key === "End") index = last;
+    else if ((e.key === "Enter" || e.key === " ") && activeIndex !== -1) {
+      e.preventDefault();
+      onOpen(activeId);
+      return;
+    } else return;
+    e.preventDefault();
+    onActivate(places[index].id);
+  };
+
+  return (
+    <div style={{ marginBottom: "20px" }}>
+      <div style={{ display: "flex", alignItems: "baseline", gap: "10px", flexWrap: "wrap", marginBottom: "8px" }}>
+        <h3 id="map-places-title" style={{ margin: 0, fontSize: "16px", color: "#1e3a8a" }}>🗺️ {t("mapList.title")}</h3>
+        <span id="map-places-hint" style={{ fontSize: "12px", color: "#666" }}>{t("mapList.hint")}</span>
+      </div>
+      <ul
+        ref={listRef}
+        role="listbox"
+        tabIndex={0}
+        aria-labelledby="map-places-title"
+        aria-describedby="map-places-hint"
+        aria-activedescendant={activeIndex === -1 ? undefined : `map-place-${activeId}`}
+        onKeyDown={handleKeyDown}
+        style={{
+          display: "flex",
+          flexWrap: "wrap",
+          gap: "6px",
+          maxHeight: "120px",
+          overflowY: "auto",
+          margin: 0,
+          padding: "8px",
+          listStyle: "none",
+          borderRadius: "10px",
+          border: "2px solid #e0e0e0",
+          backgroundColor: "white",
+        }}
+      >
+        {places.map((place) => {
+          const active = place.id === activeId;
+          return (
+            <li
+              key={place.id}
+              id={`map-place-${place.id}`}
+              role="option"
+              aria-selected={active}
+              aria-label={place.visited ? t("mapList.visitedName", { name: place.name }) : place.name}
+              onClick={() => onActivate(place.id)}
+              onDoubleClick={() => onOpen(place.id)}
+              style={{
+                padding: "4px 10px",
+                borderRadius: "12px",
+                border: `2px solid ${active ? "#2F80ED" : "#e0e0e0"}`,
+                backgroundColor: active ? "#f0f7ff" : "white",
+                color: "#333",
+                fontSize: "13px",
+                cursor: "pointer",
+                whiteSpace: "nowrap",
+              }}
+            >
+              <span aria-hidden="true">{place.visited ? "✅ " : "📍 "}</span>
+              {place.name}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
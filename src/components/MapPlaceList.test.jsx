@@ -0,0 +1,79 @@
+import { useState } from "react";
+import { describe, it, expect, vi } from "vitest";
+import { render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { axe } from "jest-axe";
+import MapPlaceList from "./MapPlaceList";
+
+const places = [
+  { id: "a", name: "Lisbon", visited: false },
+  { id: "b", name: "Kyoto", visited: true },
+  { id: "c", name: "Quito", visited: false },
+];
+
+function List({ onOpen }) {
+  const [activeId, setActiveId] = useState(null);
+  return <MapPlaceList places={places} activeId={activeId} onActivate={setActiveId} onOpen={onOpen} />;
+}
+
+// jsdom has no layout to scroll
+Element.prototype.scrollIntoView = () => {};
+
+const activeOption = () => {
+  const id = screen.getByRole("listbox").getAttribute("aria-activedescendant");
+  return id && document.getElementById(id);
+};
+
+describe("MapPlaceList", () => {
+  it("steps through the places with the arrow keys", async () => {
+    const user = userEvent.setup();
+    render(<List onOpen={() => {}} />);
+    screen.getByRole("listbox").focus();
+
+    expect(activeOption()).toBeNull();
+    await user.keyboard("{ArrowDown}");
+    expect(activeOption().textContent).toContain("Lisbon");
+    await user.keyboard("{ArrowRight}");
+    expect(activeOption().textContent).toContain("Kyoto");
+    expect(activeOption().getAttribute("aria-selected")).toBe("true");
+    await user.keyboard("{ArrowUp}{ArrowUp}");
+    expect(activeOption().textContent).toContain("Lisbon");
+  });
+
+  it("jumps to either end with Home and End", async () => {
+    const user = userEvent.setup();
+    render(<List onOpen={() => {}} />);
+    screen.getByRole("listbox").focus();
+
+    await user.keyboard("{End}");
+    expect(activeOption().textContent).toContain("Quito");
+    await user.keyboard("{ArrowDown}");
+    expect(activeOption().textContent).toContain("Quito");
+    await user.keyboard("{Home}");
+    expect(activeOption().textContent).toContain("Lisbon");
+  });
+
+  it("opens the active place with Enter or Space", async () => {
+    const user = userEvent.setup();
+    const onOpen = vi.fn();
+    render(<List onOpen={onOpen} />);
+    screen.getByRole("listbox").focus();
+
+    await user.keyboard("{Enter}");
+    expect(onOpen).not.toHaveBeenCalled();
+    await user.keyboard("{ArrowDown}{ArrowDown}{Enter}");
+    expect(onOpen).toHaveBeenLastCalledWith("b");
+    await user.keyboard("{End} ");
+    expect(onOpen).toHaveBeenLastCalledWith("c");
+  });
+
+  it("names visited places and has no axe violations", async () => {
+    const user = userEvent.setup();
+    const { container } = render(<List onOpen={() => {}} />);
+    screen.getByRole("listbox").focus();
+    await user.keyboard("{ArrowDown}");
+
+    expect(screen.getByRole("option", { name: /Kyoto/ }).getAttribute("aria-label")).not.toBe("Kyoto");
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
@@ -0,0 +1,133 @@
+// Small Markdown renderer for notes and journal entries.
+//
+// Text is turned into React elements, never into an HTML string, so any
+// markup typed into a note is shown as text rather than injected.
+// Supported: # headings, paragraphs, - / * / 1. lists, > quotes,
+// ``` code blocks, **bold**, *italic*, `code` and [links](https://...).
+
+import useSettings from "../useSettings";
+
+const SAFE_URL = /^(https?:|mailto:)/i;
+
+const INLINE = /(\*\*([^*]+)\*\*|\*([^*]+)\*|`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\))/;
+
+function renderInline(text, keyPrefix) {
+  const out = [];
+  let rest = text;
+  let i = 0;
+
+  while (rest) {
+    const match = rest.match(INLINE);
+    if (!match) {
+      out.push(rest);
+      break;
+    }
+    if (match.index > 0) out.push(rest.slice(0, match.index));
+
+    const key = `${keyPrefix}-${i++}`;
+    const [whole, , bold, italic, code, linkText, url] = match;
+    if (bold) out.push(<strong key={key}>{renderInline(bold, key)}</strong>);
+    else if (italic) out.push(<em key={key}>{renderInline(italic, key)}</em>);
+    else if (code) out.push(<code key={key} style={{ backgroundColor: "#f1f3f5", padding: "0 4px", borderRadius: "3px" }}>{code}</code>);
+    else if (SAFE_URL.test(url)) {
+      out.push(
+        <a key={key} href={url} target="_blank" rel="noopener noreferrer">
+          {renderInline(linkText, key)}
+        </a>
+      );
+    } else {
+      // Unsupported scheme (javascript:, data:, ...): show it as plain text
+      out.push(whole);
+    }
+    rest = rest.slice(match.index + whole.length);
+  }
+
+  return out;
+}
+
+// Group lines into blocks
+function parseBlocks(source) {
+  const lines = source.replace(/\r\n?/g, "\n").split("\n");
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (line.trim() === "") {
+      i++;
+    } else if (line.startsWith("```")) {
+      const body = [];
+      i++;
+      while (i < lines.length && !lines[i].startsWith("```")) body.push(lines[i++]);
+      i++;
+      blocks.push({ type: "code", text: body.join("\n") });
+    } else if (/^#{1,3}\s/.test(line)) {
+      const level = line.match(/^#+/)[0].length;
+      blocks.push({ type: "heading", level, text: line.slice(level).trim() });
+      i++;
+    } else if (/^\s*[-*]\s+/.test(line) || /^\s*\d+\.\s+/.test(line)) {
+      const ordered = /^\s*\d+\.\s+/.test(line);
+      const pattern = ordered ? /^\s*\d+\.\s+/ : /^\s*[-*]\s+/;
+      const items = [];
+      while (i < lines.length && pattern.test(lines[i])) items.push(lines[i++].replace(pattern, ""));
+      blocks.push({ type: "list", ordered, items });
+    } else if (line.startsWith(">")) {
+      const body = [];
+      while (i < lines.length && lines[i].startsWith(">")) body.push(lines[i++].replace(/^>\s?/, ""));
+      blocks.push({ type: "quote", text: body.join(" ") });
+    } else {
+      const body = [];
+      while (i < lines.length && lines[i].trim() !== "" && !/^(#{1,3}\s|```|>|\s*[-*]\s+|\s*\d+\.\s+)/.test(lines[i])) {
+        body.push(lines[i++]);
+      }
+      blocks.push({ type: "paragraph", text: body.join(" ") });
+    }
+  }
+
+  return blocks;
+}
+
+export default function Markdown({ source }) {
+  const { t } = useSettings();
+
+  if (!source || !source.trim()) {
+    return <p style={{ color: "#999", fontStyle: "italic", margin: 0 }}>{t("detail.empty")}</p>;
+  }
+
+  return (
+    <div style={{ lineHeight: 1.5, wordBreak: "break-word" }}>
+      {parseBlocks(source).map((block, i) => {
+        const key = `b${i}`;
+        switch (block.type) {
+          case "heading": {
+            const Tag = `h${block.level + 2}`;
+            return <Tag key={key} style={{ margin: "10px 0 5px" }}>{renderInline(block.text, key)}</Tag>;
+          }
+          case "list": {
+            const Tag = block.ordered ? "ol" : "ul";
+            return (
+              <Tag key={key} style={{ margin: "5px 0", paddingLeft: "20px" }}>
+                {block.items.map((item, j) => <li key={j}>{renderInline(item, `${key}-${j}`)}</li>)}
+              </Tag>
+            );
+          }
+          case "quote":
+            return (
+              <blockquote key={key} style={{ margin: "5px 0", paddingLeft: "10px", borderLeft: "3px solid #ccc", color: "#666" }}>
+                {renderInline(block.text, key)}
+              </blockquote>
+            );
+          case "code":
+            return (
+              <pre key={key} style={{ backgroundColor: "#f1f3f5", padding: "8px", borderRadius: "5px", overflowX: "auto" }}>
+                <code>{block.text}</code>
+              </pre>
+            );
+          default:
+            return <p key={key} style={{ margin: "5px 0" }}>{renderInline(block.text, key)}</p>;
+        }
+      })}
+    </div>
+  );
+}
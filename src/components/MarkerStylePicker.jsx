@@ -0,0 +1,71 @@
+import { MARKER_COLORS, MARKER_GLYPHS, markerStyle, pinSvg } from "../markerIcons";
+import useSettings from "../useSettings";
+
+const rowStyle = { display: "flex", gap: "6px", flexWrap: "wrap", alignItems: "center", marginBottom: "8px", fontSize: "14px", color: "#666" };
+
+const choiceStyle = (selected) => ({
+  minWidth: "30px",
+  height: "30px",
+  padding: "0 6px",
+  borderRadius: "15px",
+  border: selected ? "2px solid #1e3a8a" : "2px solid #e0e0e0",
+  backgroundColor: "white",
+  color: "#333",
+  cursor: "pointer",
+  fontSize: "14px",
+});
+
+// Colour and symbol of a place's map pin, each either picked or automatic
+// (from the place's state and first tag), with a live preview
+export default function MarkerStylePicker({ place, tagsById, onChange }) {
+  const { t } = useSettings();
+  const custom = place.marker || {};
+  const style = markerStyle(place, tagsById);
+  const preview = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(pinSvg(style))}`;
+
+  const update = (patch) => {
+    const next = { ...custom, ...patch };
+    Object.keys(next).forEach((key) => next[key] === undefined && delete next[key]);
+    onChange({ marker: Object.keys(next).length > 0 ? next : null });
+  };
+
+  return (
+    <div style={{ display: "flex", gap: "15px", alignItems: "flex-start" }}>
+      <img src={preview} alt="" width="25" height="41" style={{ flexShrink: 0, marginTop: "4px" }} />
+      <div>
+        <div role="group" aria-label={t("marker.color")} style={rowStyle}>
+          {t("marker.color")}
+          <button onClick={() => update({ color: undefined })} aria-pressed={!custom.color} style={choiceStyle(!custom.color)}>
+            {t("marker.auto")}
+          </button>
+          {MARKER_COLORS.map((color, i) => (
+            <button
+              key={color}
+              onClick={() => update({ color })}
+              aria-label={t("marker.colorChoice", { n: i + 1 })}
+              aria-pressed={custom.color === color}
+              style={{ ...choiceStyle(custom.color === color), width: "30px", backgroundColor: color, borderColor: custom.color === color ? "#1e3a8a" : "white" }}
+            />
+          ))}
+        </div>
+        <div role="group" aria-label={t("marker.glyph")} style={rowStyle}>
+          {t("marker.glyph")}
+          <button onClick={() => update({ glyph: undefined })} aria-pressed={custom.glyph === undefined} style={choiceStyle(custom.glyph === undefined)}>
+            {t("marker.auto")}
+          </button>
+          {MARKER_GLYPHS.map((glyph) => (
+            <button
+              key={glyph || "dot"}
+              onClick={() => update({ glyph })}
+              aria-label={glyph || t("marker.dot")}
+              aria-pressed={custom.glyph === glyph}
+              style={choiceStyle(custom.glyph === glyph)}
+            >
+              {glyph || "•"}
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,51 @@
+import useSettings from "../useSettings";
+
+const buttonStyle = {
+  padding: "6px 12px",
+  borderRadius: "8px",
+  border: "none",
+  cursor: "pointer",
+  fontWeight: "600",
+  whiteSpace: "nowrap",
+};
+
+// Asks about trips whose planned dates have passed without the place being
+// marked visited
+export default function OverduePrompt({ visits, onMarkVisited, onDismiss }) {
+  const { t, format } = useSettings();
+
+  return (
+    <div style={{ marginBottom: "20px", display: "flex", flexDirection: "column", gap: "8px" }}>
+      {visits.map((visit) => (
+        <div
+          key={visit.plan.id}
+          role="status"
+          style={{
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+            flexWrap: "wrap",
+            gap: "10px",
+            padding: "10px 16px",
+            borderRadius: "10px",
+            backgroundColor: "#e7f5ff",
+            border: "1px solid #74c0fc",
+            color: "#1e3a8a",
+          }}
+        >
+          <span>
+            🧳 {t("overdue.before")} <strong>{visit.place.name}</strong> ({format.range(visit.plan)}) {t("overdue.after")}
+          </span>
+          <span style={{ display: "flex", gap: "8px" }}>
+            <button onClick={() => onMarkVisited(visit)} style={{ ...buttonStyle, backgroundColor: "#51cf66", color: "white" }}>
+              ✅ {t("overdue.markVisited")}
+            </button>
+            <button onClick={() => onDismiss(visit)} style={{ ...buttonStyle, backgroundColor: "white", color: "#1e3a8a" }}>
+              {t("overdue.notThisTime")}
+            </button>
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,322 @@
+import { useState } from "react";
+import Markdown from "./Markdown";
+import Attractions from "./Attractions";
+import BudgetEditor from "./BudgetEditor";
+import PlanEditor from "./PlanEditor";
+import ClimatePanel from "./ClimatePanel";
+import MarkerStylePicker from "./MarkerStylePicker";
+import { ALERT_RULES, ALERT_RULE_IDS, rulesFor } from "../alerts";
+import { createId, createSubStop } from "../placeStore";
+import { today } from "../calendar";
+import useSettings from "../useSettings";
+import useDialog from "../useDialog";
+
+const sectionTitle = { margin: "25px 0 10px", fontSize: "18px", color: "#1e3a8a" };
+
+const tabStyle = (active) => ({
+  padding: "6px 14px",
+  border: "none",
+  borderBottom: active ? "3px solid #2F80ED" : "3px solid transparent",
+  background: "none",
+  color: active ? "#1e3a8a" : "#666",
+  fontWeight: active ? "600" : "normal",
+  cursor: "pointer",
+});
+
+const textareaStyle = {
+  width: "100%",
+  minHeight: "120px",
+  padding: "10px",
+  borderRadius: "8px",
+  border: "2px solid #e0e0e0",
+  fontSize: "14px",
+  fontFamily: "inherit",
+  color: "#333",
+  backgroundColor: "white",
+  boxSizing: "border-box",
+  resize: "vertical",
+};
+
+const linkStyle = {
+  display: "inline-block",
+  padding: "12px 24px",
+  color: "white",
+  textDecoration: "none",
+  borderRadius: "5px",
+  marginRight: "10px",
+  marginBottom: "10px",
+};
+
+// Notes, rating, visit and planned dates, map pin, journal, budget and
+// sub-stops for one place, plus attractions from Wikipedia and OpenStreetMap
+export default function PlaceDetail({ place, onChange, tagsById, budgetSettings, overlapIds, onClose }) {
+  const [notesTab, setNotesTab] = useState(place.notes ? "preview" : "edit");
+  const [entryDate, setEntryDate] = useState(today);
+  const [entryText, setEntryText] = useState("");
+  const { t, format } = useSettings();
+  const dialogRef = useDialog(onClose);
+
+  const journal = [...(place.journal || [])].sort((a, b) => b.date.localeCompare(a.date));
+
+  const addEntry = () => {
+    if (!entryText.trim()) return;
+    onChange({ journal: [...(place.journal || []), { id: createId(), date: entryDate, text: entryText.trim() }] });
+    setEntryText("");
+  };
+
+  const subStops = place.subStops || [];
+  const savedRefs = new Set(subStops.map((stop) => stop.osmRef));
+
+  const saveStop = (poi) => {
+    const stop = createSubStop({ name: poi.name, kind: poi.kind, lat: poi.lat, lng: poi.lng, osmRef: poi.id });
+    onChange({ subStops: [...subStops, stop] });
+  };
+
+  const removeStop = (stopId) => {
+    onChange({ subStops: subStops.filter((stop) => stop.id !== stopId) });
+  };
+
+  const deleteEntry = (entryId) => {
+    if (!window.confirm(t("detail.confirmDeleteEntry"))) return;
+    onChange({ journal: place.journal.filter((entry) => entry.id !== entryId) });
+  };
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        backgroundColor: "rgba(74, 207, 167, 0.8)",
+        display: "flex",
+        justifyContent: "center",
+        alignItems: "center",
+        zIndex: 1000,
+        padding: "20px",
+      }}
+      onClick={onClose}
+    >
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="place-detail-title"
+        tabIndex={-1}
+        style={{
+          backgroundColor: "white",
+          borderRadius: "10px",
+          padding: "30px",
+          maxWidth: "700px",
+          width: "100%",
+          maxHeight: "85vh",
+          overflow: "auto",
+          color: "#333",
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "10px" }}>
+          <h2 id="place-detail-title" style={{ margin: 0 }}>{place.visited ? "✅ " : "📍 "}{place.name}</h2>
+          <button
+            onClick={onClose}
+            aria-label={t("common.close")}
+            style={{
+              padding: "8px 15px",
+              borderRadius: "5px",
+              border: "none",
+              backgroundColor: "#f44336",
+              color: "white",
+              cursor: "pointer",
+              fontSize: "16px",
+            }}
+          >
+            ✕
+          </button>
+        </div>
+        {place.geocode?.displayName && (
+          <div style={{ fontSize: "13px", color: "#666" }}>{place.geocode.displayName}</div>
+        )}
+
+        {/* Rating and visit date */}
+        <div style={{ display: "flex", gap: "25px", flexWrap: "wrap", alignItems: "center", marginTop: "20px" }}>
+          <div>
+            {[1, 2, 3, 4, 5].map((star) => (
+              <button
+                key={star}
+                onClick={() => onChange({ rating: place.rating === star ? 0 : star })}
+                title={t("detail.stars", { count: star })}
+                aria-label={t("detail.stars", { count: star })}
+                aria-pressed={place.rating === star}
+                style={{
+                  border: "none",
+                  background: "none",
+                  cursor: "pointer",
+                  fontSize: "24px",
+                  padding: "0 2px",
+                  color: star <= (place.rating || 0) ? "#f5b301" : "#ccc",
+                }}
+              >
+                ★
+              </button>
+            ))}
+          </div>
+          <label style={{ fontSize: "14px", display: "flex", alignItems: "center", gap: "8px" }}>
+            {t("detail.visitedOn")}
+            <input
+              type="date"
+              value={place.visitedDate || ""}
+              onChange={(e) => onChange({ visitedDate: e.target.value || null })}
+              style={{ padding: "5px", borderRadius: "5px", border: "2px solid #e0e0e0", color: "#333", backgroundColor: "white" }}
+            />
+          </label>
+        </div>
+
+        {/* Planned dates */}
+        <h3 style={sectionTitle}>{t("detail.plannedDates")}</h3>
+        <PlanEditor plans={place.plans || []} overlapIds={overlapIds} onChange={(plans) => onChange({ plans })} />
+        <div style={{ display: "flex", gap: "12px", flexWrap: "wrap", alignItems: "center", marginTop: "10px", fontSize: "14px", color: "#666" }}>
+          {t("detail.alertRules")}
+          {ALERT_RULE_IDS.map((rule) => (
+            <label key={rule} style={{ display: "flex", alignItems: "center", gap: "4px", color: "#333" }}>
+              <input
+                type="checkbox"
+                checked={rulesFor(place).includes(rule)}
+                onChange={(e) =>
+                  onChange({
+                    alertRules: e.target.checked
+                      ? [...rulesFor(place), rule]
+                      : rulesFor(place).filter((other) => other !== rule),
+                  })
+                }
+              />
+              {ALERT_RULES[rule].icon} {t(`alerts.ruleName.${rule}`)}
+            </label>
+          ))}
+        </div>
+
+        {/* Map pin */}
+        <h3 style={sectionTitle}>{t("detail.marker")}</h3>
+        <MarkerStylePicker place={place} tagsById={tagsById} onChange={onChange} />
+
+        {/* Notes */}
+        <h3 style={sectionTitle}>{t("detail.notes")}</h3>
+        <div style={{ marginBottom: "8px" }}>
+          <button style={tabStyle(notesTab === "edit")} onClick={() => setNotesTab("edit")}>{t("detail.edit")}</button>
+          <button style={tabStyle(notesTab === "preview")} onClick={() => setNotesTab("preview")}>{t("detail.preview")}</button>
+        </div>
+        {notesTab === "edit" ? (
+          <textarea
+            value={place.notes || ""}
+            onChange={(e) => onChange({ notes: e.target.value })}
+            placeholder={t("detail.notesPlaceholder")}
+            style={textareaStyle}
+          />
+        ) : (
+          <Markdown source={place.notes} />
+        )}
+
+        {/* Climate */}
+        <h3 style={sectionTitle}>{t("detail.climate")}</h3>
+        <ClimatePanel place={place} />
+
+        {/* Budget */}
+        <h3 style={sectionTitle}>{t("detail.budget")}</h3>
+        <BudgetEditor items={place.budget || []} settings={budgetSettings} onChange={(budget) => onChange({ budget })} />
+
+        {/* Journal */}
+        <h3 style={sectionTitle}>{t("detail.journal")}</h3>
+        <div style={{ display: "flex", flexDirection: "column", gap: "8px", marginBottom: "15px" }}>
+          <input
+            type="date"
+            aria-label={t("a11y.entryDate")}
+            value={entryDate}
+            onChange={(e) => setEntryDate(e.target.value)}
+            style={{ alignSelf: "flex-start", padding: "5px", borderRadius: "5px", border: "2px solid #e0e0e0", color: "#333", backgroundColor: "white" }}
+          />
+          <textarea
+            value={entryText}
+            onChange={(e) => setEntryText(e.target.value)}
+            placeholder={t("detail.journalPlaceholder")}
+            style={{ ...textareaStyle, minHeight: "80px" }}
+          />
+          <button
+            onClick={addEntry}
+            disabled={!entryText.trim() || !entryDate}
+            style={{
+              alignSelf: "flex-start",
+              padding: "8px 15px",
+              borderRadius: "8px",
+              border: "none",
+              backgroundColor: "#2F80ED",
+              color: "white",
+              cursor: "pointer",
+              fontWeight: "600",
+            }}
+          >
+            {t("detail.addEntry")}
+          </button>
+        </div>
+        {journal.map((entry) => (
+          <div key={entry.id} style={{ borderLeft: "3px solid #2F80ED", padding: "5px 12px", marginBottom: "12px" }}>
+            <div style={{ display: "flex", justifyContent: "space-between", fontSize: "13px", color: "#666" }}>
+              <strong>{format.date(entry.date)}</strong>
+              <button
+                onClick={() => deleteEntry(entry.id)}
+                aria-label={t("a11y.deleteEntry", { date: format.date(entry.date) })}
+                style={{ border: "none", background: "none", color: "#ff6b6b", cursor: "pointer" }}
+              >
+                {t("common.delete")}
+              </button>
+            </div>
+            <Markdown source={entry.text} />
+          </div>
+        ))}
+
+        {/* Sub-stops */}
+        {subStops.length > 0 && (
+          <>
+            <h3 style={sectionTitle}>{t("detail.subStops")}</h3>
+            <ul style={{ listStyle: "none", padding: 0, margin: 0 }}>
+              {subStops.map((stop) => (
+                <li key={stop.id} style={{ display: "flex", justifyContent: "space-between", alignItems: "center", padding: "6px 0" }}>
+                  <span>
+                    📌 {stop.name} <span style={{ fontSize: "12px", color: "#999" }}>{t(`poi.${stop.kind}`, { fallback: stop.kind })}</span>
+                  </span>
+                  <button
+                    onClick={() => removeStop(stop.id)}
+                    aria-label={t("a11y.removeNamed", { name: stop.name })}
+                    style={{ border: "none", background: "none", color: "#ff6b6b", cursor: "pointer" }}
+                  >
+                    {t("common.remove")}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+
+        {/* Attractions */}
+        <h3 style={sectionTitle}>{t("detail.attractions")}</h3>
+        <Attractions place={place} savedRefs={savedRefs} onSaveStop={saveStop} />
+        <p style={{ margin: "20px 0 10px", fontSize: "14px", color: "#666" }}>{t("detail.searchFurther")}</p>
+        <a
+          href={`https://www.google.com/search?q=top+attractions+in+${encodeURIComponent(place.name)}`}
+          target="_blank"
+          rel="noopener noreferrer"
+          style={{ ...linkStyle, backgroundColor: "#3e7ee6" }}
+        >
+          🔍 {t("detail.google")}
+        </a>
+        <a
+          href={`https://www.tripadvisor.com/Search?q=${encodeURIComponent(place.name)}`}
+          target="_blank"
+          rel="noopener noreferrer"
+          style={{ ...linkStyle, backgroundColor: "#00af87", marginRight: 0 }}
+        >
+          ✈️ TripAdvisor
+        </a>
+      </div>
+    </div>
+  );
+}
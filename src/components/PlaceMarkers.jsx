@@ -0,0 +1,142 @@
+import { useState, useMemo, useEffect, useRef, memo } from "react";
+import { Marker, Popup, useMap, useMapEvents } from "react-leaflet";
+import L from "leaflet";
+import { iconFor } from "../markerIcons";
+import useSettings from "../useSettings";
+
+// Places closer than this on screen are merged into one cluster
+const CLUSTER_RADIUS_PX = 60;
+// From this zoom on every place gets its own marker
+const CLUSTER_MAX_ZOOM = 14;
+
+// Group places into screen-space grid cells at the given zoom
+const clusterPlaces = (places, map, zoom) => {
+  if (zoom >= CLUSTER_MAX_ZOOM) {
+    return places.map((place) => ({ key: place.id, places: [place], lat: place.lat, lng: place.lng }));
+  }
+
+  const cells = new Map();
+  places.forEach((place) => {
+    const point = map.project([place.lat, place.lng], zoom);
+    const key = `${Math.floor(point.x / CLUSTER_RADIUS_PX)}:${Math.floor(point.y / CLUSTER_RADIUS_PX)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(place);
+  });
+
+  return [...cells.entries()].map(([key, members]) => ({
+    key: members.length === 1 ? members[0].id : key,
+    places: members,
+    lat: members.reduce((sum, p) => sum + p.lat, 0) / members.length,
+    lng: members.reduce((sum, p) => sum + p.lng, 0) / members.length,
+  }));
+};
+
+const clusterIcons = new Map();
+const clusterIcon = (count, allVisited) => {
+  const key = `${count}-${allVisited}`;
+  if (!clusterIcons.has(key)) {
+    const size = count < 10 ? 34 : count < 100 ? 42 : 50;
+    const color = allVisited ? "#51cf66" : "#2F80ED";
+    clusterIcons.set(key, L.divIcon({
+      className: "",
+      html: `<div style="width:${size}px;height:${size}px;border-radius:50%;background:${color};opacity:0.9;color:white;font:700 14px/${size}px sans-serif;text-align:center;border:3px solid rgba(255,255,255,0.8);box-shadow:0 1px 6px rgba(0,0,0,0.35)">${count}</div>`,
+      iconSize: [size, size],
+      iconAnchor: [size / 2, size / 2],
+    }));
+  }
+  return clusterIcons.get(key);
+};
+
+// Place markers, clustered with count badges below CLUSTER_MAX_ZOOM. Only
+// markers inside (a margin around) the current view are rendered. The
+// `activeId` place is brought into view with its popup open.
+function PlaceMarkers({ places, tagsById, onSelect, activeId }) {
+  const map = useMap();
+  const { t } = useSettings();
+  const [view, setView] = useState(() => ({ zoom: map.getZoom(), bounds: map.getBounds() }));
+  const updateView = () => setView({ zoom: map.getZoom(), bounds: map.getBounds() });
+  useMapEvents({ moveend: updateView, resize: updateView });
+
+  const clusters = useMemo(() => clusterPlaces(places, map, view.zoom), [places, map, view.zoom]);
+  const area = view.bounds.pad(0.25);
+
+  // Rendered single-place markers by place id
+  const markersRef = useRef(new Map());
+  // Place whose popup should open once its marker is rendered
+  const pendingRef = useRef(null);
+  const active = places.find((place) => place.id === activeId);
+  const activeLat = active?.lat;
+  const activeLng = active?.lng;
+
+  useEffect(() => {
+    if (activeLat == null) return;
+    const marker = markersRef.current.get(activeId);
+    if (marker && map.getBounds().contains([activeLat, activeLng])) {
+      marker.openPopup();
+      return;
+    }
+    // Zoom in far enough for the place to leave its cluster
+    pendingRef.current = activeId;
+    map.setView([activeLat, activeLng], Math.max(map.getZoom(), CLUSTER_MAX_ZOOM));
+  }, [map, activeId, activeLat, activeLng]);
+
+  useEffect(() => {
+    const marker = markersRef.current.get(pendingRef.current);
+    if (!marker) return;
+    pendingRef.current = null;
+    marker.openPopup();
+  });
+
+  return clusters
+    .filter((cluster) => area.contains([cluster.lat, cluster.lng]))
+    .map((cluster) => {
+      if (cluster.places.length > 1) {
+        return (
+          <Marker
+            key={cluster.key}
+            position={[cluster.lat, cluster.lng]}
+            icon={clusterIcon(cluster.places.length, cluster.places.every((p) => p.visited))}
+            title={t("a11y.cluster", { count: cluster.places.length })}
+            alt={t("a11y.cluster", { count: cluster.places.length })}
+            eventHandlers={{
+              // Zoom to fit the cluster's places
+              click: () => {
+                const bounds = L.latLngBounds(cluster.places.map((p) => [p.lat, p.lng]));
+                map.fitBounds(bounds, { padding: [50, 50], maxZoom: CLUSTER_MAX_ZOOM });
+              },
+            }}
+          />
+        );
+      }
+
+      const place = cluster.places[0];
+      return (
+        <Marker
+          key={place.id}
+          position={[place.lat, place.lng]}
+          icon={iconFor(place, tagsById, { selected: place.id === activeId })}
+          title={place.name}
+          alt={place.name}
+          zIndexOffset={place.id === activeId ? 1000 : 0}
+          ref={(marker) => {
+            if (marker) markersRef.current.set(place.id, marker);
+            else markersRef.current.delete(place.id);
+          }}
+          eventHandlers={{
+            click: () => {
+              onSelect(place.id);
+            }
+          }}
+        >
+          <Popup>
+            <div style={{ textAlign: "center" }}>
+              <strong>{place.name}</strong>
+              {place.visited && <div style={{ color: "#51cf66", marginTop: "5px" }}>✅ {t("place.visited")}</div>}
+            </div>
+          </Popup>
+        </Marker>
+      );
+    });
+}
+
+export default memo(PlaceMarkers);
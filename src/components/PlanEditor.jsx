@@ -0,0 +1,65 @@
+import { createPlan, today } from "../calendar";
+import useSettings from "../useSettings";
+
+const dateStyle = { padding: "5px", borderRadius: "5px", border: "2px solid #e0e0e0", color: "#333", backgroundColor: "white" };
+
+// Planned date ranges for one place. `overlapIds` marks plans that clash
+// with another place's.
+export default function PlanEditor({ plans, overlapIds, onChange }) {
+  const { t } = useSettings();
+
+  const updatePlan = (planId, patch) => {
+    onChange(
+      plans.map((plan) => {
+        if (plan.id !== planId) return plan;
+        const next = { ...plan, ...patch, reviewed: false };
+        // Keep the range the right way round
+        if (next.end < next.start) {
+          if (patch.start) next.end = next.start;
+          else next.start = next.end;
+        }
+        return next;
+      })
+    );
+  };
+
+  return (
+    <div>
+      {plans.map((plan) => (
+        <div key={plan.id} style={{ display: "flex", gap: "8px", alignItems: "center", flexWrap: "wrap", marginBottom: "6px" }}>
+          <input
+            type="date"
+            aria-label={t("a11y.planStart")}
+            value={plan.start}
+            onChange={(e) => e.target.value && updatePlan(plan.id, { start: e.target.value })}
+            style={dateStyle}
+          />
+          <span>{t("plan.to")}</span>
+          <input
+            type="date"
+            aria-label={t("a11y.planEnd")}
+            value={plan.end}
+            onChange={(e) => e.target.value && updatePlan(plan.id, { end: e.target.value })}
+            style={dateStyle}
+          />
+          {overlapIds.has(plan.id) && (
+            <span style={{ fontSize: "13px", color: "#e67700" }}>⚠️ {t("plan.overlaps")}</span>
+          )}
+          <button
+            onClick={() => onChange(plans.filter((other) => other.id !== plan.id))}
+            aria-label={t("a11y.removePlan")}
+            style={{ border: "none", background: "none", color: "#ff6b6b", cursor: "pointer" }}
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+      <button
+        onClick={() => onChange([...plans, createPlan({ start: today() })])}
+        style={{ padding: "6px 12px", borderRadius: "8px", border: "2px solid #2F80ED", background: "white", color: "#1e3a8a", cursor: "pointer" }}
+      >
+        ➕ {t("plan.add")}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+import { Fragment } from "react";
+import { Polyline, Marker, Tooltip } from "react-leaflet";
+import L from "leaflet";
+import useSettings from "../useSettings";
+
+const ROUTE_COLOR = "#9b51e0";
+
+const stopIcon = (n) =>
+  L.divIcon({
+    className: "",
+    html: `<div style="width:22px;height:22px;border-radius:50%;background:${ROUTE_COLOR};color:white;border:2px solid white;font:600 12px/22px sans-serif;text-align:center;box-shadow:0 1px 4px rgba(0,0,0,0.4)">${n}</div>`,
+    iconSize: [26, 26],
+    // Sit beside the place marker's pin rather than on top of it
+    iconAnchor: [-4, 40],
+  });
+
+// Numbered stops and one polyline per leg, each labelled with its distance
+export default function RouteLayer({ route, placesById }) {
+  const stops = route.ids.map((id) => placesById.get(id)).filter(Boolean);
+  const { format } = useSettings();
+
+  return (
+    <>
+      {stops.map((place, i) => (
+        <Fragment key={place.id}>
+          <Marker position={[place.lat, place.lng]} icon={stopIcon(i + 1)} interactive={false} />
+          {i < stops.length - 1 && (
+            <Polyline
+              positions={[[place.lat, place.lng], [stops[i + 1].lat, stops[i + 1].lng]]}
+              pathOptions={{ color: ROUTE_COLOR, weight: 4, opacity: 0.8, dashArray: "8 6" }}
+            >
+              <Tooltip sticky>
+                {i + 1} → {i + 2}: {format.distance(route.legs[i])}
+              </Tooltip>
+            </Polyline>
+          )}
+        </Fragment>
+      ))}
+    </>
+  );
+}
@@ -0,0 +1,90 @@
+import useSettings from "../useSettings";
+
+const selectStyle = {
+  padding: "6px 10px",
+  borderRadius: "8px",
+  border: "2px solid #e0e0e0",
+  fontSize: "14px",
+  color: "#333",
+  backgroundColor: "white",
+};
+
+const buttonStyle = {
+  padding: "8px 15px",
+  borderRadius: "8px",
+  border: "none",
+  color: "white",
+  cursor: "pointer",
+  fontSize: "14px",
+  fontWeight: "600",
+};
+
+// "Plan route" controls: optional fixed start/end, the computed order with
+// per-leg distances, and applying that order to the list
+export default function RoutePanel({ candidates, route, startId, endId, onStartChange, onEndChange, onPlan, onApply, onClose }) {
+  const byId = new Map(candidates.map((place) => [place.id, place]));
+  const { t, format } = useSettings();
+
+  return (
+    <div style={{
+      marginBottom: "25px",
+      padding: "20px",
+      borderRadius: "12px",
+      border: "2px solid #9b51e0",
+      backgroundColor: "#faf5ff",
+      color: "#333",
+    }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "10px" }}>
+        <h3 style={{ margin: 0, color: "#6b21a8" }}>🧭 {t("route.title")}</h3>
+        <button onClick={onClose} aria-label={t("common.close")} style={{ border: "none", background: "none", cursor: "pointer", fontSize: "16px", color: "#666" }}>✕</button>
+      </div>
+
+      {candidates.length < 2 ? (
+        <p style={{ margin: 0, color: "#666" }}>{t("route.needTwo")}</p>
+      ) : (
+        <>
+          <div style={{ display: "flex", gap: "10px", flexWrap: "wrap", alignItems: "center" }}>
+            <label style={{ fontSize: "14px" }}>
+              {t("route.start")}{" "}
+              <select value={startId || ""} onChange={(e) => onStartChange(e.target.value || null)} style={selectStyle}>
+                <option value="">{t("route.any")}</option>
+                {candidates.map((place) => <option key={place.id} value={place.id}>{place.name}</option>)}
+              </select>
+            </label>
+            <label style={{ fontSize: "14px" }}>
+              {t("route.end")}{" "}
+              <select value={endId || ""} onChange={(e) => onEndChange(e.target.value || null)} style={selectStyle}>
+                <option value="">{t("route.any")}</option>
+                {candidates.map((place) => <option key={place.id} value={place.id}>{place.name}</option>)}
+              </select>
+            </label>
+            <button onClick={onPlan} style={{ ...buttonStyle, backgroundColor: "#9b51e0" }}>
+              {t("route.compute", { count: candidates.length })}
+            </button>
+            {route && (
+              <button onClick={onApply} style={{ ...buttonStyle, backgroundColor: "#2F80ED" }}>
+                {t("route.apply")}
+              </button>
+            )}
+          </div>
+
+          {route && (
+            <ol style={{ margin: "15px 0 0", paddingLeft: "25px", fontSize: "14px" }}>
+              {route.ids.map((id, i) => (
+                <li key={id} style={{ marginBottom: "4px" }}>
+                  <strong>{byId.get(id)?.name}</strong>
+                  {i < route.legs.length && (
+                    <span style={{ color: "#666" }}> → {format.distance(route.legs[i])}</span>
+                  )}
+                </li>
+              ))}
+              <li style={{ listStyle: "none", marginTop: "8px", fontWeight: "600", color: "#6b21a8" }}>
+                {t("common.total", { amount: format.distance(route.total) })}
+              </li>
+            </ol>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
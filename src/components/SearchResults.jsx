@@ -0,0 +1,105 @@
+import useDialog from "../useDialog";
+import useSettings from "../useSettings";
+
+// "Which one did you mean?" picker shown when a search matches several places
+export default function SearchResults({ query, results, onPick, onClose }) {
+  const dialogRef = useDialog(onClose);
+  const { t } = useSettings();
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        backgroundColor: "rgba(0, 0, 0, 0.8)",
+        display: "flex",
+        justifyContent: "center",
+        alignItems: "center",
+        zIndex: 1000,
+        padding: "20px",
+      }}
+      onClick={onClose}
+    >
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="search-results-title"
+        tabIndex={-1}
+        style={{
+          backgroundColor: "white",
+          borderRadius: "10px",
+          padding: "30px",
+          maxWidth: "600px",
+          width: "100%",
+          maxHeight: "80vh",
+          overflow: "auto",
+          color: "#333",
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "20px" }}>
+          <h2 id="search-results-title" style={{ margin: 0 }}>{t("add.whichOne", { query })}</h2>
+          <button
+            onClick={onClose}
+            aria-label={t("common.close")}
+            style={{
+              padding: "8px 15px",
+              borderRadius: "5px",
+              border: "none",
+              backgroundColor: "#f44336",
+              color: "white",
+              cursor: "pointer",
+              fontSize: "16px",
+            }}
+          >
+            ✕
+          </button>
+        </div>
+        <ul style={{ listStyle: "none", padding: 0, marginTop: "20px" }}>
+          {results.map((result, index) => (
+            <li key={index}>
+              <button
+                onClick={() => onPick(result)}
+                style={{
+                  display: "block",
+                  width: "100%",
+                  padding: "15px",
+                  marginBottom: "10px",
+                  border: "2px solid #e0e0e0",
+                  borderRadius: "8px",
+                  cursor: "pointer",
+                  transition: "all 0.2s",
+                  backgroundColor: "white",
+                  textAlign: "left",
+                  font: "inherit",
+                }}
+                onMouseOver={(e) => {
+                  e.currentTarget.style.borderColor = "#2F80ED";
+                  e.currentTarget.style.backgroundColor = "#f0f7ff";
+                }}
+                onMouseOut={(e) => {
+                  e.currentTarget.style.borderColor = "#e0e0e0";
+                  e.currentTarget.style.backgroundColor = "white";
+                }}
+              >
+                <div style={{ fontWeight: "600", marginBottom: "5px", color: "#1e3a8a" }}>
+                  {result.displayName}
+                </div>
+                <div style={{ fontSize: "12px", color: "#666" }}>
+                  {t("add.resultDetails", {
+                    type: result.type || t("common.unknown"),
+                    category: result.category || t("common.unknown"),
+                  })}
+                </div>
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,145 @@
+import { LANGUAGES } from "../i18n";
+import { DEFAULT_SETTINGS, DATE_FORMATS, createI18n } from "../settings";
+import { today } from "../calendar";
+import useSettings from "../useSettings";
+
+const fieldStyle = {
+  padding: "6px 10px",
+  borderRadius: "8px",
+  border: "2px solid #e0e0e0",
+  fontSize: "14px",
+  color: "#333",
+  backgroundColor: "white",
+};
+
+const labelStyle = { display: "flex", flexDirection: "column", gap: "6px", fontSize: "14px", color: "#666", flex: "1 1 200px" };
+
+const coordsKey = ({ lat, lng }) => `${lat},${lng}`;
+
+// Language, units, date format and where the map opens. Saved per device.
+export default function SettingsPanel({ homeCandidates, syncStatus, onSyncNow, onClose }) {
+  const { settings, setSettings, t, format } = useSettings();
+  const update = (patch) => setSettings({ ...settings, ...patch });
+  const sampleDate = today();
+  // Keep a saved home selectable even if its place is gone
+  const homes = settings.mapHome && !homeCandidates.some((place) => coordsKey(place) === coordsKey(settings.mapHome))
+    ? [settings.mapHome, ...homeCandidates]
+    : homeCandidates;
+
+  return (
+    <div style={{ marginBottom: "25px", padding: "20px", borderRadius: "12px", backgroundColor: "#f1f5fb" }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "15px" }}>
+        <h3 style={{ margin: 0, color: "#1e3a8a" }}>⚙️ {t("settings.title")}</h3>
+        <button onClick={onClose} aria-label={t("common.close")} style={{ border: "none", background: "none", cursor: "pointer", fontSize: "16px", color: "#666" }}>✕</button>
+      </div>
+
+      <div style={{ display: "flex", gap: "15px", flexWrap: "wrap", padding: "20px", borderRadius: "12px", backgroundColor: "white", boxShadow: "0 2px 8px rgba(0,0,0,0.1)" }}>
+        <label style={labelStyle}>
+          {t("settings.language")}
+          <select value={settings.language} onChange={(e) => update({ language: e.target.value })} style={fieldStyle}>
+            {Object.entries(LANGUAGES).map(([code, { name }]) => (
+              <option key={code} value={code}>{name}</option>
+            ))}
+          </select>
+        </label>
+        <label style={labelStyle}>
+          {t("settings.temperature")}
+          <select value={settings.temperatureUnit} onChange={(e) => update({ temperatureUnit: e.target.value })} style={fieldStyle}>
+            <option value="C">{t("settings.celsius")}</option>
+            <option value="F">{t("settings.fahrenheit")}</option>
+          </select>
+        </label>
+        <label style={labelStyle}>
+          {t("settings.distance")}
+          <select value={settings.distanceUnit} onChange={(e) => update({ distanceUnit: e.target.value })} style={fieldStyle}>
+            <option value="km">{t("settings.km")}</option>
+            <option value="mi">{t("settings.mi")}</option>
+          </select>
+        </label>
+        <label style={labelStyle}>
+          {t("settings.dateFormat")}
+          <select value={settings.dateFormat} onChange={(e) => update({ dateFormat: e.target.value })} style={fieldStyle}>
+            {DATE_FORMATS.map((dateFormat) => (
+              <option key={dateFormat} value={dateFormat}>
+                {t(`settings.date.${dateFormat}`, {
+                  example: createI18n({ ...settings, dateFormat }).format.date(sampleDate),
+                })}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label style={labelStyle}>
+          {t("settings.mapHome")}
+          <select
+            value={settings.mapHome ? coordsKey(settings.mapHome) : ""}
+            onChange={(e) => {
+              const place = homes.find((candidate) => coordsKey(candidate) === e.target.value);
+              update({ mapHome: place ? { name: place.name, lat: place.lat, lng: place.lng } : null });
+            }}
+            style={fieldStyle}
+          >
+            <option value="">{t("settings.mapHomeFirst")}</option>
+            {homes.map((place) => (
+              <option key={coordsKey(place)} value={coordsKey(place)}>{place.name}</option>
+            ))}
+          </select>
+        </label>
+        <label style={labelStyle}>
+          {t("settings.mapZoom")} ({settings.mapZoom})
+          <input
+            type="range"
+            min="2"
+            max="12"
+            value={settings.mapZoom}
+            onChange={(e) => update({ mapZoom: Number(e.target.value) })}
+          />
+        </label>
+      </div>
+
+      <div style={{ marginTop: "15px", padding: "20px", borderRadius: "12px", backgroundColor: "white", boxShadow: "0 2px 8px rgba(0,0,0,0.1)" }}>
+        <h4 style={{ margin: "0 0 10px", color: "#1e3a8a" }}>🔄 {t("sync.title")}</h4>
+        <div style={{ display: "flex", gap: "10px", flexWrap: "wrap", alignItems: "flex-end" }}>
+          <label style={labelStyle}>
+            {t("sync.url")}
+            {/* Saved on blur so half-typed addresses aren't tried */}
+            <input
+              key={settings.syncUrl}
+              type="url"
+              defaultValue={settings.syncUrl}
+              placeholder="http://localhost:8787/team"
+              onBlur={(e) => {
+                const syncUrl = e.target.value.trim();
+                if (syncUrl !== settings.syncUrl) update({ syncUrl });
+              }}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") e.currentTarget.blur();
+              }}
+              style={fieldStyle}
+            />
+          </label>
+          {settings.syncUrl && (
+            <button
+              onClick={onSyncNow}
+              disabled={syncStatus.state === "syncing"}
+              style={{ padding: "6px 12px", borderRadius: "8px", border: "2px solid #2F80ED", background: "white", color: "#1e3a8a", cursor: "pointer" }}
+            >
+              {t("sync.now")}
+            </button>
+          )}
+        </div>
+        <p role="status" style={{ margin: "10px 0 0", fontSize: "13px", color: syncStatus.state === "error" ? "#c92a2a" : "#666" }}>
+          {syncStatus.state === "error"
+            ? t(`sync.error.${syncStatus.error.type}`, { fallback: syncStatus.error.message })
+            : t(`sync.state.${syncStatus.state}`, { time: syncStatus.at && format.dateTime(syncStatus.at) })}
+        </p>
+      </div>
+
+      <button
+        onClick={() => setSettings(DEFAULT_SETTINGS)}
+        style={{ marginTop: "15px", padding: "6px 12px", borderRadius: "8px", border: "2px solid #2F80ED", background: "white", color: "#1e3a8a", cursor: "pointer" }}
+      >
+        {t("settings.reset")}
+      </button>
+    </div>
+  );
+}
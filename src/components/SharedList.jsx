@@ -0,0 +1,117 @@
+import { MapContainer, TileLayer } from "react-leaflet";
+import L from "leaflet";
+import PlaceMarkers from "./PlaceMarkers";
+import { hasCoords } from "../placeStore";
+import { TILE_URL, TILE_ATTRIBUTION } from "../offline";
+import useSettings from "../useSettings";
+
+// Shared places carry no tags
+const NO_TAGS = new Map();
+const noop = () => {};
+
+const buttonStyle = {
+  padding: "12px 24px",
+  borderRadius: "10px",
+  border: "none",
+  cursor: "pointer",
+  fontSize: "16px",
+  fontWeight: "600",
+};
+
+// Read-only view of a list opened from a share link
+export default function SharedList({ shared, onImport, onClose }) {
+  const { t } = useSettings();
+
+  if (shared.status === "loading") {
+    return <p style={{ color: "#666", textAlign: "center" }}>{t("shared.opening")}</p>;
+  }
+
+  if (shared.status === "error") {
+    return (
+      <div style={{ textAlign: "center" }}>
+        <p style={{ color: "#f22020" }}>{t(`share.error.${shared.error.type}`, { fallback: shared.error.message })}</p>
+        <button onClick={onClose} style={{ ...buttonStyle, backgroundColor: "#2F80ED", color: "white" }}>
+          {t("shared.goToLists")}
+        </button>
+      </div>
+    );
+  }
+
+  const { places } = shared.list;
+  const name = shared.list.name ?? t("shared.untitled");
+  const mapped = places.filter(hasCoords);
+  const visited = places.filter((place) => place.visited).length;
+
+  return (
+    <div>
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          flexWrap: "wrap",
+          gap: "10px",
+          marginBottom: "20px",
+          padding: "15px 20px",
+          borderRadius: "10px",
+          backgroundColor: "#e7f1ff",
+        }}
+      >
+        <div>
+          <h2 style={{ margin: 0, color: "#1e3a8a" }}>🔗 {name}</h2>
+          <span style={{ color: "#666", fontSize: "14px" }}>
+            {t("shared.summary", { places: t("shared.places", { count: places.length }), visited })}
+          </span>
+        </div>
+        <div style={{ display: "flex", gap: "10px" }}>
+          <button onClick={onImport} style={{ ...buttonStyle, backgroundColor: "#51cf66", color: "white" }}>
+            📥 {t("shared.import")}
+          </button>
+          <button onClick={onClose} style={{ ...buttonStyle, backgroundColor: "white", color: "#1e3a8a", border: "2px solid #2F80ED" }}>
+            {t("common.close")}
+          </button>
+        </div>
+      </div>
+
+      <ul style={{ listStyle: "none", padding: 0, margin: "0 0 30px" }}>
+        {places.map((place) => (
+          <li
+            key={place.id}
+            style={{
+              display: "flex",
+              alignItems: "center",
+              gap: "10px",
+              padding: "12px 20px",
+              marginBottom: "8px",
+              borderRadius: "10px",
+              backgroundColor: place.visited ? "#e6f9ea" : "#f8f9fa",
+              color: "#333",
+            }}
+          >
+            <span>{place.visited ? "✅" : "📍"}</span>
+            <span style={{ textDecoration: place.visited ? "line-through" : "none" }}>{place.name}</span>
+          </li>
+        ))}
+      </ul>
+
+      <MapContainer
+        {...(mapped.length > 1
+          ? { bounds: L.latLngBounds(mapped.map((place) => [place.lat, place.lng])), boundsOptions: { padding: [40, 40] } }
+          : { center: mapped.length ? [mapped[0].lat, mapped[0].lng] : [20, 0], zoom: mapped.length ? 6 : 2 })}
+        style={{
+          height: "clamp(400px, 60vh, 700px)",
+          width: "100%",
+          borderRadius: "15px",
+          overflow: "hidden",
+          boxShadow: "0 4px 15px rgba(0,0,0,0.2)",
+        }}
+      >
+        <TileLayer
+          url={TILE_URL}
+          attribution={TILE_ATTRIBUTION}
+        />
+        <PlaceMarkers places={mapped} tagsById={NO_TAGS} onSelect={noop} />
+      </MapContainer>
+    </div>
+  );
+}
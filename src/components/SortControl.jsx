@@ -0,0 +1,65 @@
+import { SORT_OPTIONS, MANUAL_SORT } from "../sorting";
+import useSettings from "../useSettings";
+
+const fieldStyle = {
+  padding: "8px 12px",
+  borderRadius: "8px",
+  border: "2px solid #e0e0e0",
+  fontSize: "14px",
+  color: "#333",
+  backgroundColor: "white",
+};
+
+// Picks how the list is shown. Anything but "My order" is a view only; the
+// manual order is kept and drag-and-drop waits until it's back.
+export default function SortControl({ sort, onChange, location, home, homeCandidates, onHomeChange }) {
+  const manual = sort.sort === MANUAL_SORT;
+  const { t } = useSettings();
+
+  return (
+    <div style={{ marginTop: "-10px", marginBottom: "20px", display: "flex", gap: "10px", flexWrap: "wrap", alignItems: "center" }}>
+      <label style={{ fontSize: "14px", color: "#666", display: "flex", alignItems: "center", gap: "8px" }}>
+        {t("sort.label")}
+        <select value={sort.sort} onChange={(e) => onChange({ ...sort, sort: e.target.value })} style={fieldStyle}>
+          {SORT_OPTIONS.map((option) => (
+            <option key={option} value={option}>{t(`sort.${option}`)}</option>
+          ))}
+        </select>
+      </label>
+      {!manual && (
+        <>
+          <button
+            onClick={() => onChange({ ...sort, descending: !sort.descending })}
+            title={sort.descending ? t("sort.descending") : t("sort.ascending")}
+            style={{ ...fieldStyle, cursor: "pointer" }}
+          >
+            {sort.descending ? `↓ ${t("sort.descending")}` : `↑ ${t("sort.ascending")}`}
+          </button>
+          <button onClick={() => onChange({ sort: MANUAL_SORT, descending: false })} style={{ ...fieldStyle, cursor: "pointer" }}>
+            {t("sort.back")}
+          </button>
+        </>
+      )}
+      {sort.sort === "nearMe" && (
+        <span style={{ fontSize: "13px", color: location.error ? "#c92a2a" : "#666" }}>
+          {location.status === "locating" && `📡 ${t("sort.locating")}`}
+          {location.status === "ready" && `📍 ${t("sort.located")}`}
+          {location.error && t(location.error)}
+        </span>
+      )}
+      {sort.sort === "home" && (
+        <select
+          value={home?.id || ""}
+          onChange={(e) => onHomeChange(e.target.value || null)}
+          style={fieldStyle}
+        >
+          <option value="">{t("sort.chooseHome")}</option>
+          {homeCandidates.map((place) => (
+            <option key={place.id} value={place.id}>🏠 {place.name}</option>
+          ))}
+        </select>
+      )}
+      {!manual && <span style={{ fontSize: "13px", color: "#999" }}>{t("sort.viewOnly")}</span>}
+    </div>
+  );
+}
@@ -0,0 +1,190 @@
+import { memo } from "react";
+import { useSortable } from '@dnd-kit/sortable';
+import { CSS } from '@dnd-kit/utilities';
+import WeatherBadge from "./WeatherBadge";
+import { TagChip } from "./Tags";
+import useSettings from "../useSettings";
+
+// Sortable list item component. Memoized so that editing one place doesn't
+// re-render every other row in a long list.
+function SortableItem({ place, weather, now, toggleVisited, handleDelete, otherLists, handleTransfer, tagsById, allTags, setPlaceTags, handleCreateTag, openDetails, draggable = true, budgetLabel }) {
+  const { id, name, visited } = place;
+  const placeTags = (place.tagIds || []).map((tagId) => tagsById.get(tagId)).filter(Boolean);
+  const unassigned = allTags.filter((tag) => !(place.tagIds || []).includes(tag.id));
+  const { t } = useSettings();
+  const {
+    attributes,
+    listeners,
+    setNodeRef,
+    transform,
+    transition,
+    isDragging,
+  } = useSortable({ id });
+
+  const style = {
+    transform: CSS.Transform.toString(transform),
+    transition,
+    opacity: isDragging ? 0.5 : 1,
+  };
+
+  return (
+    <li
+      ref={setNodeRef}
+      style={{
+        ...style,
+        marginBottom: "15px",
+        padding: "15px 20px",
+        border: visited ? "2px solid #51cf66" : "2px solid #e0e0e0",
+        borderRadius: "12px",
+        display: "flex",
+        justifyContent: "space-between",
+        alignItems: "center",
+        flexWrap: "wrap",
+        wordBreak: "break-word",
+        backgroundColor: visited ? "#f0fdf4" : "white",
+        boxShadow: "0 2px 8px rgba(0,0,0,0.1)",
+        cursor: !draggable ? "default" : isDragging ? "grabbing" : "grab",
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", gap: "15px", flex: 1, flexWrap: "wrap" }}>
+        {draggable && (
+          <div {...attributes} {...listeners} aria-label={t("a11y.reorder", { name })} style={{ cursor: "grab", fontSize: "20px", padding: "5px", color: "#000" }}>
+            <span aria-hidden="true">☰</span>
+          </div>
+        )}
+        <input
+          type="checkbox"
+          checked={visited || false}
+          onChange={() => toggleVisited(id)}
+          aria-label={t("a11y.markVisited", { name })}
+          style={{
+            width: "20px",
+            height: "20px",
+            cursor: "pointer",
+            accentColor: "#51cf66",
+          }}
+        />
+        <span style={{ 
+          textDecoration: visited ? "line-through" : "none",
+          color: visited ? "#666" : "#333",
+          fontSize: "16px",
+          fontWeight: visited ? "normal" : "500"
+        }}>
+          <span aria-hidden="true">{visited ? "✅ " : "📍 "}</span>{name}
+        </span>
+        {place.rating > 0 && (
+          <span role="img" aria-label={t("detail.stars", { count: place.rating })} style={{ color: "#f5b301", fontSize: "14px" }}>{"★".repeat(place.rating)}</span>
+        )}
+        {budgetLabel && (
+          <span title={t("place.budgetTotal")} style={{ fontSize: "13px", color: "#2b8a3e", backgroundColor: "#ebfbee", padding: "3px 8px", borderRadius: "10px" }}>
+            💰 {budgetLabel}
+          </span>
+        )}
+        <WeatherBadge weather={weather} now={now} />
+        <div style={{ display: "flex", gap: "6px", flexWrap: "wrap", alignItems: "center" }}>
+          {placeTags.map((tag) => (
+            <TagChip
+              key={tag.id}
+              tag={tag}
+              onRemove={(tagId) => setPlaceTags(id, place.tagIds.filter((t) => t !== tagId))}
+            />
+          ))}
+          <select
+            value=""
+            onChange={(e) => {
+              if (e.target.value === "__new") {
+                const tagName = window.prompt(t("place.newTagPrompt"));
+                if (tagName && tagName.trim()) {
+                  setPlaceTags(id, [...(place.tagIds || []), handleCreateTag(tagName.trim())]);
+                }
+              } else {
+                setPlaceTags(id, [...(place.tagIds || []), e.target.value]);
+              }
+            }}
+            onPointerDown={(e) => e.stopPropagation()}
+            aria-label={t("a11y.addTagTo", { name })}
+            style={{
+              padding: "2px 6px",
+              borderRadius: "12px",
+              border: "2px dashed #bbb",
+              fontSize: "12px",
+              color: "#666",
+              backgroundColor: "white",
+            }}
+          >
+            <option value="" disabled>{t("place.addTag")}</option>
+            {unassigned.map((tag) => (
+              <option key={tag.id} value={tag.id}>{tag.name}</option>
+            ))}
+            <option value="__new">{t("place.newTag")}</option>
+          </select>
+        </div>
+      </div>
+      {otherLists.length > 0 && (
+        <select
+          value=""
+          onChange={(e) => {
+            const [mode, listId] = e.target.value.split(":");
+            handleTransfer(id, listId, mode);
+          }}
+          aria-label={t("a11y.transfer", { name })}
+          style={{
+            padding: "8px",
+            marginRight: "10px",
+            borderRadius: "8px",
+            border: "2px solid #e0e0e0",
+            fontSize: "14px",
+            color: "#333",
+            backgroundColor: "white",
+          }}
+        >
+          <option value="" disabled>{t("place.transfer")}</option>
+          <optgroup label={t("place.moveTo")}>
+            {otherLists.map((list) => (
+              <option key={list.id} value={`move:${list.id}`}>{list.name}</option>
+            ))}
+          </optgroup>
+          <optgroup label={t("place.copyTo")}>
+            {otherLists.map((list) => (
+              <option key={list.id} value={`copy:${list.id}`}>{list.name}</option>
+            ))}
+          </optgroup>
+        </select>
+      )}
+      <button
+        onClick={() => openDetails(id)}
+        style={{
+          padding: "8px 15px",
+          marginRight: "10px",
+          borderRadius: "8px",
+          border: "2px solid #2F80ED",
+          backgroundColor: "white",
+          color: "#2F80ED",
+          cursor: "pointer",
+          fontSize: "14px",
+          fontWeight: "600",
+        }}
+      >
+        📝 {t("place.notes")}{place.journal?.length ? ` (${place.journal.length})` : ""}
+      </button>
+      <button
+        onClick={() => handleDelete(id)}
+        aria-label={t("a11y.deleteNamed", { name })}
+        style={{
+          padding: "8px 15px",
+          borderRadius: "8px",
+          border: "none",
+          backgroundColor: "#ff6b6b",
+          color: "white",
+          cursor: "pointer",
+          fontSize: "14px",
+          fontWeight: "600",
+        }}
+      >
+        {t("common.delete")}
+      </button>
+    </li>
+  );
+}
+
+export default memo(SortableItem);
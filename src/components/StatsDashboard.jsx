@@ -0,0 +1,125 @@
+import { computeStats } from "../stats";
+import useSettings from "../useSettings";
+import { Donut, BarChart, ProgressBar } from "./Charts";
+
+const cardStyle = {
+  flex: "1 1 260px",
+  padding: "20px",
+  borderRadius: "12px",
+  backgroundColor: "white",
+  boxShadow: "0 2px 8px rgba(0,0,0,0.1)",
+  color: "#333",
+};
+
+const cardTitle = { margin: "0 0 12px", fontSize: "16px", color: "#1e3a8a" };
+
+// Progress summary for the active list or for every list
+export default function StatsDashboard({
+  places,
+  scope,
+  onScopeChange,
+  home,
+  homeCandidates,
+  onHomeChange,
+  onLookupCountries,
+  lookingUp,
+  onClose,
+}) {
+  const stats = computeStats(places, { home });
+  const { t, format } = useSettings();
+  const monthLabel = (key) => format.month(key, { month: "short", year: "2-digit" });
+
+  return (
+    <div style={{ marginBottom: "25px", padding: "20px", borderRadius: "12px", backgroundColor: "#f1f5fb" }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", flexWrap: "wrap", gap: "10px", marginBottom: "15px" }}>
+        <h3 style={{ margin: 0, color: "#1e3a8a" }}>📊 {t("stats.title")}</h3>
+        <div style={{ display: "flex", gap: "10px", alignItems: "center", flexWrap: "wrap" }}>
+          <select
+            value={scope}
+            onChange={(e) => onScopeChange(e.target.value)}
+            style={{ padding: "6px 10px", borderRadius: "8px", border: "2px solid #e0e0e0", color: "#333", backgroundColor: "white" }}
+          >
+            <option value="active">{t("common.thisList")}</option>
+            <option value="all">{t("common.allLists")}</option>
+          </select>
+          <button onClick={onClose} aria-label={t("common.close")} style={{ border: "none", background: "none", cursor: "pointer", fontSize: "16px", color: "#666" }}>✕</button>
+        </div>
+      </div>
+
+      <div style={{ display: "flex", gap: "15px", flexWrap: "wrap" }}>
+        <div style={{ ...cardStyle, display: "flex", gap: "20px", alignItems: "center" }}>
+          <Donut value={stats.visited} total={stats.total} label={t("stats.percentVisited", { percent: stats.percent })} />
+          <div>
+            <div style={{ fontSize: "28px", fontWeight: "700", color: "#51cf66" }}>{stats.visited}</div>
+            <div style={{ color: "#666", marginBottom: "10px" }}>{t("stats.visited")}</div>
+            <div style={{ fontSize: "28px", fontWeight: "700", color: "#ff6b6b" }}>{stats.remaining}</div>
+            <div style={{ color: "#666" }}>{t("stats.toGo")}</div>
+          </div>
+        </div>
+
+        <div style={cardStyle}>
+          <h4 style={cardTitle}>🌐 {t("stats.countries")}</h4>
+          <p style={{ margin: "0 0 12px" }}>
+            <strong>{stats.countriesVisited}</strong> {t("stats.countriesVisited", { count: stats.countries.length })}
+          </p>
+          {stats.continents.map((c) => (
+            <ProgressBar key={c.name} label={t(`continents.${c.name}`, { fallback: c.name })} value={c.visited} total={c.listed} />
+          ))}
+          {stats.unknownCountry > 0 && (
+            <p style={{ fontSize: "13px", color: "#666" }}>
+              {t("stats.unknownCountry", { count: stats.unknownCountry })}{" "}
+              <button
+                onClick={onLookupCountries}
+                disabled={lookingUp}
+                style={{ border: "none", background: "none", color: "#2F80ED", cursor: "pointer", padding: 0 }}
+              >
+                {lookingUp ? t("stats.lookingUp") : t("stats.lookUp")}
+              </button>
+            </p>
+          )}
+        </div>
+
+        <div style={cardStyle}>
+          <h4 style={cardTitle}>🏠 {t("stats.farthest")}</h4>
+          <select
+            value={home?.id || ""}
+            onChange={(e) => onHomeChange(e.target.value || null)}
+            style={{ width: "100%", padding: "6px", marginBottom: "10px", borderRadius: "8px", border: "2px solid #e0e0e0", color: "#333", backgroundColor: "white" }}
+          >
+            <option value="">{t("stats.chooseHome")}</option>
+            {homeCandidates.map((place) => <option key={place.id} value={place.id}>{place.name}</option>)}
+          </select>
+          <ol style={{ margin: 0, paddingLeft: "20px", fontSize: "14px" }}>
+            {stats.farthest.map(({ place, km }) => (
+              <li key={place.id}>{place.name} <span style={{ color: "#666" }}>{format.distance(km)}</span></li>
+            ))}
+          </ol>
+        </div>
+
+        <div style={cardStyle}>
+          <h4 style={cardTitle}>✈️ {t("stats.travelled")}</h4>
+          <div style={{ fontSize: "28px", fontWeight: "700", color: "#2F80ED" }}>{format.distance(stats.travelledKm)}</div>
+          <p style={{ fontSize: "13px", color: "#666", marginBottom: 0 }}>
+            {t("stats.travelledNote", { count: stats.datedVisits })}
+          </p>
+        </div>
+      </div>
+
+      <div style={{ ...cardStyle, marginTop: "15px" }}>
+        <h4 style={cardTitle}>🗓️ {t("stats.overTime")}</h4>
+        {stats.months.length === 0 ? (
+          <p style={{ color: "#666", margin: 0 }}>{t("stats.noTimeline")}</p>
+        ) : (
+          <>
+            <BarChart data={stats.months} formatLabel={monthLabel} label={t("stats.overTime")} />
+            {stats.years.length > 1 && (
+              <div style={{ marginTop: "15px" }}>
+                <BarChart data={stats.years} color="#51cf66" height={90} label={t("stats.overTime")} />
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+import useSettings from "../useSettings";
+
+// Typeahead dropdown under the place input: the listbox of its combobox.
+// Option ids are `${id}-${index}`, for the input's aria-activedescendant.
+export default function Suggestions({ id, suggestions, loading, activeIndex = -1, onPick }) {
+  const { t } = useSettings();
+
+  if (!loading && suggestions.length === 0) return null;
+
+  return (
+    <ul
+      id={id}
+      role="listbox"
+      aria-label={t("add.suggestions")}
+      style={{
+        position: "absolute",
+        top: "100%",
+        left: 0,
+        right: 0,
+        zIndex: 500,
+        listStyle: "none",
+        margin: "4px 0 0",
+        padding: "5px 0",
+        backgroundColor: "white",
+        borderRadius: "10px",
+        boxShadow: "0 4px 15px rgba(0,0,0,0.2)",
+        textAlign: "left",
+      }}
+    >
+      {loading && suggestions.length === 0 && (
+        <li role="option" aria-disabled="true" aria-selected="false" style={{ padding: "10px 20px", color: "#999", fontSize: "14px" }}>
+          {t("add.searching")}
+        </li>
+      )}
+      {suggestions.map((result, i) => (
+        <li
+          key={`${result.osmType}-${result.osmId}-${result.lat}`}
+          id={`${id}-${i}`}
+          role="option"
+          aria-selected={i === activeIndex}
+          // mousedown fires before the input's blur hides the list
+          onMouseDown={(e) => {
+            e.preventDefault();
+            onPick(result);
+          }}
+          style={{
+            padding: "10px 20px",
+            cursor: "pointer",
+            color: "#333",
+            fontSize: "14px",
+            backgroundColor: i === activeIndex ? "#f0f7ff" : "white",
+          }}
+          onMouseOver={(e) => (e.currentTarget.style.backgroundColor = "#f0f7ff")}
+          onMouseOut={(e) => (e.currentTarget.style.backgroundColor = i === activeIndex ? "#f0f7ff" : "white")}
+        >
+          <span aria-hidden="true">📍 </span>
+          {result.displayName}
+        </li>
+      ))}
+    </ul>
+  );
+}
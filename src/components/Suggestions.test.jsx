@@ -0,0 +1,36 @@
+import { describe, it, expect, vi } from "vitest";
+import { render, screen, fireEvent } from "@testing-library/react";
+import { axe } from "jest-axe";
+import Suggestions from "./Suggestions";
+
+const suggestions = [
+  { osmType: "node", osmId: 1, lat: 38.7, name: "Lisbon", displayName: "Lisbon, Portugal" },
+  { osmType: "node", osmId: 2, lat: 35.0, name: "Kyoto", displayName: "Kyoto, Japan" },
+];
+
+describe("Suggestions", () => {
+  it("renders a listbox whose options the combobox can point at", async () => {
+    const { container } = render(
+      <>
+        <input role="combobox" aria-label="Place" aria-expanded="true" aria-controls="s" aria-activedescendant="s-1" readOnly />
+        <Suggestions id="s" suggestions={suggestions} loading={false} activeIndex={1} onPick={() => {}} />
+      </>
+    );
+    const options = screen.getAllByRole("option");
+    expect(options.map((option) => option.id)).toEqual(["s-0", "s-1"]);
+    expect(options.map((option) => option.getAttribute("aria-selected"))).toEqual(["false", "true"]);
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it("picks a suggestion with the mouse", () => {
+    const onPick = vi.fn();
+    render(<Suggestions id="s" suggestions={suggestions} loading={false} onPick={onPick} />);
+    fireEvent.mouseDown(screen.getByText("Kyoto, Japan"));
+    expect(onPick).toHaveBeenCalledWith(suggestions[1]);
+  });
+
+  it("shows nothing when there is nothing to suggest", () => {
+    const { container } = render(<Suggestions id="s" suggestions={[]} loading={false} onPick={() => {}} />);
+    expect(container.innerHTML).toBe("");
+  });
+});
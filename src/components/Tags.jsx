@@ -0,0 +1,109 @@
+import { useState } from "react";
+import useSettings from "../useSettings";
+
+// Coloured tag chip, optionally removable or toggleable
+export function TagChip({ tag, selected = true, onClick, onRemove }) {
+  const { t } = useSettings();
+  // Toggleable chips behave like buttons for keyboard and screen reader users
+  const toggleProps = onClick && {
+    role: "button",
+    tabIndex: 0,
+    "aria-pressed": selected,
+    onKeyDown: (e) => {
+      if (e.key !== "Enter" && e.key !== " ") return;
+      e.preventDefault();
+      e.stopPropagation();
+      onClick();
+    },
+  };
+
+  return (
+    <span
+      onClick={onClick}
+      {...toggleProps}
+      style={{
+        display: "inline-flex",
+        alignItems: "center",
+        gap: "4px",
+        padding: "3px 10px",
+        borderRadius: "12px",
+        border: `2px solid ${tag.color}`,
+        backgroundColor: selected ? tag.color : "white",
+        color: selected ? "white" : tag.color,
+        fontSize: "12px",
+        fontWeight: "600",
+        cursor: onClick ? "pointer" : "default",
+        whiteSpace: "nowrap",
+      }}
+    >
+      {tag.name}
+      {onRemove && (
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            onRemove(tag.id);
+          }}
+          onPointerDown={(e) => e.stopPropagation()}
+          aria-label={t("a11y.removeTag", { name: tag.name })}
+          style={{
+            border: "none",
+            background: "none",
+            color: "inherit",
+            cursor: "pointer",
+            padding: 0,
+            fontSize: "12px",
+          }}
+        >
+          ✕
+        </button>
+      )}
+    </span>
+  );
+}
+
+// Toggle existing tags on or off and create new ones by name
+export function TagPicker({ tags, selectedIds, onToggle, onCreate, placeholder }) {
+  const [name, setName] = useState("");
+  const { t } = useSettings();
+
+  const submit = () => {
+    if (!name.trim()) return;
+    onCreate(name.trim());
+    setName("");
+  };
+
+  return (
+    <div style={{ display: "flex", flexWrap: "wrap", gap: "6px", alignItems: "center" }}>
+      {tags.map((tag) => (
+        <TagChip
+          key={tag.id}
+          tag={tag}
+          selected={selectedIds.includes(tag.id)}
+          onClick={() => onToggle(tag.id)}
+        />
+      ))}
+      <input
+        type="text"
+        value={name}
+        placeholder={placeholder ?? t("tags.newPlaceholder")}
+        onChange={(e) => setName(e.target.value)}
+        onKeyDown={(e) => {
+          // Keep dnd-kit's keyboard sensor from grabbing keys typed here
+          e.stopPropagation();
+          if (e.key === "Enter") submit();
+        }}
+        onPointerDown={(e) => e.stopPropagation()}
+        style={{
+          padding: "3px 8px",
+          width: "90px",
+          borderRadius: "12px",
+          border: "2px dashed #bbb",
+          fontSize: "12px",
+          color: "#333",
+          backgroundColor: "white",
+          outline: "none",
+        }}
+      />
+    </div>
+  );
+}
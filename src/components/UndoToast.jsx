@@ -0,0 +1,60 @@
+import { useEffect } from "react";
+import useSettings from "../useSettings";
+
+// How long the toast stays up
+const TOAST_MS = 6000;
+
+// Bottom-of-screen notice after a destructive action, with an Undo button
+export default function UndoToast({ message, onUndo, onDismiss }) {
+  const { t } = useSettings();
+
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, TOAST_MS);
+    return () => clearTimeout(timer);
+  }, [message, onDismiss]);
+
+  return (
+    <div
+      role="status"
+      style={{
+        position: "fixed",
+        bottom: "30px",
+        left: "50%",
+        transform: "translateX(-50%)",
+        zIndex: 3000,
+        display: "flex",
+        alignItems: "center",
+        gap: "15px",
+        padding: "12px 20px",
+        borderRadius: "10px",
+        backgroundColor: "#1e3a8a",
+        color: "white",
+        boxShadow: "0 4px 15px rgba(0,0,0,0.3)",
+        fontSize: "15px",
+      }}
+    >
+      <span>{message}</span>
+      <button
+        onClick={onUndo}
+        style={{
+          padding: "6px 14px",
+          borderRadius: "8px",
+          border: "none",
+          backgroundColor: "white",
+          color: "#1e3a8a",
+          cursor: "pointer",
+          fontWeight: "600",
+        }}
+      >
+        ↶ {t("toolbar.undo")}
+      </button>
+      <button
+        onClick={onDismiss}
+        aria-label={t("common.dismiss")}
+        style={{ border: "none", background: "none", color: "white", cursor: "pointer", fontSize: "18px" }}
+      >
+        ×
+      </button>
+    </div>
+  );
+}
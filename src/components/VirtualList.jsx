@@ -0,0 +1,92 @@
+import { useState, useRef, useLayoutEffect, useEffect, useMemo } from "react";
+
+const listStyle = { listStyle: "none", padding: 0, margin: 0, maxWidth: "100%" };
+
+// Renders every item for short lists. Past `threshold` items only the rows
+// in (and just around) the scroll viewport are mounted, with spacers
+// standing in for the rest. Row heights are measured as rows render, so
+// rows may differ in height (tags, expanded forecasts, ...).
+export default function VirtualList({ items, getKey, renderItem, threshold = 60, ...options }) {
+  if (items.length <= threshold) {
+    return <ul style={{ ...listStyle, marginBottom: "30px" }}>{items.map(renderItem)}</ul>;
+  }
+  return <WindowedList items={items} getKey={getKey} renderItem={renderItem} {...options} />;
+}
+
+function WindowedList({ items, getKey, renderItem, estimateHeight = 100, overscan = 5, maxHeight = "70vh" }) {
+  const scrollRef = useRef(null);
+  const listRef = useRef(null);
+  const [heights, setHeights] = useState(() => new Map());
+  const [scroll, setScroll] = useState({ top: 0, height: 600 });
+
+  // Track scroll position and viewport size
+  useEffect(() => {
+    const el = scrollRef.current;
+    let frame = null;
+    const update = () => {
+      frame = null;
+      setScroll({ top: el.scrollTop, height: el.clientHeight });
+    };
+    const onScroll = () => {
+      if (frame === null) frame = requestAnimationFrame(update);
+    };
+    el.addEventListener("scroll", onScroll, { passive: true });
+    const observer = new ResizeObserver(onScroll);
+    observer.observe(el);
+    return () => {
+      el.removeEventListener("scroll", onScroll);
+      observer.disconnect();
+      if (frame !== null) cancelAnimationFrame(frame);
+    };
+  }, []);
+
+  // Cumulative offsets, using measured heights where we have them
+  const offsets = [0];
+  items.forEach((item, i) => {
+    offsets.push(offsets[i] + (heights.get(getKey(item)) ?? estimateHeight));
+  });
+  const total = offsets[items.length];
+
+  // First row whose bottom edge is below the top of the viewport
+  let lo = 0;
+  let hi = items.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (offsets[mid + 1] <= scroll.top) lo = mid + 1;
+    else hi = mid;
+  }
+  const start = Math.max(0, lo - overscan);
+  let end = lo;
+  while (end < items.length && offsets[end] < scroll.top + scroll.height) end++;
+  end = Math.min(items.length, end + overscan);
+  const visible = useMemo(() => items.slice(start, end), [items, start, end]);
+
+  // Measure rendered rows, and again whenever one changes size
+  useLayoutEffect(() => {
+    const keys = new Map([...listRef.current.children].map((child, i) => [child, getKey(visible[i])]));
+    const observer = new ResizeObserver((entries) => {
+      const measured = entries.map(({ target }) => {
+        const margin = parseFloat(getComputedStyle(target).marginBottom) || 0;
+        return [keys.get(target), target.offsetHeight + margin];
+      });
+      setHeights((prev) =>
+        measured.every(([key, height]) => Math.abs((prev.get(key) ?? -1) - height) <= 1)
+          ? prev
+          : new Map([...prev, ...measured])
+      );
+    });
+    keys.forEach((_, child) => observer.observe(child));
+    return () => observer.disconnect();
+  }, [visible, getKey]);
+
+  return (
+    <div ref={scrollRef} style={{ maxHeight, overflowY: "auto", marginBottom: "30px", paddingRight: "5px" }}>
+      <ul
+        ref={listRef}
+        style={{ ...listStyle, paddingTop: `${offsets[start]}px`, paddingBottom: `${total - offsets[end]}px` }}
+      >
+        {visible.map(renderItem)}
+      </ul>
+    </div>
+  );
+}
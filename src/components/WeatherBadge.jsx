@@ -0,0 +1,93 @@
+import { useState } from "react";
+import { isStale } from "../weather";
+import useOnlineStatus from "../useOnlineStatus";
+import useSettings from "../useSettings";
+
+// Current conditions with an age marker, and an expandable 7-day forecast
+export default function WeatherBadge({ weather, now }) {
+  const [expanded, setExpanded] = useState(false);
+  const online = useOnlineStatus();
+  const { t, format } = useSettings();
+  // Descriptions are stored in English; translate them by weather code
+  const describe = ({ code, description }) => (code == null ? description : t(`weather.${code}`, { fallback: description }));
+
+  if (!weather) {
+    return (
+      <span style={{ fontSize: "12px", color: "#999" }}>
+        {online ? t("weather.loading") : `📴 ${t("weather.noSaved")}`}
+      </span>
+    );
+  }
+
+  const stale = isStale(weather, now);
+  const age = format.age(weather.fetchedAt, now) ?? t("weather.ageUnknown");
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: "6px" }}>
+      <div style={{ display: "flex", alignItems: "center", gap: "8px", flexWrap: "wrap" }}>
+        <div style={{
+          display: "flex",
+          alignItems: "center",
+          gap: "8px",
+          backgroundColor: stale ? "#f1f3f5" : "#e3f2fd",
+          padding: "5px 12px",
+          borderRadius: "20px",
+          fontSize: "14px",
+          opacity: stale ? 0.7 : 1,
+        }}>
+          <span style={{ fontSize: "20px" }}>{weather.icon}</span>
+          <span style={{ fontWeight: "600", color: "#1e3a8a" }}>
+            {format.temp(weather.temp)}
+          </span>
+          <span style={{ color: "#666", textTransform: "capitalize" }}>{describe(weather)}</span>
+        </div>
+        <span
+          title={weather.fetchedAt ? format.dateTime(weather.fetchedAt) : undefined}
+          style={{ fontSize: "12px", color: stale ? "#e67700" : "#999" }}
+        >
+          {!online
+            ? `📴 ${t("weather.offlineSaved", { age })}`
+            : stale
+              ? `⏱ ${t("weather.outdated", { age })}`
+              : t("weather.updated", { age })}
+        </span>
+        {weather.daily?.length > 0 && (
+          <button
+            onClick={() => setExpanded(!expanded)}
+            style={{ border: "none", background: "none", color: "#2F80ED", cursor: "pointer", fontSize: "13px" }}
+          >
+            {expanded ? `${t("weather.hideForecast")} ▴` : `${t("weather.showForecast")} ▾`}
+          </button>
+        )}
+      </div>
+      {expanded && (
+        <div style={{ display: "flex", gap: "6px", flexWrap: "wrap" }}>
+          {weather.daily.map((day) => (
+            <div
+              key={day.date}
+              title={describe(day)}
+              style={{
+                display: "flex",
+                flexDirection: "column",
+                alignItems: "center",
+                minWidth: "58px",
+                padding: "6px",
+                borderRadius: "8px",
+                backgroundColor: "#f8f9fa",
+                fontSize: "12px",
+                color: "#333",
+              }}
+            >
+              <strong>{format.weekday(day.date)}</strong>
+              <span style={{ fontSize: "18px" }}>{day.icon}</span>
+              <span>{format.degrees(day.max)} / {format.degrees(day.min)}</span>
+              {day.precipProbability !== null && (
+                <span style={{ color: "#1971c2" }}>💧{day.precipProbability}%</span>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,63 @@
+// Offline world country boundaries (Natural Earth 1:50m via world-atlas)
+// and point-in-polygon lookup. The data is only fetched the first time the
+// countries layer is switched on, so it stays out of the main bundle.
+
+let loading = null;
+
+const bboxOf = (geometry) => {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  const polygons = geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates;
+  polygons.forEach((rings) =>
+    rings[0].forEach(([x, y]) => {
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+    })
+  );
+  return [minX, minY, maxX, maxY];
+};
+
+// GeoJSON features with a precomputed bbox on each
+export const loadCountries = () => {
+  if (!loading) {
+    loading = Promise.all([
+      import("world-atlas/countries-50m.json"),
+      import("topojson-client"),
+    ]).then(([{ default: topology }, { feature }]) =>
+      feature(topology, topology.objects.countries).features
+        .filter((f) => f.geometry)
+        .map((f) => ({ ...f, bbox: bboxOf(f.geometry) }))
+    );
+    loading.catch(() => {
+      loading = null;
+    });
+  }
+  return loading;
+};
+
+// Ray casting against one ring of [lng, lat] points
+const inRing = (x, y, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+};
+
+// Inside the outer ring and outside every hole
+const inPolygon = (x, y, rings) => inRing(x, y, rings[0]) && !rings.slice(1).some((hole) => inRing(x, y, hole));
+
+export const containsPoint = (feature, lat, lng) => {
+  const [minX, minY, maxX, maxY] = feature.bbox;
+  if (lng < minX || lng > maxX || lat < minY || lat > maxY) return false;
+  const { type, coordinates } = feature.geometry;
+  return type === "Polygon"
+    ? inPolygon(lng, lat, coordinates)
+    : coordinates.some((rings) => inPolygon(lng, lat, rings));
+};
+
+export const countryAt = (features, lat, lng) =>
+  features.find((feature) => containsPoint(feature, lat, lng)) || null;
@@ -0,0 +1,368 @@
+// Import and export of a bucket list in JSON, CSV, GeoJSON, KML and GPX.
+//
+// Every format goes through the same flat shape:
+// { name, lat, lng, visited, notes, tags: [names], rating, visitedDate }
+
+export const FORMATS = {
+  json: { label: "JSON", extension: "json", mime: "application/json" },
+  csv: { label: "CSV", extension: "csv", mime: "text/csv" },
+  geojson: { label: "GeoJSON", extension: "geojson", mime: "application/geo+json" },
+  kml: { label: "KML (Google My Maps)", extension: "kml", mime: "application/vnd.google-earth.kml+xml" },
+  gpx: { label: "GPX (GPS apps)", extension: "gpx", mime: "application/gpx+xml" },
+};
+
+const CSV_COLUMNS = ["name", "lat", "lng", "visited", "tags", "rating", "visitedDate", "notes"];
+
+// GPX has no fields for tags, rating or visit date, so they go in
+// <extensions> under our own namespace; other apps ignore them
+const GPX_NS = "urn:my-travel-bucket-list:gpx:1";
+
+// Place record -> flat exchange item
+export const toItem = (place, tagsById) => ({
+  name: place.name,
+  lat: place.lat,
+  lng: place.lng,
+  visited: Boolean(place.visited),
+  notes: place.notes || "",
+  tags: (place.tagIds || []).map((id) => tagsById.get(id)?.name).filter(Boolean),
+  rating: place.rating || 0,
+  visitedDate: place.visitedDate || null,
+});
+
+const escapeXML = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+const escapeCSV = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const describe = (item) =>
+  [
+    item.visited ? "Visited" : "Not visited yet",
+    item.tags.length ? `Tags: ${item.tags.join(", ")}` : "",
+    item.notes,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+
+const serializers = {
+  json: (items, listName) =>
+    JSON.stringify({ name: listName, exportedAt: new Date().toISOString(), places: items }, null, 2),
+
+  csv: (items) =>
+    [
+      CSV_COLUMNS.join(","),
+      ...items.map((item) =>
+        CSV_COLUMNS.map((col) => escapeCSV(col === "tags" ? item.tags.join(";") : item[col])).join(",")
+      ),
+    ].join("\r\n"),
+
+  geojson: (items, listName) =>
+    JSON.stringify(
+      {
+        type: "FeatureCollection",
+        name: listName,
+        features: items.map(({ lat, lng, ...properties }) => ({
+          type: "Feature",
+          geometry: { type: "Point", coordinates: [lng, lat] },
+          properties,
+        })),
+      },
+      null,
+      2
+    ),
+
+  kml: (items, listName) => `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXML(listName)}</name>
+${items
+  .map(
+    (item) => `    <Placemark>
+      <name>${escapeXML(item.name)}</name>
+      <description>${escapeXML(describe(item))}</description>
+      <ExtendedData>
+        <Data name="visited"><value>${item.visited}</value></Data>
+        <Data name="tags"><value>${escapeXML(item.tags.join(";"))}</value></Data>
+        <Data name="rating"><value>${item.rating}</value></Data>
+        <Data name="visitedDate"><value>${escapeXML(item.visitedDate || "")}</value></Data>
+        <Data name="notes"><value>${escapeXML(item.notes)}</value></Data>
+      </ExtendedData>
+      <Point><coordinates>${item.lng},${item.lat},0</coordinates></Point>
+    </Placemark>`
+  )
+  .join("\n")}
+  </Document>
+</kml>
+`,
+
+  gpx: (items, listName) => `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="My Travel Bucket List" xmlns="http://www.topografix.com/GPX/1/1" xmlns:bucket="${GPX_NS}">
+  <metadata><name>${escapeXML(listName)}</name></metadata>
+${items
+  .map(
+    (item) => `  <wpt lat="${item.lat}" lon="${item.lng}">
+    <name>${escapeXML(item.name)}</name>
+    <desc>${escapeXML(item.notes)}</desc>
+    <type>${item.visited ? "visited" : "wishlist"}</type>
+    <extensions>
+      <bucket:tags>${escapeXML(item.tags.join(";"))}</bucket:tags>
+      <bucket:rating>${item.rating}</bucket:rating>
+      <bucket:visitedDate>${escapeXML(item.visitedDate || "")}</bucket:visitedDate>
+    </extensions>
+  </wpt>`
+  )
+  .join("\n")}
+</gpx>
+`,
+};
+
+export const serialize = (format, items, listName) => serializers[format](items, listName);
+
+// Offer text as a file download
+export const download = (text, filename, mime) => {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+export const exportFilename = (listName, format) =>
+  `${listName.replace(/[^\w-]+/g, "-").replace(/^-+|-+$/g, "").toLowerCase() || "bucket-list"}.${FORMATS[format].extension}`;
+
+// ---- Import ----
+
+// parseImport() throws ImportError for a file it can't read, and lists rows
+// it had to skip as { row, type, name, message }. `type` picks the
+// translated message (import.error.<type>); `message` is the English fallback.
+export const IMPORT_ERRORS = {
+  UNSUPPORTED: "unsupported",
+  INVALID_JSON: "invalidJson",
+  INVALID_XML: "invalidXml",
+  NOT_A_LIST: "notAList",
+  EMPTY_CSV: "emptyCsv",
+  MISSING_COLUMNS: "missingColumns",
+  NOT_GEOJSON: "notGeoJson",
+  MISSING_NAME: "missingName",
+  INVALID_LATITUDE: "invalidLatitude",
+  INVALID_LONGITUDE: "invalidLongitude",
+};
+
+export class ImportError extends Error {
+  constructor(type, message) {
+    super(message);
+    this.name = "ImportError";
+    this.type = type;
+  }
+}
+
+// Message for an ImportError or a skipped row in the current language
+export const importErrorText = (error, t) =>
+  t(`import.error.${error.type}`, { row: error.row, name: error.name, fallback: error.message });
+
+const parseBool = (value) => value === true || /^(true|yes|1|visited)$/i.test(String(value ?? "").trim());
+
+const parseTags = (value) => {
+  if (Array.isArray(value)) return value.map(String).map((t) => t.trim()).filter(Boolean);
+  return String(value ?? "").split(/[;,]/).map((t) => t.trim()).filter(Boolean);
+};
+
+// Loose input -> validated item, or an error { type, name, message }
+const normalize = (raw) => {
+  const name = String(raw.name ?? "").trim();
+  const lat = parseFloat(raw.lat);
+  const lng = parseFloat(raw.lng ?? raw.lon);
+  if (!name) return { error: { type: IMPORT_ERRORS.MISSING_NAME, name, message: "missing name" } };
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90) {
+    return { error: { type: IMPORT_ERRORS.INVALID_LATITUDE, name, message: `"${name}": invalid latitude` } };
+  }
+  if (!Number.isFinite(lng) || lng < -180 || lng > 180) {
+    return { error: { type: IMPORT_ERRORS.INVALID_LONGITUDE, name, message: `"${name}": invalid longitude` } };
+  }
+
+  const rating = parseInt(raw.rating, 10);
+  return {
+    item: {
+      name,
+      lat,
+      lng,
+      visited: parseBool(raw.visited),
+      notes: String(raw.notes ?? ""),
+      tags: parseTags(raw.tags),
+      rating: rating >= 1 && rating <= 5 ? rating : 0,
+      visitedDate: /^\d{4}-\d{2}-\d{2}$/.test(raw.visitedDate || "") ? raw.visitedDate : null,
+    },
+  };
+};
+
+const parseCSVRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ""));
+};
+
+const xmlText = (el, selector) => el.getElementsByTagName(selector)[0]?.textContent?.trim() ?? "";
+
+const parseXML = (text) => {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) {
+    throw new ImportError(IMPORT_ERRORS.INVALID_XML, "The file is not valid XML.");
+  }
+  return doc;
+};
+
+const parseJSON = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new ImportError(IMPORT_ERRORS.INVALID_JSON, "The file is not valid JSON.");
+  }
+};
+
+const parsers = {
+  json: (text) => {
+    const data = parseJSON(text);
+    if (data?.type === "FeatureCollection") return parsers.geojson(text);
+    const places = Array.isArray(data) ? data : data?.places;
+    if (!Array.isArray(places)) {
+      throw new ImportError(IMPORT_ERRORS.NOT_A_LIST, 'Expected an array of places or { "places": [...] }.');
+    }
+    return places;
+  },
+
+  csv: (text) => {
+    const [header, ...rows] = parseCSVRows(text);
+    if (!header) throw new ImportError(IMPORT_ERRORS.EMPTY_CSV, "The CSV file is empty.");
+    const columns = header.map((h) => h.trim().toLowerCase());
+    const col = (names) => columns.findIndex((c) => names.includes(c));
+    const index = {
+      name: col(["name", "place", "title"]),
+      lat: col(["lat", "latitude"]),
+      lng: col(["lng", "lon", "long", "longitude"]),
+      visited: col(["visited"]),
+      tags: col(["tags"]),
+      rating: col(["rating"]),
+      visitedDate: col(["visiteddate", "visited_date"]),
+      notes: col(["notes", "description"]),
+    };
+    if (index.name < 0 || index.lat < 0 || index.lng < 0) {
+      throw new ImportError(IMPORT_ERRORS.MISSING_COLUMNS, "The CSV needs name, lat and lng columns.");
+    }
+    return rows.map((row) =>
+      Object.fromEntries(Object.entries(index).map(([key, i]) => [key, i >= 0 ? row[i] : undefined]))
+    );
+  },
+
+  geojson: (text) => {
+    const data = parseJSON(text);
+    if (data?.type !== "FeatureCollection" || !Array.isArray(data.features)) {
+      throw new ImportError(IMPORT_ERRORS.NOT_GEOJSON, "Expected a GeoJSON FeatureCollection.");
+    }
+    return data.features
+      .filter((feature) => feature?.geometry?.type === "Point")
+      .map(({ geometry, properties = {} }) => ({
+        ...properties,
+        name: properties.name ?? properties.title,
+        lng: geometry.coordinates[0],
+        lat: geometry.coordinates[1],
+      }));
+  },
+
+  kml: (text) =>
+    [...parseXML(text).getElementsByTagName("Placemark")]
+      .filter((mark) => mark.getElementsByTagName("Point").length)
+      .map((mark) => {
+        const [lng, lat] = xmlText(mark, "coordinates").split(",");
+        const data = Object.fromEntries(
+          [...mark.getElementsByTagName("Data")].map((d) => [d.getAttribute("name"), xmlText(d, "value")])
+        );
+        return { notes: xmlText(mark, "description"), ...data, name: xmlText(mark, "name"), lat, lng };
+      }),
+
+  gpx: (text) =>
+    [...parseXML(text).getElementsByTagName("wpt")].map((wpt) => {
+      const extension = (name) => wpt.getElementsByTagNameNS(GPX_NS, name)[0]?.textContent?.trim() ?? "";
+      return {
+        name: xmlText(wpt, "name"),
+        lat: wpt.getAttribute("lat"),
+        lng: wpt.getAttribute("lon"),
+        notes: xmlText(wpt, "desc"),
+        visited: xmlText(wpt, "type") === "visited",
+        tags: extension("tags"),
+        rating: extension("rating"),
+        visitedDate: extension("visitedDate"),
+      };
+    }),
+};
+
+export const formatFromFilename = (filename) => {
+  const ext = filename.split(".").pop().toLowerCase();
+  return Object.keys(FORMATS).find((format) => FORMATS[format].extension === ext) || null;
+};
+
+// Parse and validate a file's text. Throws on an unreadable file; per-row
+// problems are collected in `errors` so the rest can still be imported.
+export const parseImport = (text, format) => {
+  if (!parsers[format]) throw new ImportError(IMPORT_ERRORS.UNSUPPORTED, "Unsupported file type.");
+  const items = [];
+  const errors = [];
+  parsers[format](text).forEach((raw, i) => {
+    const { item, error } = normalize(raw || {});
+    if (item) items.push(item);
+    else errors.push({ ...error, row: i + 1, message: `Row ${i + 1}: ${error.message}` });
+  });
+  return { items, errors };
+};
+
+// Two places closer than this are treated as the same spot
+const DUPLICATE_DEGREES = 0.001;
+
+export const findDuplicate = (item, places) =>
+  places.find(
+    (place) =>
+      Math.abs(place.lat - item.lat) < DUPLICATE_DEGREES &&
+      Math.abs(place.lng - item.lng) < DUPLICATE_DEGREES
+  ) || null;
@@ -0,0 +1,76 @@
+import { describe, it, expect } from "vitest";
+import { FORMATS, IMPORT_ERRORS, ImportError, importErrorText, parseImport, serialize } from "./exchange";
+import { translate } from "./i18n";
+
+const items = [
+  {
+    name: "Kyoto",
+    lat: 35.0116,
+    lng: 135.7681,
+    visited: true,
+    notes: "Temples & <gardens>\n\nGo in spring",
+    tags: ["Culture", "Food"],
+    rating: 5,
+    visitedDate: "2025-04-02",
+  },
+  { name: "Quito", lat: -0.1807, lng: -78.4678, visited: false, notes: "", tags: [], rating: 0, visitedDate: null },
+];
+
+describe("export and import", () => {
+  Object.keys(FORMATS).forEach((format) => {
+    it(`round-trips every field through ${format}`, () => {
+      const { items: parsed, errors } = parseImport(serialize(format, items, "Trip"), format);
+      expect(errors).toEqual([]);
+      expect(parsed).toEqual(items);
+    });
+  });
+
+  it("reads GPX from other apps, using <desc> as the notes", () => {
+    const gpx = `<?xml version="1.0"?>
+<gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1">
+  <wpt lat="48.86" lon="2.35"><name>Paris</name><desc>Eiffel Tower</desc></wpt>
+</gpx>`;
+    expect(parseImport(gpx, "gpx").items).toEqual([
+      { name: "Paris", lat: 48.86, lng: 2.35, visited: false, notes: "Eiffel Tower", tags: [], rating: 0, visitedDate: null },
+    ]);
+  });
+});
+
+describe("import errors", () => {
+  const t = (key, vars) => translate("es", key, vars);
+
+  it("throws typed errors for files it can't read", () => {
+    const typeOf = (text, format) => {
+      try {
+        parseImport(text, format);
+      } catch (error) {
+        expect(error).toBeInstanceOf(ImportError);
+        return error.type;
+      }
+      return null;
+    };
+    expect(typeOf("{", "json")).toBe(IMPORT_ERRORS.INVALID_JSON);
+    expect(typeOf('{"a":1}', "json")).toBe(IMPORT_ERRORS.NOT_A_LIST);
+    expect(typeOf("", "csv")).toBe(IMPORT_ERRORS.EMPTY_CSV);
+    expect(typeOf("name,notes\nParis,x", "csv")).toBe(IMPORT_ERRORS.MISSING_COLUMNS);
+    expect(typeOf("<gpx>", "gpx")).toBe(IMPORT_ERRORS.INVALID_XML);
+    expect(typeOf("x", "pdf")).toBe(IMPORT_ERRORS.UNSUPPORTED);
+  });
+
+  it("lists skipped rows with a type and translates them", () => {
+    const { items, errors } = parseImport("name,lat,lng\n,1,2\nParis,100,2\nLyon,45.7,4.8", "csv");
+    expect(items.map((item) => item.name)).toEqual(["Lyon"]);
+    expect(errors.map(({ row, type }) => [row, type])).toEqual([
+      [1, IMPORT_ERRORS.MISSING_NAME],
+      [2, IMPORT_ERRORS.INVALID_LATITUDE],
+    ]);
+    expect(importErrorText(errors[1], t)).toBe("Fila 2: «Paris» tiene una latitud no válida");
+    expect(importErrorText(new ImportError(IMPORT_ERRORS.EMPTY_CSV, "The CSV file is empty."), t)).toBe(
+      "El archivo CSV está vacío."
+    );
+  });
+
+  it("falls back to the English message for errors without a type", () => {
+    expect(importErrorText(new Error("Disk on fire"), t)).toBe("Disk on fire");
+  });
+});
@@ -0,0 +1,24 @@
+// Great-circle helpers shared by route planning, stats and sorting.
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+// Haversine distance between two { lat, lng } points, in kilometres
+export const distanceKm = (a, b) => {
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+const KM_PER_MILE = 1.609344;
+
+// "4.2 km" / "1,250 mi"; one decimal below 10
+export const formatDistance = (km, { unit = "km", locale } = {}) => {
+  const value = unit === "mi" ? km / KM_PER_MILE : km;
+  const digits = value < 10 ? 1 : 0;
+  return `${value.toLocaleString(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits })} ${unit}`;
+};
@@ -0,0 +1,188 @@
+// Geocoding behind a small provider interface.
+//
+// A provider is { name, search(query, { signal }), reverse(lat, lng, { signal }) }.
+// search resolves to an array of normalized results and reverse to one
+// result or null:
+//   { name, displayName, lat, lng, type, category, osmId, osmType, country, countryCode }
+// Both throw GeocodingError on failure. `geocode()` and `reverseGeocode()`
+// wrap the active provider with a cache and a request queue, and always
+// resolve to a typed result instead of throwing:
+//   { ok: true, results } (or { ok: true, result } for reverseGeocode)
+//   | { ok: false, error: { type, message } }
+//
+// VITE_GEOCODER=mock switches to the offline mock provider; VITE_GEOCODER_URL
+// points the Nominatim provider at another endpoint.
+
+export const GEOCODER_URL = import.meta.env.VITE_GEOCODER_URL || "https://nominatim.openstreetmap.org";
+
+// Nominatim's usage policy allows at most one request per second
+const MIN_INTERVAL_MS = 1000;
+const CACHE_SIZE = 100;
+
+export const ERROR_TYPES = {
+  NOT_FOUND: "not_found",
+  NETWORK: "network",
+  HTTP: "http",
+  RATE_LIMITED: "rate_limited",
+  ABORTED: "aborted",
+};
+
+export class GeocodingError extends Error {
+  constructor(type, message) {
+    super(message);
+    this.name = "GeocodingError";
+    this.type = type;
+  }
+}
+
+// Raw Nominatim result -> normalized result
+const fromNominatim = (result) => ({
+  name: result.name || (result.display_name || "").split(",")[0].trim(),
+  displayName: result.display_name || "",
+  lat: parseFloat(result.lat),
+  lng: parseFloat(result.lon),
+  type: result.type || null,
+  category: result.class || result.category || null,
+  osmId: result.osm_id ?? null,
+  osmType: result.osm_type || null,
+  country: result.address?.country || null,
+  countryCode: result.address?.country_code?.toUpperCase() || null,
+});
+
+const requestJSON = async (url, signal) => {
+  let response;
+  try {
+    response = await fetch(url, { signal, headers: { Accept: "application/json" } });
+  } catch (error) {
+    if (error.name === "AbortError") throw new GeocodingError(ERROR_TYPES.ABORTED, "Search cancelled");
+    throw new GeocodingError(ERROR_TYPES.NETWORK, "Could not reach the location service");
+  }
+  if (response.status === 429) {
+    throw new GeocodingError(ERROR_TYPES.RATE_LIMITED, "Too many searches, please wait a moment");
+  }
+  if (!response.ok) {
+    throw new GeocodingError(ERROR_TYPES.HTTP, `Location service error (${response.status})`);
+  }
+  return response.json();
+};
+
+export const createNominatimProvider = (baseUrl = GEOCODER_URL) => ({
+  name: "nominatim",
+  search: async (query, { signal } = {}) => {
+    const params = new URLSearchParams({ format: "json", addressdetails: "1", limit: "5", q: query });
+    const data = await requestJSON(`${baseUrl}/search?${params}`, signal);
+    return (Array.isArray(data) ? data : []).map(fromNominatim);
+  },
+  reverse: async (lat, lng, { signal } = {}) => {
+    // zoom 14 resolves to suburb/POI level, close to what a map click means
+    const params = new URLSearchParams({ format: "json", addressdetails: "1", zoom: "14", lat, lon: lng });
+    const data = await requestJSON(`${baseUrl}/reverse?${params}`, signal);
+    return data && !data.error ? fromNominatim(data) : null;
+  },
+});
+
+// Offline provider for development and tests: matches a few fixed places
+const MOCK_PLACES = [
+  { display_name: "Paris, Île-de-France, France", lat: "48.8566", lon: "2.3522", type: "city", class: "place", osm_id: 7444, osm_type: "relation", address: { country: "France", country_code: "fr" } },
+  { display_name: "Paris, Lamar County, Texas, United States", lat: "33.6609", lon: "-95.5555", type: "city", class: "place", osm_id: 115357, osm_type: "relation", address: { country: "United States", country_code: "us" } },
+  { display_name: "Tokyo, Japan", lat: "35.6812", lon: "139.7671", type: "city", class: "place", osm_id: 1543125, osm_type: "relation", address: { country: "Japan", country_code: "jp" } },
+  { display_name: "Cape Town, Western Cape, South Africa", lat: "-33.9249", lon: "18.4241", type: "city", class: "place", osm_id: 79604, osm_type: "relation", address: { country: "South Africa", country_code: "za" } },
+];
+
+export const createMockProvider = (places = MOCK_PLACES) => ({
+  name: "mock",
+  search: async (query) =>
+    places
+      .filter((place) => place.display_name.toLowerCase().includes(query.toLowerCase()))
+      .map(fromNominatim),
+  // Nearest mock place, by plain coordinate distance
+  reverse: async (lat, lng) => {
+    const [nearest] = [...places].sort(
+      (a, b) => Math.hypot(a.lat - lat, a.lon - lng) - Math.hypot(b.lat - lat, b.lon - lng)
+    );
+    return nearest ? fromNominatim(nearest) : null;
+  },
+});
+
+// Runs tasks one at a time, at least `interval` ms apart
+const createQueue = (interval) => {
+  let last = 0;
+  let tail = Promise.resolve();
+
+  return (task, signal) => {
+    const run = tail.then(async () => {
+      if (signal?.aborted) throw new GeocodingError(ERROR_TYPES.ABORTED, "Search cancelled");
+      const wait = last + interval - Date.now();
+      if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+      if (signal?.aborted) throw new GeocodingError(ERROR_TYPES.ABORTED, "Search cancelled");
+      last = Date.now();
+      return task();
+    });
+    tail = run.catch(() => {});
+    return run;
+  };
+};
+
+let provider = import.meta.env.VITE_GEOCODER === "mock" ? createMockProvider() : createNominatimProvider();
+const cache = new Map();
+const enqueue = createQueue(MIN_INTERVAL_MS);
+
+// Swap the provider at runtime (clears the cache)
+export const setGeocodingProvider = (next) => {
+  provider = next;
+  cache.clear();
+};
+
+const remember = (key, value) => {
+  cache.delete(key);
+  cache.set(key, value);
+  if (cache.size > CACHE_SIZE) cache.delete(cache.keys().next().value);
+};
+
+const toErrorResult = (error) => ({
+  ok: false,
+  error: error instanceof GeocodingError
+    ? { type: error.type, message: error.message }
+    : { type: ERROR_TYPES.NETWORK, message: "Error fetching location!" },
+});
+
+// Cached, rate-limited call through the active provider
+const cached = async (key, call, signal) => {
+  if (cache.has(key)) return { ok: true, results: cache.get(key) };
+  try {
+    const results = await enqueue(() => call(signal), signal);
+    remember(key, results);
+    return { ok: true, results };
+  } catch (error) {
+    if (error?.type !== ERROR_TYPES.ABORTED) console.error("Geocoding error:", error);
+    return toErrorResult(error);
+  }
+};
+
+export const geocode = async (query, { signal } = {}) => {
+  const q = query.trim();
+  if (!q) return { ok: false, error: { type: ERROR_TYPES.NOT_FOUND, message: "Type a place to search for" } };
+
+  const result = await cached(
+    `search:${provider.name}:${q.toLowerCase()}`,
+    (sig) => provider.search(q, { signal: sig }),
+    signal
+  );
+  if (result.ok && result.results.length === 0) {
+    return { ok: false, error: { type: ERROR_TYPES.NOT_FOUND, message: "Place not found!" } };
+  }
+  return result;
+};
+
+export const reverseGeocode = async (lat, lng, { signal } = {}) => {
+  // ~100 m grid, so nearby clicks share a cache entry
+  const result = await cached(
+    `reverse:${provider.name}:${lat.toFixed(3)},${lng.toFixed(3)}`,
+    (sig) => provider.reverse(lat, lng, { signal: sig }),
+    signal
+  );
+  if (result.ok && !result.results) {
+    return { ok: false, error: { type: ERROR_TYPES.NOT_FOUND, message: "Nothing found here" } };
+  }
+  return result.ok ? { ok: true, result: result.results } : result;
+};
@@ -0,0 +1,405 @@
+// English strings. Keys are grouped by the part of the app they belong to;
+// `{name}` placeholders are filled in by translate(), and { one, other }
+// entries are picked by the `count` variable.
+
+export default {
+  "app.title": "My Travel Bucket List",
+  "app.tagline": "Plan your dream destinations and track your adventures!",
+  "app.offline":
+    "You're offline. Showing your saved lists, cached map tiles and the last known weather; searching and new forecasts will be back once you reconnect.",
+
+  "common.add": "Add",
+  "common.cancel": "Cancel",
+  "common.close": "Close",
+  "common.delete": "Delete",
+  "common.dismiss": "Dismiss",
+  "common.done": "Done",
+  "common.remove": "Remove",
+  "common.total": "Total: {amount}",
+  "common.unknown": "Unknown",
+  "common.thisList": "This list",
+  "common.allLists": "All lists",
+
+  "toolbar.stats": "Stats",
+  "toolbar.budget": "Budget",
+  "toolbar.calendar": "Calendar",
+  "toolbar.settings": "Settings",
+  "toolbar.alerts": "Alerts",
+  "toolbar.share": "Share",
+  "toolbar.shareCopied": "Link copied",
+  "toolbar.shareTitle": "Copy a read-only link to this list",
+  "toolbar.sharePrompt": "Copy this link to share the list:",
+  "toolbar.undo": "Undo",
+  "toolbar.redo": "Redo",
+  "toolbar.undoTitle": "Undo {label}",
+  "toolbar.redoTitle": "Redo {label}",
+  "toolbar.nothingToUndo": "Nothing to undo",
+  "toolbar.nothingToRedo": "Nothing to redo",
+
+  "history.add": "add “{name}”",
+  "history.delete": "delete “{name}”",
+  "history.toggle": "toggle “{name}”",
+  "history.clearAll": "clear all",
+  "history.reorder": "reorder",
+  "history.applyRoute": "apply route order",
+  "history.import": { one: "import {count} place", other: "import {count} places" },
+  "history.move": "move “{name}” to {list}",
+  "history.copy": "copy “{name}” to {list}",
+  "history.deleted": "Deleted “{name}”",
+  "history.cleared": { one: "Cleared {count} place", other: "Cleared {count} places" },
+
+  "lists.new": "New list",
+  "lists.newPrompt": "Name for the new list:",
+  "lists.rename": "Rename",
+  "lists.renamePrompt": "Rename list:",
+  "lists.duplicate": "Duplicate",
+  "lists.copyName": "{name} (copy)",
+  "lists.archive": "Archive",
+  "lists.unarchive": "Unarchive",
+  "lists.archived": "Archived",
+  "lists.showArchived": "Show archived ({count})",
+  "lists.needOpen": "You need at least one open list.",
+  "lists.delete": "Delete list",
+  "lists.confirmDelete": {
+    one: "Delete \"{name}\" and its {count} place?",
+    other: "Delete \"{name}\" and its {count} places?",
+  },
+
+  "add.placeholder": "Add a new city/place",
+  "add.button": "Add Place",
+  "add.tags": "Tags for new place:",
+  "add.searching": "Searching…",
+  "add.suggestions": "Suggested places",
+  "add.whichOne": "Which \"{query}\" did you mean?",
+  "add.resultDetails": "Type: {type} • Class: {category}",
+  "add.clearAll": "Clear All",
+  "add.confirmClearAll": "Are you sure you want to clear all places?",
+
+  "geocoding.not_found": "Place not found!",
+  "geocoding.network": "Could not reach the location service",
+  "geocoding.http": "The location service returned an error",
+  "geocoding.rate_limited": "Too many searches, try again in a moment",
+  "geocoding.aborted": "Search cancelled",
+  "geocoding.nothingHere": "Nothing found here",
+
+  "place.notes": "Notes",
+  "place.budgetTotal": "Budget total",
+  "place.addTag": "+ Tag",
+  "place.newTag": "New tag…",
+  "place.newTagPrompt": "New tag name:",
+  "place.transfer": "Move / copy…",
+  "place.moveTo": "Move to",
+  "place.copyTo": "Copy to",
+  "place.visited": "Visited",
+
+  "tags.label": "Tags:",
+  "tags.manage": "Manage tags",
+  "tags.newPlaceholder": "New tag",
+  "tags.confirmDelete": "Delete the tag \"{name}\" from every place?",
+
+  "filter.search": "Search places",
+  "filter.all": "All places",
+  "filter.unvisited": "Not visited yet",
+  "filter.visited": "Visited",
+  "filter.clear": "Clear filters",
+  "filter.showing": "Showing {shown} of {total}",
+  "filter.goodIn": "Good to go in",
+  "filter.anyMonth": "Any month",
+  "filter.goodInMonth": "Good to go in {month}",
+  "filter.checkingClimate": { one: "checking the climate of {count} place…", other: "checking the climate of {count} places…" },
+
+  "sort.label": "Sort by",
+  "sort.manual": "My order",
+  "sort.name": "Name",
+  "sort.added": "Date added",
+  "sort.country": "Country",
+  "sort.temperature": "Temperature",
+  "sort.nearMe": "Distance from me",
+  "sort.home": "Distance from home",
+  "sort.ascending": "Ascending",
+  "sort.descending": "Descending",
+  "sort.back": "Back to my order",
+  "sort.locating": "Finding your location…",
+  "sort.located": "Using your current location",
+  "sort.chooseHome": "Choose home…",
+  "sort.viewOnly": "Sorted view; dragging is off",
+
+  "location.unavailable": "Location isn't available in this browser.",
+  "location.denied": "Location permission was denied.",
+  "location.failed": "Could not find your location.",
+
+  "data.exportAs": "Export as…",
+  "data.import": "Import",
+  "data.unsupported": "Unsupported file type. Use {extensions}.",
+  "data.nothingFound": "No places found in {file}.",
+  "data.readError": "Could not read {file}: {error}",
+
+  "import.title": "Import into \"{name}\"",
+  "import.found": { one: "{file}: {count} place found", other: "{file}: {count} places found" },
+  "import.duplicates": ", {count} already in your list",
+  "import.skipped": ", {count} skipped",
+  "import.badRows": "Rows that could not be read",
+  "import.duplicateOf": "duplicate of \"{name}\"",
+  "import.add": { one: "Add {count} place", other: "Add {count} places" },
+
+  "weather.check": "Check Weather",
+  "weather.refreshed": "Weather data refreshed!",
+  "weather.refreshing": "Checking the weather…",
+  "weather.refreshedSome": "Weather refreshed for {updated} of {total} places.",
+  "weather.loading": "Loading weather...",
+  "weather.noSaved": "No saved weather (offline)",
+  "weather.offlineSaved": "Offline, saved {age}",
+  "weather.outdated": "Outdated ({age}), refreshing…",
+  "weather.updated": "Updated {age}",
+  "weather.ageUnknown": "age unknown",
+  "weather.showForecast": "7-day forecast",
+  "weather.hideForecast": "Hide forecast",
+
+  "route.title": "Plan route",
+  "route.needTwo": "Add at least two unvisited places with a location to plan a route.",
+  "route.start": "Start",
+  "route.end": "End",
+  "route.any": "Any",
+  "route.compute": { one: "Compute order ({count} stop)", other: "Compute order ({count} stops)" },
+  "route.apply": "Apply to list",
+
+  "map.lookingUp": "Looking up this spot…",
+  "map.addToList": "Add to list",
+  "map.countries": "Countries",
+
+  "countries.visited": "Visited",
+  "countries.listed": "On the bucket list",
+  "countries.untouched": "Not yet",
+
+  "detail.stars": { one: "{count} star", other: "{count} stars" },
+  "detail.visitedOn": "Visited on",
+  "detail.plannedDates": "Planned dates",
+  "detail.alertRules": "Weather alerts on planned days:",
+  "detail.marker": "Map pin",
+  "detail.notes": "Notes",
+  "detail.edit": "Edit",
+  "detail.preview": "Preview",
+  "detail.empty": "Nothing written yet.",
+  "detail.notesPlaceholder": "Write notes in Markdown: **bold**, *italic*, - lists, [links](https://...)",
+  "detail.budget": "Budget",
+  "detail.climate": "Best time to visit",
+  "detail.journal": "Travel journal",
+  "detail.journalPlaceholder": "What happened today? (Markdown supported)",
+  "detail.addEntry": "Add entry",
+  "detail.confirmDeleteEntry": "Delete this journal entry?",
+  "detail.subStops": "Sub-stops",
+  "detail.attractions": "Top Attractions",
+  "detail.searchFurther": "Search further:",
+  "detail.google": "Search on Google",
+
+  "attractions.wikiLoading": "Looking up Wikipedia…",
+  "attractions.wikiError": "Could not load the Wikipedia summary.",
+  "attractions.noArticle": "No Wikipedia article found for this place.",
+  "attractions.readMore": "Read more on Wikipedia",
+  "attractions.nearby": "Nearby",
+  "attractions.poiLoading": "Finding museums, viewpoints and parks nearby…",
+  "attractions.poiError": "Could not load nearby places.",
+  "attractions.nothingNearby": "Nothing found within {distance}.",
+  "attractions.noCoords": "This place has no coordinates.",
+  "attractions.saved": "Saved",
+  "attractions.saveStop": "Save as sub-stop",
+
+  "poi.museum": "Museum",
+  "poi.gallery": "Gallery",
+  "poi.viewpoint": "Viewpoint",
+  "poi.attraction": "Attraction",
+  "poi.park": "Park",
+  "poi.castle": "Castle",
+  "poi.monument": "Monument",
+
+  "plan.to": "to",
+  "plan.overlaps": "Overlaps another trip",
+  "plan.add": "Plan dates",
+
+  "calendar.title": "Trip calendar",
+  "calendar.export": "Export .ics",
+  "calendar.icsName": "Travel bucket list",
+  "calendar.previous": "Previous month",
+  "calendar.next": "Next month",
+  "calendar.upcoming": "Upcoming",
+  "calendar.noneUpcoming": "No trips planned. Add dates from a place's 📝 Notes.",
+  "calendar.overlapping": "Overlapping trips",
+  "calendar.and": "and",
+
+  "overdue.before": "Your trip to",
+  "overdue.after": "is over. Did you go?",
+  "overdue.markVisited": "Mark visited",
+  "overdue.notThisTime": "Not this time",
+
+  "budget.title": "Budget",
+  "budget.details": "Details",
+  "budget.addCost": "Add cost",
+  "budget.noRate": "(no rate for {codes}, set it in 💰 Budget)",
+  "budget.leavesOut": "Leaves out {codes} items (no rate)",
+  "budget.homeCurrency": "Home currency",
+  "budget.empty": "No costs yet. Add them from a place's 📝 Notes.",
+  "budget.total": "Total",
+  "budget.stillToVisit": "Still to visit",
+  "budget.byTag": "By tag",
+  "budget.byList": "By list",
+  "budget.rates": "Exchange rates",
+  "budget.allHome": "Everything is in {currency}.",
+  "budget.rate": "rate",
+  "budget.addCode": "Add code, e.g. EUR",
+  "budget.category.flights": "Flights",
+  "budget.category.lodging": "Lodging",
+  "budget.category.food": "Food",
+  "budget.category.activities": "Activities",
+  "budget.category.other": "Other",
+
+  "stats.title": "Travel stats",
+  "stats.percentVisited": "{percent}% visited",
+  "stats.visited": "visited",
+  "stats.toGo": "still to go",
+  "stats.countries": "Countries & continents",
+  "stats.countriesVisited": { one: "of {count} country visited", other: "of {count} countries visited" },
+  "stats.unknownCountry": { one: "{count} place has no country yet.", other: "{count} places have no country yet." },
+  "stats.lookingUp": "Looking up…",
+  "stats.lookUp": "Look them up",
+  "stats.farthest": "Farthest from home",
+  "stats.chooseHome": "Choose your home place…",
+  "stats.travelled": "Distance travelled",
+  "stats.travelledNote": {
+    one: "Great-circle distance between your {count} dated visit, in the order you made them.",
+    other: "Great-circle distance between your {count} dated visits, in the order you made them.",
+  },
+  "stats.overTime": "Visits over time",
+  "stats.noTimeline": "Add a visit date to your visited places to see a timeline.",
+
+  "shared.opening": "Opening shared list…",
+  "shared.goToLists": "Go to my lists",
+  "shared.summary": "Shared with you · {places}, {visited} visited · read-only",
+  "shared.places": { one: "{count} place", other: "{count} places" },
+  "shared.import": "Import into my lists",
+
+  "settings.title": "Settings",
+  "settings.language": "Language",
+  "settings.temperature": "Temperature",
+  "settings.celsius": "Celsius (°C)",
+  "settings.fahrenheit": "Fahrenheit (°F)",
+  "settings.distance": "Distance",
+  "settings.km": "Kilometres",
+  "settings.mi": "Miles",
+  "settings.dateFormat": "Date format",
+  "settings.date.locale": "Language default ({example})",
+  "settings.date.iso": "Year-month-day ({example})",
+  "settings.date.dmy": "Day/month/year ({example})",
+  "settings.date.mdy": "Month/day/year ({example})",
+  "settings.mapZoom": "Default map zoom",
+  "settings.mapHome": "Map opens on",
+  "settings.mapHomeFirst": "The first place in the list",
+  "settings.reset": "Reset to defaults",
+
+  "mapList.title": "Places on the map",
+  "mapList.hint": "Arrow keys move between places, Enter opens one",
+  "mapList.visitedName": "{name}, visited",
+
+  "a11y.added": "Added {name}",
+  "a11y.markedVisited": "{name} marked as visited",
+  "a11y.markedUnvisited": "{name} marked as not visited",
+  "a11y.undone": "Undid {label}",
+  "a11y.redone": "Redid {label}",
+  "a11y.routeApplied": "List reordered to follow the route",
+  "a11y.dragInstructions":
+    "To reorder, press Space or Enter to pick up the place, use the arrow keys to move it, then press Space or Enter again to drop it, or Escape to cancel.",
+  "a11y.dragStart": "Picked up {name}, position {position} of {total}",
+  "a11y.dragOver": "{name} is at position {position} of {total}",
+  "a11y.dragEnd": "Dropped {name} at position {position} of {total}",
+  "a11y.dragCancel": "Cancelled moving {name}",
+  "a11y.reorder": "Reorder {name}",
+  "a11y.markVisited": "Visited {name}",
+  "a11y.addTagTo": "Add a tag to {name}",
+  "a11y.transfer": "Move or copy {name} to another list",
+  "a11y.deleteNamed": "Delete {name}",
+  "a11y.removeNamed": "Remove {name}",
+  "a11y.removeTag": "Remove tag {name}",
+  "a11y.deleteTag": "Delete tag {name}",
+  "a11y.tagColor": "Colour of tag {name}",
+  "a11y.visitedFilter": "Show visited or not",
+  "a11y.entryDate": "Entry date",
+  "a11y.deleteEntry": "Delete the entry of {date}",
+  "a11y.planStart": "First day",
+  "a11y.planEnd": "Last day",
+  "a11y.removePlan": "Remove these dates",
+  "a11y.category": "Category",
+  "a11y.amount": "Amount",
+  "a11y.currency": "Currency",
+  "a11y.removeCost": "Remove this cost",
+  "a11y.cluster": { one: "{count} place, zoom in", other: "{count} places, zoom in" },
+
+  "sync.title": "Sync",
+  "sync.url": "Sync server address",
+  "sync.now": "Sync now",
+  "sync.state.off": "Off. Other tabs stay in step; to share lists across devices, run npm run sync-server and enter its address, e.g. http://localhost:8787/team.",
+  "sync.state.idle": "Not synced yet",
+  "sync.state.syncing": "Syncing…",
+  "sync.state.ok": "Last synced {time}",
+  "sync.error.network": "Could not reach the sync server",
+  "sync.error.http": "The sync server returned an error",
+  "sync.error.conflict": "The lists kept changing on other devices, try again",
+  "sync.error.invalid": "The sync server sent something unreadable",
+
+  "climate.prefs": "Good to go when highs are",
+  "climate.minTemp": "Lowest average high",
+  "climate.maxTemp": "Highest average high",
+  "climate.rainUpTo": "with rain up to",
+  "climate.maxRain": "Most rain per month in mm",
+  "climate.mmPerMonth": "mm a month",
+  "climate.loading": "Loading typical weather…",
+  "climate.error": "Could not load the climate for this place.",
+  "climate.best": "Best months: {months}",
+  "climate.closest": "No month fits your preferences; closest: {months}",
+  "climate.month": "Month",
+  "climate.high": "High",
+  "climate.low": "Low",
+  "climate.rain": "Rain",
+  "climate.rainyDays": "Rainy days",
+  "climate.goodMonth": "good month to go",
+  "climate.source": "Averages of the last ten years of daily weather history.",
+
+  "alerts.title": "Weather alerts",
+  "alerts.clear": "Clear history",
+  "alerts.about": "The forecast is checked every hour while the app is open, for the days you've planned to be somewhere in the next week. Extreme heat means highs of {temp} or more.",
+  "alerts.enableBrowser": "Also show browser notifications",
+  "alerts.browserOn": "Browser notifications are on.",
+  "alerts.browserBlocked": "Browser notifications are blocked for this site.",
+  "alerts.empty": "No alerts yet. Choose which ones to watch under a place's planned dates.",
+  "alerts.notificationTitle": "Weather alert",
+  "alerts.ruleName.storm": "Storm",
+  "alerts.ruleName.heavyRain": "Heavy rain",
+  "alerts.ruleName.heat": "Extreme heat",
+  "alerts.ruleName.snow": "Snow",
+  "alerts.rule.storm": "Thunderstorms forecast in {name} on {date}",
+  "alerts.rule.heavyRain": "Heavy rain forecast in {name} on {date}",
+  "alerts.rule.heat": "Extreme heat ({temp}) forecast in {name} on {date}",
+  "alerts.rule.snow": "Snow forecast in {name} on {date}",
+
+  "marker.color": "Colour:",
+  "marker.glyph": "Symbol:",
+  "marker.auto": "Automatic",
+  "marker.dot": "Dot",
+  "marker.colorChoice": "Colour {n}",
+
+  "shared.untitled": "Shared list",
+  "share.error.badLink": "This share link is damaged or incomplete.",
+  "share.error.noDecompression": "This browser can't open compressed share links.",
+  "import.error.unsupported": "Unsupported file type.",
+  "import.error.invalidJson": "The file is not valid JSON.",
+  "import.error.invalidXml": "The file is not valid XML.",
+  "import.error.notAList": "Expected an array of places or { \"places\": [...] }.",
+  "import.error.emptyCsv": "The CSV file is empty.",
+  "import.error.missingColumns": "The CSV needs name, lat and lng columns.",
+  "import.error.notGeoJson": "Expected a GeoJSON FeatureCollection.",
+  "import.error.missingName": "Row {row}: missing name",
+  "import.error.invalidLatitude": "Row {row}: \"{name}\" has an invalid latitude",
+  "import.error.invalidLongitude": "Row {row}: \"{name}\" has an invalid longitude",
+  "data.exportSkipped": {
+    one: "{count} place has no location and was left out of the export: {names}",
+    other: "{count} places have no location and were left out of the export: {names}",
+  },
+};
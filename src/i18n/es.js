@@ -0,0 +1,435 @@
+// Spanish strings. Anything missing here falls back to English.
+
+export default {
+  "app.title": "Mi lista de viajes",
+  "app.tagline": "¡Planea los destinos de tus sueños y sigue tus aventuras!",
+  "app.offline":
+    "Estás sin conexión. Se muestran tus listas guardadas, los mapas en caché y el último tiempo conocido; las búsquedas y los nuevos pronósticos volverán cuando te reconectes.",
+
+  "common.add": "Añadir",
+  "common.cancel": "Cancelar",
+  "common.close": "Cerrar",
+  "common.delete": "Eliminar",
+  "common.dismiss": "Descartar",
+  "common.done": "Listo",
+  "common.remove": "Quitar",
+  "common.total": "Total: {amount}",
+  "common.unknown": "Desconocido",
+  "common.thisList": "Esta lista",
+  "common.allLists": "Todas las listas",
+
+  "toolbar.stats": "Estadísticas",
+  "toolbar.budget": "Presupuesto",
+  "toolbar.calendar": "Calendario",
+  "toolbar.settings": "Ajustes",
+  "toolbar.alerts": "Avisos",
+  "toolbar.share": "Compartir",
+  "toolbar.shareCopied": "Enlace copiado",
+  "toolbar.shareTitle": "Copiar un enlace de solo lectura a esta lista",
+  "toolbar.sharePrompt": "Copia este enlace para compartir la lista:",
+  "toolbar.undo": "Deshacer",
+  "toolbar.redo": "Rehacer",
+  "toolbar.undoTitle": "Deshacer: {label}",
+  "toolbar.redoTitle": "Rehacer: {label}",
+  "toolbar.nothingToUndo": "Nada que deshacer",
+  "toolbar.nothingToRedo": "Nada que rehacer",
+
+  "history.add": "añadir «{name}»",
+  "history.delete": "eliminar «{name}»",
+  "history.toggle": "marcar «{name}»",
+  "history.clearAll": "vaciar la lista",
+  "history.reorder": "reordenar",
+  "history.applyRoute": "aplicar el orden de la ruta",
+  "history.import": { one: "importar {count} lugar", other: "importar {count} lugares" },
+  "history.move": "mover «{name}» a {list}",
+  "history.copy": "copiar «{name}» a {list}",
+  "history.deleted": "Eliminado «{name}»",
+  "history.cleared": { one: "Eliminado {count} lugar", other: "Eliminados {count} lugares" },
+
+  "lists.new": "Nueva lista",
+  "lists.newPrompt": "Nombre de la nueva lista:",
+  "lists.rename": "Renombrar",
+  "lists.renamePrompt": "Renombrar lista:",
+  "lists.duplicate": "Duplicar",
+  "lists.copyName": "{name} (copia)",
+  "lists.archive": "Archivar",
+  "lists.unarchive": "Desarchivar",
+  "lists.archived": "Archivadas",
+  "lists.showArchived": "Mostrar archivadas ({count})",
+  "lists.needOpen": "Necesitas al menos una lista abierta.",
+  "lists.delete": "Eliminar lista",
+  "lists.confirmDelete": {
+    one: "¿Eliminar «{name}» y su {count} lugar?",
+    other: "¿Eliminar «{name}» y sus {count} lugares?",
+  },
+
+  "add.placeholder": "Añade una ciudad o lugar",
+  "add.button": "Añadir lugar",
+  "add.tags": "Etiquetas para el nuevo lugar:",
+  "add.searching": "Buscando…",
+  "add.suggestions": "Lugares sugeridos",
+  "add.whichOne": "¿A qué «{query}» te refieres?",
+  "add.resultDetails": "Tipo: {type} • Clase: {category}",
+  "add.clearAll": "Vaciar todo",
+  "add.confirmClearAll": "¿Seguro que quieres eliminar todos los lugares?",
+
+  "geocoding.not_found": "¡No se encontró el lugar!",
+  "geocoding.network": "No se pudo contactar con el servicio de ubicación",
+  "geocoding.http": "El servicio de ubicación devolvió un error",
+  "geocoding.rate_limited": "Demasiadas búsquedas, inténtalo de nuevo en un momento",
+  "geocoding.aborted": "Búsqueda cancelada",
+  "geocoding.nothingHere": "No se encontró nada aquí",
+
+  "place.notes": "Notas",
+  "place.budgetTotal": "Total del presupuesto",
+  "place.addTag": "+ Etiqueta",
+  "place.newTag": "Nueva etiqueta…",
+  "place.newTagPrompt": "Nombre de la nueva etiqueta:",
+  "place.transfer": "Mover / copiar…",
+  "place.moveTo": "Mover a",
+  "place.copyTo": "Copiar a",
+  "place.visited": "Visitado",
+
+  "tags.label": "Etiquetas:",
+  "tags.manage": "Gestionar etiquetas",
+  "tags.newPlaceholder": "Nueva etiqueta",
+  "tags.confirmDelete": "¿Quitar la etiqueta «{name}» de todos los lugares?",
+
+  "filter.search": "Buscar lugares",
+  "filter.all": "Todos los lugares",
+  "filter.unvisited": "Aún sin visitar",
+  "filter.visited": "Visitados",
+  "filter.clear": "Quitar filtros",
+  "filter.showing": "Mostrando {shown} de {total}",
+  "filter.goodIn": "Buen momento para ir en",
+  "filter.anyMonth": "Cualquier mes",
+  "filter.goodInMonth": "Buen momento para ir en {month}",
+  "filter.checkingClimate": { one: "consultando el clima de {count} lugar…", other: "consultando el clima de {count} lugares…" },
+
+  "sort.label": "Ordenar por",
+  "sort.manual": "Mi orden",
+  "sort.name": "Nombre",
+  "sort.added": "Fecha de alta",
+  "sort.country": "País",
+  "sort.temperature": "Temperatura",
+  "sort.nearMe": "Distancia desde mí",
+  "sort.home": "Distancia desde casa",
+  "sort.ascending": "Ascendente",
+  "sort.descending": "Descendente",
+  "sort.back": "Volver a mi orden",
+  "sort.locating": "Buscando tu ubicación…",
+  "sort.located": "Usando tu ubicación actual",
+  "sort.chooseHome": "Elige tu casa…",
+  "sort.viewOnly": "Vista ordenada; arrastrar está desactivado",
+
+  "location.unavailable": "La ubicación no está disponible en este navegador.",
+  "location.denied": "Se denegó el permiso de ubicación.",
+  "location.failed": "No se pudo encontrar tu ubicación.",
+
+  "data.exportAs": "Exportar como…",
+  "data.import": "Importar",
+  "data.unsupported": "Tipo de archivo no compatible. Usa {extensions}.",
+  "data.nothingFound": "No se encontraron lugares en {file}.",
+  "data.readError": "No se pudo leer {file}: {error}",
+
+  "import.title": "Importar en «{name}»",
+  "import.found": { one: "{file}: {count} lugar encontrado", other: "{file}: {count} lugares encontrados" },
+  "import.duplicates": ", {count} ya en tu lista",
+  "import.skipped": ", {count} omitidos",
+  "import.badRows": "Filas que no se pudieron leer",
+  "import.duplicateOf": "duplicado de «{name}»",
+  "import.add": { one: "Añadir {count} lugar", other: "Añadir {count} lugares" },
+
+  "weather.check": "Ver el tiempo",
+  "weather.refreshed": "¡Tiempo actualizado!",
+  "weather.refreshing": "Consultando el tiempo…",
+  "weather.refreshedSome": "Tiempo actualizado para {updated} de {total} lugares.",
+  "weather.loading": "Cargando el tiempo...",
+  "weather.noSaved": "Sin tiempo guardado (sin conexión)",
+  "weather.offlineSaved": "Sin conexión, guardado {age}",
+  "weather.outdated": "Desactualizado ({age}), actualizando…",
+  "weather.updated": "Actualizado {age}",
+  "weather.ageUnknown": "fecha desconocida",
+  "weather.showForecast": "Pronóstico de 7 días",
+  "weather.hideForecast": "Ocultar pronóstico",
+  "weather.0": "Despejado",
+  "weather.1": "Mayormente despejado",
+  "weather.2": "Parcialmente nublado",
+  "weather.3": "Cubierto",
+  "weather.45": "Niebla",
+  "weather.48": "Niebla",
+  "weather.51": "Llovizna ligera",
+  "weather.53": "Llovizna",
+  "weather.55": "Llovizna intensa",
+  "weather.61": "Lluvia ligera",
+  "weather.63": "Lluvia",
+  "weather.65": "Lluvia intensa",
+  "weather.71": "Nevada ligera",
+  "weather.73": "Nieve",
+  "weather.75": "Nevada intensa",
+  "weather.77": "Granos de nieve",
+  "weather.80": "Chubascos ligeros",
+  "weather.81": "Chubascos",
+  "weather.82": "Chubascos fuertes",
+  "weather.85": "Chubascos de nieve ligeros",
+  "weather.86": "Chubascos de nieve",
+  "weather.95": "Tormenta",
+  "weather.96": "Tormenta",
+  "weather.99": "Tormenta",
+
+  "route.title": "Planear ruta",
+  "route.needTwo": "Añade al menos dos lugares sin visitar con ubicación para planear una ruta.",
+  "route.start": "Inicio",
+  "route.end": "Fin",
+  "route.any": "Cualquiera",
+  "route.compute": { one: "Calcular orden ({count} parada)", other: "Calcular orden ({count} paradas)" },
+  "route.apply": "Aplicar a la lista",
+
+  "map.lookingUp": "Buscando este punto…",
+  "map.addToList": "Añadir a la lista",
+  "map.countries": "Países",
+
+  "countries.visited": "Visitado",
+  "countries.listed": "En la lista de deseos",
+  "countries.untouched": "Todavía no",
+
+  "continents.Africa": "África",
+  "continents.Asia": "Asia",
+  "continents.Europe": "Europa",
+  "continents.North America": "América del Norte",
+  "continents.South America": "América del Sur",
+  "continents.Oceania": "Oceanía",
+  "continents.Antarctica": "Antártida",
+
+  "detail.stars": { one: "{count} estrella", other: "{count} estrellas" },
+  "detail.visitedOn": "Visitado el",
+  "detail.plannedDates": "Fechas previstas",
+  "detail.alertRules": "Avisos del tiempo en los días previstos:",
+  "detail.marker": "Marcador en el mapa",
+  "detail.notes": "Notas",
+  "detail.edit": "Editar",
+  "detail.preview": "Vista previa",
+  "detail.empty": "Aún no hay nada escrito.",
+  "detail.notesPlaceholder": "Escribe notas en Markdown: **negrita**, *cursiva*, - listas, [enlaces](https://...)",
+  "detail.budget": "Presupuesto",
+  "detail.climate": "Mejor época para ir",
+  "detail.journal": "Diario de viaje",
+  "detail.journalPlaceholder": "¿Qué pasó hoy? (admite Markdown)",
+  "detail.addEntry": "Añadir entrada",
+  "detail.confirmDeleteEntry": "¿Eliminar esta entrada del diario?",
+  "detail.subStops": "Paradas",
+  "detail.attractions": "Principales atracciones",
+  "detail.searchFurther": "Buscar más:",
+  "detail.google": "Buscar en Google",
+
+  "attractions.wikiLoading": "Consultando Wikipedia…",
+  "attractions.wikiError": "No se pudo cargar el resumen de Wikipedia.",
+  "attractions.noArticle": "No se encontró ningún artículo de Wikipedia para este lugar.",
+  "attractions.readMore": "Leer más en Wikipedia",
+  "attractions.nearby": "Cerca",
+  "attractions.poiLoading": "Buscando museos, miradores y parques cercanos…",
+  "attractions.poiError": "No se pudieron cargar los lugares cercanos.",
+  "attractions.nothingNearby": "No se encontró nada en {distance}.",
+  "attractions.noCoords": "Este lugar no tiene coordenadas.",
+  "attractions.saved": "Guardado",
+  "attractions.saveStop": "Guardar como parada",
+
+  "poi.museum": "Museo",
+  "poi.gallery": "Galería",
+  "poi.viewpoint": "Mirador",
+  "poi.attraction": "Atracción",
+  "poi.park": "Parque",
+  "poi.castle": "Castillo",
+  "poi.monument": "Monumento",
+
+  "plan.to": "a",
+  "plan.overlaps": "Se solapa con otro viaje",
+  "plan.add": "Planear fechas",
+
+  "calendar.title": "Calendario de viajes",
+  "calendar.export": "Exportar .ics",
+  "calendar.icsName": "Lista de viajes",
+  "calendar.previous": "Mes anterior",
+  "calendar.next": "Mes siguiente",
+  "calendar.upcoming": "Próximos",
+  "calendar.noneUpcoming": "No hay viajes planeados. Añade fechas desde las 📝 Notas de un lugar.",
+  "calendar.overlapping": "Viajes solapados",
+  "calendar.and": "y",
+
+  "overdue.before": "Tu viaje a",
+  "overdue.after": "ha terminado. ¿Fuiste?",
+  "overdue.markVisited": "Marcar como visitado",
+  "overdue.notThisTime": "Esta vez no",
+
+  "budget.title": "Presupuesto",
+  "budget.details": "Detalles",
+  "budget.addCost": "Añadir gasto",
+  "budget.noRate": "(sin tipo de cambio para {codes}, configúralo en 💰 Presupuesto)",
+  "budget.leavesOut": "No incluye las partidas en {codes} (sin tipo de cambio)",
+  "budget.homeCurrency": "Moneda local",
+  "budget.empty": "Aún no hay gastos. Añádelos desde las 📝 Notas de un lugar.",
+  "budget.total": "Total",
+  "budget.stillToVisit": "Por visitar",
+  "budget.byTag": "Por etiqueta",
+  "budget.byList": "Por lista",
+  "budget.rates": "Tipos de cambio",
+  "budget.allHome": "Todo está en {currency}.",
+  "budget.rate": "tipo",
+  "budget.addCode": "Añade un código, p. ej. EUR",
+  "budget.category.flights": "Vuelos",
+  "budget.category.lodging": "Alojamiento",
+  "budget.category.food": "Comida",
+  "budget.category.activities": "Actividades",
+  "budget.category.other": "Otros",
+
+  "stats.title": "Estadísticas de viaje",
+  "stats.percentVisited": "{percent}% visitado",
+  "stats.visited": "visitados",
+  "stats.toGo": "por visitar",
+  "stats.countries": "Países y continentes",
+  "stats.countriesVisited": { one: "de {count} país visitado", other: "de {count} países visitados" },
+  "stats.unknownCountry": { one: "{count} lugar aún no tiene país.", other: "{count} lugares aún no tienen país." },
+  "stats.lookingUp": "Buscando…",
+  "stats.lookUp": "Buscarlos",
+  "stats.farthest": "Lo más lejos de casa",
+  "stats.chooseHome": "Elige tu lugar de origen…",
+  "stats.travelled": "Distancia recorrida",
+  "stats.travelledNote": {
+    one: "Distancia ortodrómica entre tu {count} visita con fecha, en el orden en que la hiciste.",
+    other: "Distancia ortodrómica entre tus {count} visitas con fecha, en el orden en que las hiciste.",
+  },
+  "stats.overTime": "Visitas a lo largo del tiempo",
+  "stats.noTimeline": "Añade una fecha de visita a tus lugares visitados para ver una cronología.",
+
+  "shared.opening": "Abriendo la lista compartida…",
+  "shared.goToLists": "Ir a mis listas",
+  "shared.summary": "Compartida contigo · {places}, {visited} visitados · solo lectura",
+  "shared.places": { one: "{count} lugar", other: "{count} lugares" },
+  "shared.import": "Importar a mis listas",
+
+  "settings.title": "Ajustes",
+  "settings.language": "Idioma",
+  "settings.temperature": "Temperatura",
+  "settings.celsius": "Celsius (°C)",
+  "settings.fahrenheit": "Fahrenheit (°F)",
+  "settings.distance": "Distancia",
+  "settings.km": "Kilómetros",
+  "settings.mi": "Millas",
+  "settings.dateFormat": "Formato de fecha",
+  "settings.date.locale": "El del idioma ({example})",
+  "settings.date.iso": "Año-mes-día ({example})",
+  "settings.date.dmy": "Día/mes/año ({example})",
+  "settings.date.mdy": "Mes/día/año ({example})",
+  "settings.mapZoom": "Zoom inicial del mapa",
+  "settings.mapHome": "El mapa se abre en",
+  "settings.mapHomeFirst": "El primer lugar de la lista",
+  "settings.reset": "Restablecer valores",
+
+  "mapList.title": "Lugares en el mapa",
+  "mapList.hint": "Las flechas pasan de un lugar a otro, Intro abre el elegido",
+  "mapList.visitedName": "{name}, visitado",
+
+  "a11y.added": "{name} añadido",
+  "a11y.markedVisited": "{name} marcado como visitado",
+  "a11y.markedUnvisited": "{name} marcado como no visitado",
+  "a11y.undone": "Deshecho: {label}",
+  "a11y.redone": "Rehecho: {label}",
+  "a11y.routeApplied": "Lista reordenada según la ruta",
+  "a11y.dragInstructions":
+    "Para reordenar, pulsa Espacio o Intro para coger el lugar, muévelo con las flechas y vuelve a pulsar Espacio o Intro para soltarlo, o Escape para cancelar.",
+  "a11y.dragStart": "{name} cogido, posición {position} de {total}",
+  "a11y.dragOver": "{name} está en la posición {position} de {total}",
+  "a11y.dragEnd": "{name} soltado en la posición {position} de {total}",
+  "a11y.dragCancel": "Se canceló mover {name}",
+  "a11y.reorder": "Reordenar {name}",
+  "a11y.markVisited": "{name} visitado",
+  "a11y.addTagTo": "Añadir una etiqueta a {name}",
+  "a11y.transfer": "Mover o copiar {name} a otra lista",
+  "a11y.deleteNamed": "Eliminar {name}",
+  "a11y.removeNamed": "Quitar {name}",
+  "a11y.removeTag": "Quitar la etiqueta {name}",
+  "a11y.deleteTag": "Eliminar la etiqueta {name}",
+  "a11y.tagColor": "Color de la etiqueta {name}",
+  "a11y.visitedFilter": "Mostrar visitados o no",
+  "a11y.entryDate": "Fecha de la entrada",
+  "a11y.deleteEntry": "Eliminar la entrada del {date}",
+  "a11y.planStart": "Primer día",
+  "a11y.planEnd": "Último día",
+  "a11y.removePlan": "Quitar estas fechas",
+  "a11y.category": "Categoría",
+  "a11y.amount": "Importe",
+  "a11y.currency": "Moneda",
+  "a11y.removeCost": "Quitar este gasto",
+  "a11y.cluster": { one: "{count} lugar, acércate", other: "{count} lugares, acércate" },
+
+  "sync.title": "Sincronización",
+  "sync.url": "Dirección del servidor de sincronización",
+  "sync.now": "Sincronizar ahora",
+  "sync.state.off": "Desactivada. Las otras pestañas se mantienen al día; para compartir listas entre dispositivos, ejecuta npm run sync-server e introduce su dirección, p. ej. http://localhost:8787/team.",
+  "sync.state.idle": "Aún sin sincronizar",
+  "sync.state.syncing": "Sincronizando…",
+  "sync.state.ok": "Última sincronización: {time}",
+  "sync.error.network": "No se pudo contactar con el servidor de sincronización",
+  "sync.error.http": "El servidor de sincronización devolvió un error",
+  "sync.error.conflict": "Las listas no paraban de cambiar en otros dispositivos, inténtalo de nuevo",
+  "sync.error.invalid": "El servidor de sincronización envió algo ilegible",
+
+  "climate.prefs": "Buen momento si las máximas están entre",
+  "climate.minTemp": "Máxima media más baja",
+  "climate.maxTemp": "Máxima media más alta",
+  "climate.rainUpTo": "con lluvia de hasta",
+  "climate.maxRain": "Lluvia máxima al mes en mm",
+  "climate.mmPerMonth": "mm al mes",
+  "climate.loading": "Cargando el clima habitual…",
+  "climate.error": "No se pudo cargar el clima de este lugar.",
+  "climate.best": "Mejores meses: {months}",
+  "climate.closest": "Ningún mes encaja con tus preferencias; los más cercanos: {months}",
+  "climate.month": "Mes",
+  "climate.high": "Máx.",
+  "climate.low": "Mín.",
+  "climate.rain": "Lluvia",
+  "climate.rainyDays": "Días de lluvia",
+  "climate.goodMonth": "buen mes para ir",
+  "climate.source": "Medias de los últimos diez años de datos meteorológicos diarios.",
+
+  "alerts.title": "Avisos del tiempo",
+  "alerts.clear": "Borrar historial",
+  "alerts.about": "Mientras la app está abierta se revisa el pronóstico cada hora para los días en que tienes previsto estar en algún sitio la próxima semana. Calor extremo significa máximas de {temp} o más.",
+  "alerts.enableBrowser": "Mostrar también notificaciones del navegador",
+  "alerts.browserOn": "Las notificaciones del navegador están activadas.",
+  "alerts.browserBlocked": "Las notificaciones del navegador están bloqueadas para este sitio.",
+  "alerts.empty": "Aún no hay avisos. Elige cuáles vigilar en las fechas previstas de cada lugar.",
+  "alerts.notificationTitle": "Aviso del tiempo",
+  "alerts.ruleName.storm": "Tormenta",
+  "alerts.ruleName.heavyRain": "Lluvia fuerte",
+  "alerts.ruleName.heat": "Calor extremo",
+  "alerts.ruleName.snow": "Nieve",
+  "alerts.rule.storm": "Se esperan tormentas en {name} el {date}",
+  "alerts.rule.heavyRain": "Se espera lluvia fuerte en {name} el {date}",
+  "alerts.rule.heat": "Se espera calor extremo ({temp}) en {name} el {date}",
+  "alerts.rule.snow": "Se espera nieve en {name} el {date}",
+
+  "marker.color": "Color:",
+  "marker.glyph": "Símbolo:",
+  "marker.auto": "Automático",
+  "marker.dot": "Punto",
+  "marker.colorChoice": "Color {n}",
+
+  "shared.untitled": "Lista compartida",
+  "share.error.badLink": "Este enlace compartido está dañado o incompleto.",
+  "share.error.noDecompression": "Este navegador no puede abrir enlaces compartidos comprimidos.",
+  "import.error.unsupported": "Tipo de archivo no admitido.",
+  "import.error.invalidJson": "El archivo no es un JSON válido.",
+  "import.error.invalidXml": "El archivo no es un XML válido.",
+  "import.error.notAList": "Se esperaba una lista de lugares o { \"places\": [...] }.",
+  "import.error.emptyCsv": "El archivo CSV está vacío.",
+  "import.error.missingColumns": "El CSV necesita las columnas name, lat y lng.",
+  "import.error.notGeoJson": "Se esperaba una FeatureCollection de GeoJSON.",
+  "import.error.missingName": "Fila {row}: falta el nombre",
+  "import.error.invalidLatitude": "Fila {row}: «{name}» tiene una latitud no válida",
+  "import.error.invalidLongitude": "Fila {row}: «{name}» tiene una longitud no válida",
+  "data.exportSkipped": {
+    one: "{count} lugar no tiene ubicación y no se ha exportado: {names}",
+    other: "{count} lugares no tienen ubicación y no se han exportado: {names}",
+  },
+};
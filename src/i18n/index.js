@@ -0,0 +1,26 @@
+// String catalogue lookup. Each language is a flat map of dotted keys to
+// either a string or { one, other } plural forms; missing keys fall back to
+// English, then to `vars.fallback`, then to the key itself.
+
+import en from "./en";
+import es from "./es";
+
+export const LANGUAGES = {
+  en: { name: "English", locale: "en", messages: en },
+  es: { name: "Español", locale: "es", messages: es },
+};
+
+const pluralRules = new Map();
+const pluralOf = (locale, count) => {
+  if (!pluralRules.has(locale)) pluralRules.set(locale, new Intl.PluralRules(locale));
+  return pluralRules.get(locale).select(count);
+};
+
+export const translate = (language, key, vars = {}) => {
+  const { locale, messages } = LANGUAGES[language] || LANGUAGES.en;
+  let message = messages[key] ?? en[key] ?? vars.fallback ?? key;
+  if (typeof message === "object") {
+    message = message[pluralOf(locale, vars.count)] ?? message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+};
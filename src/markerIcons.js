@@ -0,0 +1,76 @@
+import L from "leaflet";
+import { today } from "./calendar";
+import { TAG_COLORS } from "./tags";
+
+// Map pins are SVGs drawn here, so they work offline and need no images.
+//
+// A pin has a colour and a glyph. By default both follow the place's state
+// (wishlist, planned or visited) and its first tag's colour; a place's
+// optional `marker: { color, glyph }` overrides either. When a custom glyph
+// hides the state, a small badge in the state's colour shows it instead.
+
+export const MARKER_STATES = {
+  wishlist: { color: "#e03131", glyph: "" },
+  planned: { color: "#f08c00", glyph: "📅" },
+  visited: { color: "#2f9e44", glyph: "✓" },
+};
+
+// Choices offered by the marker style picker; "" is a plain dot
+export const MARKER_COLORS = [...TAG_COLORS, "#495057"];
+export const MARKER_GLYPHS = ["", "✓", "📅", "⭐", "❤️", "🏖️", "⛰️", "🏛️", "🍴", "🏙️", "🌲", "🎒"];
+
+const isColor = (value) => typeof value === "string" && /^#[0-9a-f]{3,8}$/i.test(value);
+
+const escapeXml = (text) => text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+// Not visited yet with a planned visit still to come counts as planned
+export const markerState = (place, on = today()) => {
+  if (place.visited) return "visited";
+  return (place.plans || []).some((plan) => plan.end >= on) ? "planned" : "wishlist";
+};
+
+// The resolved look of a place's pin: { color, glyph, badge }
+export const markerStyle = (place, tagsById, on = today()) => {
+  const state = MARKER_STATES[markerState(place, on)];
+  const tag = place.tagIds?.length ? tagsById.get(place.tagIds[0]) : null;
+  const custom = place.marker || {};
+  const color = isColor(custom.color) ? custom.color : tag?.color || state.color;
+  const glyph = typeof custom.glyph === "string" ? custom.glyph : state.glyph;
+  return { color, glyph, badge: glyph === state.glyph ? null : state.color };
+};
+
+// SVG markup for a pin, 25x41 (larger and outlined when selected)
+export const pinSvg = ({ color, glyph, badge, selected = false }) => {
+  const width = selected ? 33 : 25;
+  const height = selected ? 54 : 41;
+  const centre = glyph
+    ? `<circle cx="12.5" cy="12.5" r="7.5" fill="white"/>
+       <text x="12.5" y="13" text-anchor="middle" dominant-baseline="central" font-size="10" font-weight="700" font-family="sans-serif" fill="${color}">${escapeXml(glyph)}</text>`
+    : `<circle cx="12.5" cy="12.5" r="4.5" fill="white"/>`;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="-1 -1 27 43" style="display:block;filter:drop-shadow(0 1px 2px rgba(0,0,0,0.4))">
+    <path d="M12.5 0C5.6 0 0 5.6 0 12.5 0 21.9 12.5 41 12.5 41S25 21.9 25 12.5C25 5.6 19.4 0 12.5 0z" fill="${color}" stroke="${selected ? "#1e3a8a" : "white"}" stroke-width="${selected ? 2.5 : 1.5}"/>
+    ${centre}
+    ${badge ? `<circle cx="21" cy="4" r="4.5" fill="${badge}" stroke="white" stroke-width="1.5"/>` : ""}
+  </svg>`;
+};
+
+// Leaflet icons, cached per look
+const icons = new Map();
+export const markerIcon = (style) => {
+  const key = JSON.stringify([style.color, style.glyph, style.badge, Boolean(style.selected)]);
+  if (!icons.has(key)) {
+    const [width, height] = style.selected ? [33, 54] : [25, 41];
+    icons.set(key, L.divIcon({
+      className: "",
+      html: pinSvg(style),
+      iconSize: [width, height],
+      iconAnchor: [width / 2, height],
+      popupAnchor: [1, -Math.round(height * 0.83)],
+    }));
+  }
+  return icons.get(key);
+};
+
+// Icon for a place, optionally in its selected state
+export const iconFor = (place, tagsById, { selected = false } = {}) =>
+  markerIcon({ ...markerStyle(place, tagsById), selected });
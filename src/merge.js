@@ -0,0 +1,160 @@
+// Change tracking and merging for the bucket list, so two tabs or devices
+// can edit it at the same time without overwriting each other.
+//
+// Every place and list carries an `updatedAt` timestamp and deletions leave
+// a tombstone in `store.deleted` ({ id: timestamp }). Merging goes place by
+// place: the newer version wins, and a place deleted after its last edit
+// stays deleted. List names, order and archiving follow the newer list;
+// tags, budget settings and the home place follow the newer store.
+// `activeListId` is per device and never taken from the other side.
+
+// Tombstones older than this are forgotten; a device that stays away longer
+// may bring deleted places back
+const TOMBSTONE_TTL_MS = 90 * 24 * 60 * 60 * 1000;
+
+// Store fields that are shared but not part of any list
+const SHARED_FIELDS = ["tags", "budget", "homePlaceId"];
+
+// null (never stamped) sorts before any timestamp
+const newer = (a, b) => (a || "") > (b || "");
+
+const placeLocations = (store) => {
+  const locations = new Map();
+  store.lists.forEach((list) => list.places.forEach((place) => locations.set(place.id, { place, listId: list.id })));
+  return locations;
+};
+
+const pruneTombstones = (deleted, now) => {
+  const cutoff = new Date(Date.parse(now) - TOMBSTONE_TTL_MS).toISOString();
+  return Object.fromEntries(Object.entries(deleted).filter(([, at]) => at > cutoff));
+};
+
+// Stamp what changed between two versions of the store: places that were
+// replaced, added or moved get a new updatedAt, lists whose name, archiving
+// or order changed too, and removed places and lists get tombstones. Unchanged
+// places and lists keep their object identity.
+export const stampChanges = (prev, next, now = new Date().toISOString()) => {
+  if (prev === next) return next;
+  const before = placeLocations(prev);
+  const deleted = { ...(next.deleted || {}) };
+
+  const lists = next.lists.map((list) => {
+    const old = prev.lists.find((other) => other.id === list.id);
+    if (old === list) {
+      list.places.forEach((place) => before.delete(place.id));
+      return list;
+    }
+
+    const places = list.places.map((place) => {
+      const was = before.get(place.id);
+      before.delete(place.id);
+      if (was && was.place === place && was.listId === list.id) return place;
+      delete deleted[place.id];
+      return { ...place, updatedAt: now };
+    });
+    const listChanged =
+      !old ||
+      old.name !== list.name ||
+      old.archived !== list.archived ||
+      old.places.length !== list.places.length ||
+      old.places.some((place, i) => place.id !== list.places[i].id);
+    if (!listChanged && places.every((place, i) => place === list.places[i])) return list;
+    if (!old) delete deleted[list.id];
+    return { ...list, places, updatedAt: listChanged ? now : list.updatedAt ?? null };
+  });
+
+  // Whatever is left wasn't found in any list any more
+  before.forEach((_, id) => {
+    deleted[id] = now;
+  });
+  prev.lists
+    .filter((list) => !next.lists.some((other) => other.id === list.id))
+    .forEach((list) => {
+      deleted[list.id] = now;
+    });
+
+  const sharedChanged = SHARED_FIELDS.some((field) => prev[field] !== next[field]);
+  return {
+    ...next,
+    lists,
+    deleted: pruneTombstones(deleted, now),
+    updatedAt: sharedChanged ? now : next.updatedAt ?? null,
+  };
+};
+
+// Pick between two versions of the same record. Equal timestamps fall back
+// to comparing contents so both sides make the same choice.
+const pickNewer = (local, remote) => {
+  if (!remote) return local;
+  if (!local) return remote;
+  if (newer(remote.updatedAt, local.updatedAt)) return remote;
+  if (newer(local.updatedAt, remote.updatedAt)) return local;
+  const a = JSON.stringify(local);
+  const b = JSON.stringify(remote);
+  return b > a ? remote : local;
+};
+
+const sameTombstones = (a, b) =>
+  Object.keys(a).length === Object.keys(b).length && Object.entries(a).every(([id, at]) => b[id] === at);
+
+// Merge `remote` into `local`. Returns `local` itself when the remote copy
+// has nothing it doesn't already have, so callers can skip saving.
+export const mergeStores = (local, remote) => {
+  const deleted = { ...(remote.deleted || {}) };
+  Object.entries(local.deleted || {}).forEach(([id, at]) => {
+    if (newer(at, deleted[id])) deleted[id] = at;
+  });
+  const alive = (record) => !deleted[record.id] || newer(record.updatedAt, deleted[record.id]);
+
+  // Winning version and list of every place either side knows
+  const localPlaces = placeLocations(local);
+  const remotePlaces = placeLocations(remote);
+  const winners = new Map();
+  new Set([...localPlaces.keys(), ...remotePlaces.keys()]).forEach((id) => {
+    const mine = localPlaces.get(id);
+    const theirs = remotePlaces.get(id);
+    const place = pickNewer(mine?.place, theirs?.place);
+    if (!alive(place)) return;
+    winners.set(id, place === mine?.place ? mine : theirs);
+  });
+
+  const localLists = new Map(local.lists.map((list) => [list.id, list]));
+  const remoteLists = new Map(remote.lists.map((list) => [list.id, list]));
+  const listIds = [...local.lists.map((list) => list.id), ...remote.lists.map((list) => list.id).filter((id) => !localLists.has(id))];
+
+  const lists = listIds
+    .map((id) => {
+      const mine = localLists.get(id);
+      const theirs = remoteLists.get(id);
+      const list = pickNewer(mine, theirs);
+      const other = list === mine ? theirs : mine;
+      const belongs = (place) => winners.get(place.id)?.listId === id;
+      // The newer list's order first, then places only the other side has here
+      const order = [...list.places, ...(other?.places || [])].filter(belongs).map((place) => place.id);
+      const places = [...new Set(order)].map((placeId) => winners.get(placeId).place);
+      const hasPlaces = places.length > 0;
+      if (!alive(list) && !hasPlaces) return null;
+      if (mine && list === mine && places.length === mine.places.length && places.every((place, i) => place === mine.places[i])) {
+        return mine;
+      }
+      return { ...list, places };
+    })
+    .filter(Boolean);
+
+  const source = newer(remote.updatedAt, local.updatedAt) ? remote : local;
+  const unchanged =
+    source === local &&
+    lists.length === local.lists.length &&
+    lists.every((list, i) => list === local.lists[i]) &&
+    sameTombstones(deleted, local.deleted || {});
+  if (unchanged) return local;
+
+  return {
+    ...local,
+    ...Object.fromEntries(SHARED_FIELDS.map((field) => [field, source[field]])),
+    updatedAt: source.updatedAt ?? null,
+    lists,
+    deleted,
+    activeListId: lists.some((list) => list.id === local.activeListId) ? local.activeListId : lists[0]?.id,
+  };
+};
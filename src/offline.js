@@ -0,0 +1,67 @@
+import { hasCoords } from "./placeStore";
+
+// Map tiles, shared by every map so the service worker can cache them
+export const TILE_URL = "https://{s}.basemaps.cartocdn.com/rastertiles/voyager/{z}/{x}/{y}{r}.png";
+export const TILE_ATTRIBUTION =
+  '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>';
+
+// Zoom levels and distance around each place kept for offline use
+const OFFLINE_MIN_ZOOM = 3;
+const OFFLINE_MAX_ZOOM = 13;
+const OFFLINE_RADIUS_KM = 8;
+
+// Only in production builds: the worker is generated by the build
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch((error) => {
+      console.error("Service worker registration failed:", error);
+    });
+  });
+};
+
+const tileX = (lng, zoom) => Math.floor(((lng + 180) / 360) * 2 ** zoom);
+const tileY = (lat, zoom) => {
+  const rad = (lat * Math.PI) / 180;
+  return Math.floor(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * 2 ** zoom);
+};
+
+// Tile URLs covering OFFLINE_RADIUS_KM around each place at every offline zoom
+export const tileUrlsAround = (places, retina = window.devicePixelRatio > 1) => {
+  const urls = new Set();
+  const suffix = retina ? "@2x" : "";
+  places.filter(hasCoords).forEach(({ lat, lng }) => {
+    const dLat = OFFLINE_RADIUS_KM / 111;
+    const dLng = OFFLINE_RADIUS_KM / (111 * Math.max(Math.cos((lat * Math.PI) / 180), 0.01));
+    const north = Math.min(lat + dLat, 85);
+    const south = Math.max(lat - dLat, -85);
+    for (let zoom = OFFLINE_MIN_ZOOM; zoom <= OFFLINE_MAX_ZOOM; zoom++) {
+      const max = 2 ** zoom - 1;
+      const [x0, x1] = [Math.max(0, tileX(lng - dLng, zoom)), Math.min(max, tileX(lng + dLng, zoom))];
+      const [y0, y1] = [Math.max(0, tileY(north, zoom)), Math.min(max, tileY(south, zoom))];
+      for (let x = x0; x <= x1; x++) {
+        for (let y = y0; y <= y1; y++) {
+          urls.add(
+            TILE_URL.replace("{s}", "a").replace("{z}", zoom).replace("{x}", x).replace("{y}", y).replace("{r}", suffix)
+          );
+        }
+      }
+    }
+  });
+  return [...urls];
+};
+
+// Ask the service worker to download tiles around the places. Resolves to
+// { added, full }, or null when no worker controls the page.
+export const cacheTilesAround = async (places) => {
+  if (!("serviceWorker" in navigator) || !navigator.serviceWorker.controller) return null;
+  const urls = tileUrlsAround(places);
+  if (!urls.length) return { added: 0, full: false };
+
+  const channel = new MessageChannel();
+  const reply = new Promise((resolve) => {
+    channel.port1.onmessage = (event) => resolve(event.data);
+  });
+  navigator.serviceWorker.controller.postMessage({ type: "cache-tiles", urls }, [channel.port2]);
+  return reply;
+};
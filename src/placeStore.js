@@ -0,0 +1,267 @@
+// Persistent store for the bucket list.
+//
+// Everything is kept under a single localStorage key as
+// { version, activeListId, homePlaceId, tags, budget, updatedAt, deleted,
+//   lists: [{ id, name, archived, updatedAt, places }] } so one
+// mutation touches one array. `updatedAt` and `deleted` drive syncing
+// between tabs and devices (see merge.js). Older builds kept four parallel arrays
+// ("places", "coords", "visited", "weather"); those are folded into records
+// the first time we load.
+
+export const STORE_KEY = "bucketList";
+export const SCHEMA_VERSION = 9;
+export const DEFAULT_LIST_NAME = "My Bucket List";
+// Home currency and exchange rates for trip budgets (see budget.js)
+export const DEFAULT_BUDGET_SETTINGS = { homeCurrency: "USD", rates: {} };
+
+const LEGACY_KEYS = ["places", "coords", "visited", "weather"];
+
+// Stable unique id for a place record
+export const createId = () => {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+// Keep the parts of a geocoding result worth holding on to
+export const geocodeFromResult = (result) => {
+  if (!result) return null;
+  return {
+    displayName: result.displayName || "",
+    osmId: result.osmId ?? null,
+    osmType: result.osmType || null,
+    country: result.country || null,
+    countryCode: result.countryCode || null,
+  };
+};
+
+// Build a new place record
+export const createPlace = ({ name, lat, lng, geocode = null, visited = false, tagIds = [] }) => ({
+  id: createId(),
+  name,
+  lat,
+  lng,
+  visited,
+  geocode,
+  tagIds,
+  notes: "",
+  rating: 0,
+  visitedDate: null,
+  journal: [],
+  subStops: [],
+  budget: [],
+  plans: [],
+  addedAt: new Date().toISOString(),
+  updatedAt: null,
+});
+
+// A nearby point of interest saved under a place
+export const createSubStop = ({ name, kind, lat, lng, osmRef = null }) => ({
+  id: createId(),
+  name,
+  kind,
+  lat,
+  lng,
+  osmRef,
+});
+
+// Same place under a new id, e.g. when copying it to another list
+export const copyPlace = (place) => ({ ...place, id: createId() });
+
+// Build a new named list
+export const createList = ({ name, places = [] }) => ({
+  id: createId(),
+  name,
+  archived: false,
+  createdAt: new Date().toISOString(),
+  updatedAt: null,
+  places,
+});
+
+// Apply fn to one list, leaving the others untouched
+export const updateList = (store, listId, fn) => ({
+  ...store,
+  lists: store.lists.map((list) => (list.id === listId ? fn(list) : list)),
+});
+
+export const getActiveList = (store) =>
+  store.lists.find((list) => list.id === store.activeListId) || store.lists[0];
+
+export const hasCoords = (place) =>
+  Number.isFinite(place.lat) && Number.isFinite(place.lng);
+
+const readJSON = (key) => {
+  try {
+    const saved = localStorage.getItem(key);
+    return saved ? JSON.parse(saved) : null;
+  } catch (error) {
+    console.error(`Could not read "${key}" from storage:`, error);
+    return null;
+  }
+};
+
+// Zip the four legacy arrays into place records
+const migrateLegacy = () => {
+  const names = readJSON("places");
+  if (!Array.isArray(names)) return null;
+
+  const coords = readJSON("coords") || [];
+  const visited = readJSON("visited") || [];
+
+  return names.map((name, i) =>
+    createPlace({
+      name: String(name),
+      lat: coords[i]?.lat ?? null,
+      lng: coords[i]?.lng ?? null,
+      visited: Boolean(visited[i]),
+    })
+  );
+};
+
+// Bring a stored document up to SCHEMA_VERSION, one step at a time. Also
+// used for copies that come from another tab or a sync server.
+export const upgradeStore = (store) => {
+  let current = store;
+  // v1 had a single global list
+  if (current.version === 1) {
+    const list = createList({ name: DEFAULT_LIST_NAME, places: current.places || [] });
+    current = { version: 2, activeListId: list.id, lists: [list] };
+  }
+  // v3 added shared tags and per-place tagIds
+  if (current.version === 2) {
+    current = {
+      ...current,
+      version: 3,
+      tags: [],
+      lists: current.lists.map((list) => ({
+        ...list,
+        places: list.places.map((place) => ({ ...place, tagIds: place.tagIds || [] })),
+      })),
+    };
+  }
+  // v4 added notes, rating, visit date and a dated journal
+  if (current.version === 3) {
+    current = {
+      ...current,
+      version: 4,
+      lists: current.lists.map((list) => ({
+        ...list,
+        places: list.places.map((place) => ({
+          notes: "",
+          rating: 0,
+          visitedDate: null,
+          journal: [],
+          ...place,
+        })),
+      })),
+    };
+  }
+  // v5 moved weather into its own timestamped cache (see weather.js); the
+  // old untimestamped readings are dropped and fetched again
+  if (current.version === 4) {
+    current = {
+      ...current,
+      version: 5,
+      lists: current.lists.map((list) => ({
+        ...list,
+        places: list.places.map((place) => {
+          const next = { ...place };
+          delete next.weather;
+          return next;
+        }),
+      })),
+    };
+  }
+  // v6 added sub-stops: points of interest saved under a place
+  if (current.version === 5) {
+    current = {
+      ...current,
+      version: 6,
+      lists: current.lists.map((list) => ({
+        ...list,
+        places: list.places.map((place) => ({ subStops: [], ...place })),
+      })),
+    };
+  }
+  // v7 added budget line items per place and budget settings per store
+  if (current.version === 6) {
+    current = {
+      ...current,
+      version: 7,
+      budget: DEFAULT_BUDGET_SETTINGS,
+      lists: current.lists.map((list) => ({
+        ...list,
+        places: list.places.map((place) => ({ budget: [], ...place })),
+      })),
+    };
+  }
+  // v8 added planned date ranges (see calendar.js)
+  if (current.version === 7) {
+    current = {
+      ...current,
+      version: 8,
+      lists: current.lists.map((list) => ({
+        ...list,
+        places: list.places.map((place) => ({ plans: [], ...place })),
+      })),
+    };
+  }
+  // v9 added change timestamps and deletion tombstones for syncing; existing
+  // records count as last changed when they were created
+  if (current.version === 8) {
+    current = {
+      ...current,
+      version: 9,
+      updatedAt: null,
+      deleted: {},
+      lists: current.lists.map((list) => ({
+        updatedAt: list.createdAt || null,
+        ...list,
+        places: list.places.map((place) => ({ updatedAt: place.addedAt || null, ...place })),
+      })),
+    };
+  }
+  if (current.version > SCHEMA_VERSION) {
+    console.warn("Stored bucket list is newer than this app, loading as-is");
+  }
+  return current;
+};
+
+export const loadStore = () => {
+  const stored = readJSON(STORE_KEY);
+  if (stored && (Array.isArray(stored.lists) || Array.isArray(stored.places))) {
+    return upgradeStore(stored);
+  }
+
+  const migrated = migrateLegacy();
+  if (migrated) {
+    const store = upgradeStore({ version: 1, places: migrated });
+    // Only drop the old keys once the new document is safely written
+    if (saveStore(store)) {
+      LEGACY_KEYS.forEach((key) => localStorage.removeItem(key));
+    }
+    return store;
+  }
+
+  const list = createList({ name: DEFAULT_LIST_NAME });
+  return {
+    version: SCHEMA_VERSION,
+    activeListId: list.id,
+    tags: [],
+    budget: DEFAULT_BUDGET_SETTINGS,
+    updatedAt: null,
+    deleted: {},
+    lists: [list],
+  };
+};
+
+export const saveStore = (store) => {
+  try {
+    localStorage.setItem(STORE_KEY, JSON.stringify(store));
+    return true;
+  } catch (error) {
+    console.error("Could not save bucket list:", error);
+    return false;
+  }
+};
@@ -0,0 +1,101 @@
+// Short visiting order over a set of places: nearest-neighbour to get a
+// reasonable path, then 2-opt to untangle crossings. The path is open (no
+// return leg) and the start and/or end can be pinned.
+
+import { distanceKm } from "./geo";
+
+// Try every starting point when there are few enough places to afford it
+const MAX_FREE_STARTS = 60;
+
+const pathLength = (order, dist) => {
+  let total = 0;
+  for (let i = 1; i < order.length; i++) total += dist[order[i - 1]][order[i]];
+  return total;
+};
+
+const nearestNeighbour = (n, dist, start, end) => {
+  const order = [start];
+  const used = new Set(order);
+  if (end !== null) used.add(end);
+
+  while (order.length < n - (end !== null ? 1 : 0)) {
+    const last = order[order.length - 1];
+    let best = -1;
+    for (let j = 0; j < n; j++) {
+      if (!used.has(j) && (best === -1 || dist[last][j] < dist[last][best])) best = j;
+    }
+    order.push(best);
+    used.add(best);
+  }
+  if (end !== null && end !== start) order.push(end);
+  return order;
+};
+
+// Reverse segments while that shortens the path; pinned ends stay put
+const twoOpt = (order, dist, fixStart, fixEnd) => {
+  const n = order.length;
+  const first = fixStart ? 1 : 0;
+  const last = fixEnd ? n - 2 : n - 1;
+  let improved = true;
+
+  while (improved) {
+    improved = false;
+    for (let i = first; i < last; i++) {
+      for (let k = i + 1; k <= last; k++) {
+        const a = i > 0 ? order[i - 1] : null;
+        const b = order[i];
+        const c = order[k];
+        const d = k < n - 1 ? order[k + 1] : null;
+
+        const before = (a !== null ? dist[a][b] : 0) + (d !== null ? dist[c][d] : 0);
+        const after = (a !== null ? dist[a][c] : 0) + (d !== null ? dist[b][d] : 0);
+        if (after < before - 1e-9) {
+          for (let x = i, y = k; x < y; x++, y--) [order[x], order[y]] = [order[y], order[x]];
+          improved = true;
+        }
+      }
+    }
+  }
+  return order;
+};
+
+// places: [{ id, lat, lng }]. Returns { ids, legs: [km], total } with
+// legs[i] the distance from ids[i] to ids[i + 1].
+export const planRoute = (places, { startId = null, endId = null } = {}) => {
+  const n = places.length;
+  if (n === 0) return { ids: [], legs: [], total: 0 };
+  // Nothing to order, and a pinned end would leave no free place to start from
+  if (n === 1) return { ids: [places[0].id], legs: [], total: 0 };
+
+  const dist = places.map((a) => places.map((b) => distanceKm(a, b)));
+  const indexOf = (id) => {
+    const i = places.findIndex((place) => place.id === id);
+    return i === -1 ? null : i;
+  };
+  const start = startId ? indexOf(startId) : null;
+  let end = endId ? indexOf(endId) : null;
+  if (end === start) end = null;
+
+  const starts = start !== null
+    ? [start]
+    : places.map((_, i) => i).filter((i) => i !== end).slice(0, n <= MAX_FREE_STARTS ? n : 1);
+
+  let best = null;
+  for (const s of starts) {
+    const order = twoOpt(nearestNeighbour(n, dist, s, end), dist, start !== null, end !== null);
+    const length = pathLength(order, dist);
+    if (!best || length < best.length) best = { order, length };
+  }
+
+  const legs = best.order.slice(1).map((j, i) => dist[best.order[i]][j]);
+  return { ids: best.order.map((i) => places[i].id), legs, total: best.length };
+};
+
+// Put the routed places into route order, in the slots they already occupy,
+// leaving every other place where it is
+export const applyRouteOrder = (allPlaces, routeIds) => {
+  const inRoute = new Set(routeIds);
+  const byId = new Map(allPlaces.map((place) => [place.id, place]));
+  let next = 0;
+  return allPlaces.map((place) => (inRoute.has(place.id) ? byId.get(routeIds[next++]) : place));
+};
@@ -0,0 +1,43 @@
+import { describe, it, expect } from "vitest";
+import { applyRouteOrder, planRoute } from "./route";
+
+const lisbon = { id: "lis", lat: 38.72, lng: -9.14 };
+const madrid = { id: "mad", lat: 40.42, lng: -3.7 };
+const paris = { id: "par", lat: 48.86, lng: 2.35 };
+const berlin = { id: "ber", lat: 52.52, lng: 13.4 };
+
+describe("planRoute", () => {
+  it("handles no places", () => {
+    expect(planRoute([])).toEqual({ ids: [], legs: [], total: 0 });
+  });
+
+  it("returns a single place as is, whatever is pinned", () => {
+    const single = { ids: ["lis"], legs: [], total: 0 };
+    expect(planRoute([lisbon])).toEqual(single);
+    expect(planRoute([lisbon], { startId: "lis" })).toEqual(single);
+    expect(planRoute([lisbon], { endId: "lis" })).toEqual(single);
+    expect(planRoute([lisbon], { startId: "lis", endId: "lis" })).toEqual(single);
+  });
+
+  it("orders two places around a pinned start or end", () => {
+    expect(planRoute([lisbon, madrid], { startId: "mad" }).ids).toEqual(["mad", "lis"]);
+    expect(planRoute([lisbon, madrid], { endId: "lis" }).ids).toEqual(["mad", "lis"]);
+    expect(planRoute([lisbon, madrid], { startId: "lis", endId: "mad" }).ids).toEqual(["lis", "mad"]);
+
+    const route = planRoute([lisbon, madrid], { endId: "mad" });
+    expect(route.legs).toHaveLength(1);
+    expect(route.total).toBeCloseTo(route.legs[0]);
+  });
+
+  it("finds the straight path across several places", () => {
+    expect(planRoute([paris, lisbon, berlin, madrid], { startId: "lis" }).ids).toEqual(["lis", "mad", "par", "ber"]);
+    expect(planRoute([paris, lisbon, berlin, madrid], { endId: "lis" }).ids).toEqual(["ber", "par", "mad", "lis"]);
+  });
+});
+
+describe("applyRouteOrder", () => {
+  it("reorders only the routed places, in the slots they take up", () => {
+    const all = [paris, { id: "x" }, lisbon, madrid];
+    expect(applyRouteOrder(all, ["lis", "mad", "par"]).map((place) => place.id)).toEqual(["lis", "x", "mad", "par"]);
+  });
+});
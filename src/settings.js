@@ -0,0 +1,95 @@
+// Per-device preferences: units, date format, map defaults and language.
+// Kept apart from the bucket list itself, like the weather cache.
+
+import { LANGUAGES, translate } from "./i18n";
+import { formatDistance } from "./geo";
+import { formatMoney } from "./budget";
+import { formatRange } from "./calendar";
+import { formatAge } from "./weather";
+import { DEFAULT_CLIMATE_PREFS } from "./climate";
+
+export const SETTINGS_KEY = "settings";
+
+const browserLanguage = () => {
+  const code = (navigator.language || "en").slice(0, 2).toLowerCase();
+  return code in LANGUAGES ? code : "en";
+};
+
+export const DEFAULT_SETTINGS = {
+  language: browserLanguage(),
+  temperatureUnit: "C",
+  distanceUnit: "km",
+  // "locale" follows the language; the others are fixed patterns
+  dateFormat: "locale",
+  mapZoom: 4,
+  // { lat, lng, name } to centre the map on, or null for the first place
+  mapHome: null,
+  // Sync server address (see server/sync-server.js), or "" to keep the
+  // lists on this device only
+  syncUrl: "",
+  // What counts as a good month to go (see climate.js)
+  climatePrefs: DEFAULT_CLIMATE_PREFS,
+};
+
+export const DATE_FORMATS = ["locale", "iso", "dmy", "mdy"];
+
+export const loadSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    return saved ? { ...DEFAULT_SETTINGS, ...saved } : DEFAULT_SETTINGS;
+  } catch {
+    return DEFAULT_SETTINGS;
+  }
+};
+
+export const saveSettings = (settings) => {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.error("Could not save settings:", error);
+  }
+};
+
+// Translation and locale-aware formatting for the given settings
+export const createI18n = (settings) => {
+  const { locale } = LANGUAGES[settings.language] || LANGUAGES.en;
+  const toUnit = (celsius) =>
+    Math.round(settings.temperatureUnit === "F" ? (celsius * 9) / 5 + 32 : celsius);
+  const number = (value, options) => new Intl.NumberFormat(locale, options).format(value);
+
+  const date = (iso, options = { day: "numeric", month: "short", year: "numeric" }) => {
+    if (!iso) return "";
+    const [y, m, d] = iso.slice(0, 10).split("-");
+    switch (settings.dateFormat) {
+      case "iso":
+        return `${y}-${m}-${d}`;
+      case "dmy":
+        return `${d}/${m}/${y}`;
+      case "mdy":
+        return `${m}/${d}/${y}`;
+      default:
+        return new Date(`${y}-${m}-${d}T00:00:00`).toLocaleDateString(locale, options);
+    }
+  };
+
+  return {
+    settings,
+    locale,
+    t: (key, vars) => translate(settings.language, key, vars),
+    format: {
+      number,
+      date,
+      range: (plan) => formatRange(plan, date),
+      dateTime: (timestamp) => new Date(timestamp).toLocaleString(locale),
+      weekday: (iso) => new Date(`${iso}T00:00:00`).toLocaleDateString(locale, { weekday: "short" }),
+      month: (iso, options = { month: "long", year: "numeric" }) =>
+        new Date(`${iso.slice(0, 7)}-01T00:00:00`).toLocaleDateString(locale, options),
+      age: (fetchedAt, now) => formatAge(fetchedAt, now, locale),
+      // Celsius in, the chosen unit out: "21°C", or just "21°" for degrees()
+      temp: (celsius) => `${toUnit(celsius)}°${settings.temperatureUnit}`,
+      degrees: (celsius) => `${toUnit(celsius)}°`,
+      distance: (km) => formatDistance(km, { unit: settings.distanceUnit, locale }),
+      money: (amount, currency) => formatMoney(amount, currency, locale),
+    },
+  };
+};
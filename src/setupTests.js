@@ -0,0 +1,17 @@
+import { afterEach, expect } from "vitest";
+import { cleanup } from "@testing-library/react";
+import { toHaveNoViolations } from "jest-axe";
+
+expect.extend(toHaveNoViolations);
+
+afterEach(cleanup);
+
+// jsdom doesn't lay anything out, so offsetParent is always null. Count
+// attached elements as visible so useDialog can find what to focus.
+if (typeof HTMLElement !== "undefined") {
+  Object.defineProperty(HTMLElement.prototype, "offsetParent", {
+    get() {
+      return this.parentNode;
+    },
+  });
+}
@@ -0,0 +1,118 @@
+import { createPlace, hasCoords } from "./placeStore";
+
+// Shared lists travel in the URL fragment, so they never reach a server:
+// #share=<format><base64url payload>. "z" payloads are deflated, "j" plain
+// JSON for browsers without CompressionStream.
+const SHARE_PARAM = "share";
+const SHARE_VERSION = 1;
+
+// decodeList() throws ShareError; its `type` picks the translated message
+// (share.error.<type>) and `message` is the English fallback
+export const SHARE_ERRORS = {
+  BAD_LINK: "badLink",
+  NO_DECOMPRESSION: "noDecompression",
+};
+
+export class ShareError extends Error {
+  constructor(type, message) {
+    super(message);
+    this.name = "ShareError";
+    this.type = type;
+  }
+}
+
+const badLink = () => new ShareError(SHARE_ERRORS.BAD_LINK, "This share link is damaged or incomplete.");
+
+const toBase64Url = (bytes) => {
+  let binary = "";
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+};
+
+const pipeThrough = async (bytes, stream) =>
+  new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+const canCompress = () => typeof CompressionStream === "function" && typeof DecompressionStream === "function";
+
+// Just what a friend needs: name, coordinates (~1 m precision) and visited
+const pack = (list) => ({
+  v: SHARE_VERSION,
+  n: list.name,
+  p: list.places.map((place) => [
+    place.name,
+    hasCoords(place) ? Math.round(place.lat * 1e5) / 1e5 : null,
+    hasCoords(place) ? Math.round(place.lng * 1e5) / 1e5 : null,
+    place.visited ? 1 : 0,
+  ]),
+});
+
+const unpack = (data) => {
+  if (!data || data.v !== SHARE_VERSION || !Array.isArray(data.p)) {
+    throw badLink();
+  }
+  return {
+    // null when the sender's list had no name; shown as shared.untitled
+    name: typeof data.n === "string" && data.n.trim() ? data.n : null,
+    places: data.p
+      .filter((row) => Array.isArray(row) && typeof row[0] === "string" && row[0].trim())
+      .map(([name, lat, lng, visited]) =>
+        createPlace({
+          name,
+          lat: Number.isFinite(lat) ? lat : null,
+          lng: Number.isFinite(lng) ? lng : null,
+          visited: visited === 1,
+        })
+      ),
+  };
+};
+
+export const encodeList = async (list) => {
+  const bytes = new TextEncoder().encode(JSON.stringify(pack(list)));
+  if (canCompress()) {
+    return `z${toBase64Url(await pipeThrough(bytes, new CompressionStream("deflate-raw")))}`;
+  }
+  return `j${toBase64Url(bytes)}`;
+};
+
+export const decodeList = async (encoded) => {
+  const format = encoded[0];
+  if (format === "z" && !canCompress()) {
+    throw new ShareError(SHARE_ERRORS.NO_DECOMPRESSION, "This browser can't open compressed share links.");
+  }
+  if (format !== "z" && format !== "j") throw badLink();
+
+  let data;
+  try {
+    let bytes = fromBase64Url(encoded.slice(1));
+    if (format === "z") bytes = await pipeThrough(bytes, new DecompressionStream("deflate-raw"));
+    data = JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    throw badLink();
+  }
+  return unpack(data);
+};
+
+// Encoded list from a location hash, or null when it isn't a share link
+export const sharedFromHash = (hash) => {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  return params.get(SHARE_PARAM) || null;
+};
+
+// Full link to the app root, honouring the deploy base path
+export const shareUrl = async (list) => {
+  const url = new URL(import.meta.env.BASE_URL, window.location.origin);
+  url.hash = `${SHARE_PARAM}=${await encodeList(list)}`;
+  return url.toString();
+};
+
+// Drop the share fragment without adding a history entry
+export const clearShareHash = () => {
+  window.history.replaceState(null, "", window.location.pathname + window.location.search);
+};
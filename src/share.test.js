@@ -0,0 +1,51 @@
+// @vitest-environment node
+// (jsdom's Blob has no stream(), which compressed links need)
+import { describe, it, expect } from "vitest";
+import { SHARE_ERRORS, ShareError, decodeList, encodeList } from "./share";
+import { translate } from "./i18n";
+
+const list = {
+  name: "Japan",
+  places: [
+    { name: "Kyoto", lat: 35.0116, lng: 135.7681, visited: true },
+    { name: "Nara", lat: null, lng: null, visited: false },
+  ],
+};
+
+const decodeError = async (encoded) => {
+  try {
+    await decodeList(encoded);
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
+
+describe("share links", () => {
+  it("round-trips names, coordinates and visited state", async () => {
+    const decoded = await decodeList(await encodeList(list));
+    expect(decoded.name).toBe("Japan");
+    expect(decoded.places.map(({ name, lat, lng, visited }) => ({ name, lat, lng, visited }))).toEqual(list.places);
+  });
+
+  it("leaves an unnamed list's name to the UI", async () => {
+    const decoded = await decodeList(await encodeList({ ...list, name: "  " }));
+    expect(decoded.name).toBeNull();
+  });
+
+  it("throws a typed error for damaged links", async () => {
+    for (const encoded of ["x123", "j!!!", `j${btoa("not json")}`, `j${btoa(JSON.stringify({ v: 99 }))}`]) {
+      const error = await decodeError(encoded);
+      expect(error).toBeInstanceOf(ShareError);
+      expect(error.type).toBe(SHARE_ERRORS.BAD_LINK);
+    }
+  });
+
+  it("has a translation for every error type", () => {
+    Object.values(SHARE_ERRORS).forEach((type) => {
+      const key = `share.error.${type}`;
+      expect(translate("en", key)).not.toBe(key);
+      expect(translate("es", key)).not.toBe(translate("en", key));
+    });
+  });
+});
@@ -0,0 +1,46 @@
+// Sort views over a list. They never touch the stored order, which stays
+// the manual (drag-and-drop) order and is what "My order" shows.
+
+import { distanceKm } from "./geo";
+import { hasCoords } from "./placeStore";
+
+export const MANUAL_SORT = "manual";
+
+// Labels are the "sort.<id>" strings
+export const SORT_OPTIONS = [MANUAL_SORT, "name", "added", "country", "temperature", "nearMe", "home"];
+
+// Value to sort each place by, or null when it has none
+const sortValue = (sort, place, { weatherById, myLocation, home }) => {
+  switch (sort) {
+    case "name":
+      return place.name.toLowerCase();
+    case "added":
+      return place.addedAt || null;
+    case "country":
+      return place.geocode?.country?.toLowerCase() || null;
+    case "temperature":
+      return weatherById[place.id]?.temp ?? null;
+    case "nearMe":
+      return myLocation && hasCoords(place) ? distanceKm(myLocation, place) : null;
+    case "home":
+      return home && hasCoords(home) && hasCoords(place) ? distanceKm(home, place) : null;
+    default:
+      return null;
+  }
+};
+
+// A sorted copy of `places`. Places without a value (no weather yet, no
+// coordinates, ...) always come last, in their manual order; ties keep the
+// manual order too.
+export const sortPlaces = (places, { sort, descending = false }, context) => {
+  if (sort === MANUAL_SORT) return places;
+  const keyed = places.map((place, index) => ({ place, index, value: sortValue(sort, place, context) }));
+  keyed.sort((a, b) => {
+    if (a.value === null || b.value === null) {
+      return a.value === b.value ? a.index - b.index : a.value === null ? 1 : -1;
+    }
+    const order = typeof a.value === "string" ? a.value.localeCompare(b.value) : a.value - b.value;
+    return (descending ? -order : order) || a.index - b.index;
+  });
+  return keyed.map(({ place }) => place);
+};
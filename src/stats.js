@@ -0,0 +1,104 @@
+// Progress numbers for the stats dashboard, computed from place records.
+
+import { distanceKm } from "./geo";
+import { hasCoords } from "./placeStore";
+import { CONTINENT_BY_COUNTRY, CONTINENTS } from "./data/continents";
+
+// Show at most this many months in the visit timeline
+const TIMELINE_MONTHS = 24;
+
+const monthKey = (date) => date.slice(0, 7);
+
+// Consecutive "YYYY-MM" keys from first to last, inclusive
+const monthRange = (first, last) => {
+  const keys = [];
+  let [y, m] = first.split("-").map(Number);
+  const [ly, lm] = last.split("-").map(Number);
+  while (y < ly || (y === ly && m <= lm)) {
+    keys.push(`${y}-${String(m).padStart(2, "0")}`);
+    m += 1;
+    if (m > 12) {
+      m = 1;
+      y += 1;
+    }
+  }
+  return keys;
+};
+
+export const computeStats = (places, { home = null } = {}) => {
+  const visited = places.filter((place) => place.visited);
+
+  // Countries, from the geocoder's country code
+  const countries = new Map();
+  let unknownCountry = 0;
+  places.forEach((place) => {
+    const code = place.geocode?.countryCode;
+    if (!code) {
+      unknownCountry += 1;
+      return;
+    }
+    const entry = countries.get(code) || { code, name: place.geocode.country || code, total: 0, visited: 0 };
+    entry.total += 1;
+    if (place.visited) entry.visited += 1;
+    countries.set(code, entry);
+  });
+  const countryList = [...countries.values()].sort((a, b) => b.visited - a.visited || b.total - a.total);
+
+  const continents = CONTINENTS.map((name) => {
+    const inContinent = countryList.filter((c) => CONTINENT_BY_COUNTRY[c.code] === name);
+    return {
+      name,
+      listed: inContinent.length,
+      visited: inContinent.filter((c) => c.visited > 0).length,
+    };
+  }).filter((c) => c.listed > 0);
+
+  // Farthest places from home
+  const farthest = home && hasCoords(home)
+    ? places
+        .filter((place) => place.id !== home.id && hasCoords(place))
+        .map((place) => ({ place, km: distanceKm(home, place) }))
+        .sort((a, b) => b.km - a.km)
+        .slice(0, 5)
+    : [];
+
+  // Distance covered hopping between visited places in the order visited
+  const dated = visited
+    .filter((place) => place.visitedDate && hasCoords(place))
+    .sort((a, b) => a.visitedDate.localeCompare(b.visitedDate));
+  const travelledKm = dated.slice(1).reduce((sum, place, i) => sum + distanceKm(dated[i], place), 0);
+
+  // Visits per month and per year
+  const perMonth = new Map();
+  dated.forEach((place) => {
+    const key = monthKey(place.visitedDate);
+    perMonth.set(key, (perMonth.get(key) || 0) + 1);
+  });
+  const months = dated.length
+    ? monthRange(monthKey(dated[0].visitedDate), monthKey(dated[dated.length - 1].visitedDate))
+        .slice(-TIMELINE_MONTHS)
+        .map((key) => ({ key, count: perMonth.get(key) || 0 }))
+    : [];
+  const perYear = new Map();
+  dated.forEach((place) => {
+    const year = place.visitedDate.slice(0, 4);
+    perYear.set(year, (perYear.get(year) || 0) + 1);
+  });
+  const years = [...perYear.entries()].sort().map(([key, count]) => ({ key, count }));
+
+  return {
+    total: places.length,
+    visited: visited.length,
+    remaining: places.length - visited.length,
+    percent: places.length ? Math.round((visited.length / places.length) * 100) : 0,
+    countries: countryList,
+    countriesVisited: countryList.filter((c) => c.visited > 0).length,
+    continents,
+    unknownCountry,
+    farthest,
+    travelledKm,
+    datedVisits: dated.length,
+    months,
+    years,
+  };
+};
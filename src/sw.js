@@ -0,0 +1,139 @@
+/* global PRECACHE_FILES, CACHE_VERSION */
+// Service worker template. The build prepends PRECACHE_FILES (the app shell,
+// relative to the base path) and CACHE_VERSION; see precacheManifest in
+// vite.config.js. It is not part of the app bundle.
+
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const TILE_CACHE = "map-tiles";
+// Held marker images back when they came from GitHub; removed on activate
+const OLD_RUNTIME_CACHE = "runtime";
+
+// Upper bound on cached map tiles (~15-25 KB each); oldest go first
+const MAX_TILES = 3000;
+// Trim the tile cache after this many new tiles rather than on every one
+const TRIM_EVERY = 50;
+
+const TILE_HOST = /^[a-d]\.basemaps\.cartocdn\.com$/;
+
+const scoped = (path) => new URL(path, self.registration.scope).toString();
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      const shell = await caches.open(SHELL_CACHE);
+      await shell.addAll(PRECACHE_FILES.map(scoped));
+      await self.skipWaiting();
+    })()
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const names = await caches.keys();
+      await Promise.all(
+        names
+          .filter((name) => (name.startsWith("shell-") && name !== SHELL_CACHE) || name === OLD_RUNTIME_CACHE)
+          .map((name) => caches.delete(name))
+      );
+      await self.clients.claim();
+    })()
+  );
+});
+
+// All subdomains serve the same tiles, so cache them under one
+const tileKey = (url) => {
+  const key = new URL(url);
+  key.hostname = "a.basemaps.cartocdn.com";
+  return key.toString();
+};
+
+let tilesSinceTrim = 0;
+
+const trimTiles = async () => {
+  tilesSinceTrim = 0;
+  const cache = await caches.open(TILE_CACHE);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_TILES)).map((key) => cache.delete(key)));
+};
+
+// Fetch one tile into the cache; resolves to the network response or null
+const storeTile = async (cache, url) => {
+  try {
+    const response = await fetch(url, { mode: "cors" });
+    if (!response.ok) return null;
+    await cache.put(tileKey(url), response.clone());
+    tilesSinceTrim++;
+    if (tilesSinceTrim >= TRIM_EVERY) trimTiles();
+    return response;
+  } catch {
+    return null;
+  }
+};
+
+const tile = async (request) => {
+  const cache = await caches.open(TILE_CACHE);
+  const cached = await cache.match(tileKey(request.url));
+  if (cached) return cached;
+  return (await storeTile(cache, request.url)) || fetch(request);
+};
+
+const cacheFirst = async (request, cacheName) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok && cacheName) {
+    const cache = await caches.open(cacheName);
+    cache.put(request, response.clone());
+  }
+  return response;
+};
+
+// Fresh pages when online, the cached shell otherwise
+const navigate = async (request) => {
+  try {
+    return await fetch(request);
+  } catch {
+    return (await caches.match(scoped("./"))) || (await caches.match(scoped("index.html"))) || Response.error();
+  }
+};
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  // Requests that opt out of caching (e.g. syncing) always go to the network
+  if (request.method !== "GET" || request.cache === "no-store") return;
+  const url = new URL(request.url);
+
+  if (request.mode === "navigate") {
+    event.respondWith(navigate(request));
+  } else if (TILE_HOST.test(url.hostname)) {
+    event.respondWith(tile(request));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+// { type: "cache-tiles", urls } from the app: download tiles around saved
+// places, one at a time, until the cap is reached. Replies on the port with
+// how many were added.
+self.addEventListener("message", (event) => {
+  if (event.data?.type !== "cache-tiles") return;
+  const [port] = event.ports;
+
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(TILE_CACHE);
+      let count = (await cache.keys()).length;
+      let added = 0;
+      for (const url of event.data.urls) {
+        if (count >= MAX_TILES) break;
+        if (await cache.match(tileKey(url))) continue;
+        if (await storeTile(cache, url)) {
+          count++;
+          added++;
+        }
+      }
+      port?.postMessage({ added, full: count >= MAX_TILES });
+    })()
+  );
+});
@@ -0,0 +1,98 @@
+// Syncing the bucket list with a server, behind a small adapter interface.
+//
+// An adapter is { name, pull(), push(document, revision) }. pull resolves to
+// { ok: true, document, revision } (document is null if the server has none
+// yet) and push to { ok: true, revision }; both resolve to
+// { ok: false, error: { type, message } } instead of throwing. push must
+// refuse with type "conflict" when `revision` is no longer the latest, so
+// two devices never overwrite each other: the loser pulls, merges place by
+// place (see merge.js) and tries again.
+//
+// createRestAdapter talks to server/sync-server.js or anything that speaks
+// the same protocol:
+//   GET <url>  -> 200 { revision, document } | 404
+//   PUT <url>  { revision, document } -> 200 { revision } | 409
+
+import { upgradeStore } from "./placeStore";
+import { mergeStores } from "./merge";
+
+export const SYNC_ERRORS = {
+  NETWORK: "network",
+  HTTP: "http",
+  CONFLICT: "conflict",
+  INVALID: "invalid",
+};
+
+// Give up after this many pull-merge-push rounds lost to other devices
+const MAX_ATTEMPTS = 3;
+
+const failure = (type, message) => ({ ok: false, error: { type, message } });
+
+const request = async (url, options) => {
+  try {
+    return { ok: true, response: await fetch(url, { cache: "no-store", ...options }) };
+  } catch {
+    return failure(SYNC_ERRORS.NETWORK, "Could not reach the sync server");
+  }
+};
+
+export const createRestAdapter = (url) => ({
+  name: "rest",
+  pull: async () => {
+    const result = await request(url, { headers: { Accept: "application/json" } });
+    if (!result.ok) return result;
+    const { response } = result;
+    if (response.status === 404) return { ok: true, document: null, revision: null };
+    if (!response.ok) return failure(SYNC_ERRORS.HTTP, `Sync server error (${response.status})`);
+    try {
+      const body = await response.json();
+      return { ok: true, document: body.document ?? null, revision: body.revision ?? null };
+    } catch {
+      return failure(SYNC_ERRORS.INVALID, "The sync server sent something unreadable");
+    }
+  },
+  push: async (document, revision) => {
+    const result = await request(url, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json", Accept: "application/json" },
+      body: JSON.stringify({ revision, document }),
+    });
+    if (!result.ok) return result;
+    const { response } = result;
+    if (response.status === 409) return failure(SYNC_ERRORS.CONFLICT, "Changed on another device");
+    if (!response.ok) return failure(SYNC_ERRORS.HTTP, `Sync server error (${response.status})`);
+    try {
+      const body = await response.json();
+      return { ok: true, revision: body.revision ?? null };
+    } catch {
+      return failure(SYNC_ERRORS.INVALID, "The sync server sent something unreadable");
+    }
+  },
+});
+
+// What goes to the server: everything except which list this device has open
+const toDocument = (store) => {
+  const document = { ...store };
+  delete document.activeListId;
+  return document;
+};
+
+// One sync round: pull, merge into `store`, push if the server is missing
+// anything. Resolves to { ok: true, store } with the merged store, or to
+// the adapter's error.
+export const syncStore = async (adapter, store) => {
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const pulled = await adapter.pull();
+    if (!pulled.ok) return pulled;
+
+    const remote = pulled.document && upgradeStore({ ...pulled.document, activeListId: store.activeListId });
+    const merged = remote ? mergeStores(store, remote) : store;
+    // Nothing here the server doesn't already have
+    if (remote && mergeStores(remote, merged) === remote) return { ok: true, store: merged };
+
+    const pushed = await adapter.push(toDocument(merged), pulled.revision);
+    if (pushed.ok) return { ok: true, store: merged };
+    if (pushed.error.type !== SYNC_ERRORS.CONFLICT) return pushed;
+  }
+  return failure(SYNC_ERRORS.CONFLICT, "Kept changing on other devices, try again");
+};
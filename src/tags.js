@@ -0,0 +1,58 @@
+// Tags are shared by every list and referenced from places by id.
+
+import { createId } from "./placeStore";
+
+export const TAG_COLORS = [
+  "#2F80ED", "#f2994a", "#27ae60", "#9b51e0",
+  "#eb5757", "#00a3a3", "#e056a0", "#8d6e63",
+];
+
+export const createTag = (name, existingTags = []) => ({
+  id: createId(),
+  name,
+  color: TAG_COLORS[existingTags.length % TAG_COLORS.length],
+});
+
+// Find a tag by name (case-insensitive) so "Beach" and "beach" are one tag
+export const findTagByName = (tags, name) =>
+  tags.find((tag) => tag.name.toLowerCase() === name.trim().toLowerCase());
+
+// `month` (1-12) keeps only places whose climate is good then
+export const EMPTY_FILTER = { tagIds: [], visited: "all", query: "", month: null };
+
+export const isFilterActive = (filter) =>
+  filter.tagIds.length > 0 || filter.visited !== "all" || filter.query.trim() !== "" || filter.month != null;
+
+// Text a place can be found by in the search box
+export const searchableText = (place, tagsById) =>
+  [
+    place.name,
+    place.geocode?.displayName,
+    place.geocode?.country,
+    place.notes,
+    ...(place.journal || []).map((entry) => entry.text),
+    ...(place.subStops || []).map((stop) => stop.name),
+    ...(place.tagIds || []).map((id) => tagsById.get(id)?.name),
+  ]
+    .filter(Boolean)
+    .join(" ")
+    .toLowerCase();
+
+// `goodMonthsFor(place)` gives the set of good months for the month filter,
+// or null while the place's climate is unknown
+export const matchesFilter = (place, filter, tagsById, goodMonthsFor) => {
+  if (filter.visited === "visited" && !place.visited) return false;
+  if (filter.visited === "unvisited" && place.visited) return false;
+
+  // A place matches if it carries any of the selected tags
+  if (filter.tagIds.length > 0 && !filter.tagIds.some((id) => (place.tagIds || []).includes(id))) {
+    return false;
+  }
+
+  const query = filter.query.trim().toLowerCase();
+  if (query && !searchableText(place, tagsById).includes(query)) return false;
+
+  if (filter.month != null && !goodMonthsFor?.(place)?.has(filter.month)) return false;
+
+  return true;
+};
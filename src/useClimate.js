@@ -0,0 +1,46 @@
+import { useState, useEffect, useCallback } from "react";
+import { cachedClimate, climateKey, fetchClimate } from "./climate";
+import { hasCoords } from "./placeStore";
+
+// Monthly climate for `places`, fetched one place at a time while `enabled`.
+// Returns { climateFor(place), pending }: climateFor gives the months, null
+// if they couldn't be loaded, or undefined while still unknown.
+export default function useClimate(places, enabled = true) {
+  // Climate key -> months | null, for what this hook has looked up
+  const [loaded, setLoaded] = useState({});
+
+  const climateFor = useCallback(
+    (place) => {
+      if (!hasCoords(place)) return null;
+      const key = climateKey(place);
+      return key in loaded ? loaded[key] : cachedClimate(place);
+    },
+    [loaded]
+  );
+
+  const missing = [
+    ...new Map(
+      places.filter((place) => climateFor(place) === undefined).map((place) => [climateKey(place), place])
+    ).values(),
+  ];
+  // Changes only when the set of places to look up does
+  const missingKey = enabled ? missing.map(climateKey).join(";") : "";
+
+  useEffect(() => {
+    if (!missingKey) return;
+    let cancelled = false;
+    (async () => {
+      for (const key of missingKey.split(";")) {
+        const [lat, lng] = key.split(",").map(Number);
+        const result = await fetchClimate({ lat, lng });
+        if (cancelled) return;
+        setLoaded((prev) => ({ ...prev, [key]: result.ok ? result.months : null }));
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [missingKey]);
+
+  return { climateFor, pending: enabled ? missing.length : 0 };
+}
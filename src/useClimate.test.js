@@ -0,0 +1,47 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { renderHook, waitFor } from "@testing-library/react";
+import { createMockClimateProvider, fetchClimate, setClimateProvider } from "./climate";
+import useClimate from "./useClimate";
+
+// Mock provider that counts lookups per coordinate
+const countingProvider = () => {
+  const mock = createMockClimateProvider();
+  const calls = [];
+  return {
+    calls,
+    name: "counting",
+    monthly: async (lat, lng) => {
+      calls.push(`${lat},${lng}`);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      return mock.monthly(lat, lng);
+    },
+  };
+};
+
+describe("climate lookups", () => {
+  let provider;
+  beforeEach(() => {
+    provider = countingProvider();
+    setClimateProvider(provider);
+  });
+
+  it("shares a lookup that is already on its way", async () => {
+    const [first, second] = await Promise.all([fetchClimate({ lat: 10, lng: 20 }), fetchClimate({ lat: 10, lng: 20 })]);
+    expect(first.ok && second.ok).toBe(true);
+    expect(provider.calls).toEqual(["10,20"]);
+    await fetchClimate({ lat: 10, lng: 20 });
+    expect(provider.calls).toHaveLength(1);
+  });
+
+  it("fetches each place only once while useClimate works through them", async () => {
+    const places = [
+      { id: "a", lat: 1, lng: 1 },
+      { id: "b", lat: 2, lng: 2 },
+      { id: "c", lat: 3, lng: 3 },
+    ];
+    const { result } = renderHook(() => useClimate(places));
+    await waitFor(() => expect(result.current.pending).toBe(0));
+    expect(places.every((place) => Array.isArray(result.current.climateFor(place)))).toBe(true);
+    expect(provider.calls).toEqual(["1,1", "2,2", "3,3"]);
+  });
+});
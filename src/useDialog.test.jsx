@@ -0,0 +1,78 @@
+import { useState } from "react";
+import { describe, it, expect } from "vitest";
+import { render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { axe } from "jest-axe";
+import useDialog from "./useDialog";
+
+function Dialog({ onClose }) {
+  const dialogRef = useDialog(onClose);
+  return (
+    <div ref={dialogRef} role="dialog" aria-modal="true" aria-label="Details" tabIndex={-1}>
+      <button>First</button>
+      <input aria-label="Middle" />
+      <button onClick={onClose}>Last</button>
+    </div>
+  );
+}
+
+function Page() {
+  const [open, setOpen] = useState(false);
+  return (
+    <>
+      <button onClick={() => setOpen(true)}>Open</button>
+      {open && <Dialog onClose={() => setOpen(false)} />}
+    </>
+  );
+}
+
+describe("useDialog", () => {
+  it("moves focus into the dialog when it opens", async () => {
+    const user = userEvent.setup();
+    render(<Page />);
+    await user.click(screen.getByText("Open"));
+    expect(document.activeElement).toBe(screen.getByText("First"));
+  });
+
+  it("keeps Tab and Shift+Tab inside the dialog", async () => {
+    const user = userEvent.setup();
+    render(<Page />);
+    await user.click(screen.getByText("Open"));
+
+    await user.tab();
+    expect(document.activeElement).toBe(screen.getByLabelText("Middle"));
+    await user.tab();
+    expect(document.activeElement).toBe(screen.getByText("Last"));
+    await user.tab();
+    expect(document.activeElement).toBe(screen.getByText("First"));
+    await user.tab({ shift: true });
+    expect(document.activeElement).toBe(screen.getByText("Last"));
+  });
+
+  it("closes on Escape and gives focus back to the opener", async () => {
+    const user = userEvent.setup();
+    render(<Page />);
+    await user.click(screen.getByText("Open"));
+    await user.keyboard("{Escape}");
+
+    expect(screen.queryByRole("dialog")).toBeNull();
+    expect(document.activeElement).toBe(screen.getByText("Open"));
+  });
+
+  it("gives focus back when closed from inside", async () => {
+    const user = userEvent.setup();
+    render(<Page />);
+    await user.click(screen.getByText("Open"));
+    await user.click(screen.getByText("Last"));
+
+    expect(screen.queryByRole("dialog")).toBeNull();
+    expect(document.activeElement).toBe(screen.getByText("Open"));
+  });
+
+  it("has no axe violations", async () => {
+    const user = userEvent.setup();
+    const { container } = render(<Page />);
+    await user.click(screen.getByText("Open"));
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
@@ -0,0 +1,15 @@
+import { useSyncExternalStore } from "react";
+
+const subscribe = (callback) => {
+  window.addEventListener("online", callback);
+  window.addEventListener("offline", callback);
+  return () => {
+    window.removeEventListener("online", callback);
+    window.removeEventListener("offline", callback);
+  };
+};
+
+// Whether the browser thinks it has a network connection
+export default function useOnlineStatus() {
+  return useSyncExternalStore(subscribe, () => navigator.onLine);
+}
@@ -0,0 +1,10 @@
+import { createContext, useContext } from "react";
+import { DEFAULT_SETTINGS, createI18n } from "./settings";
+
+// Provided once by App as { ...createI18n(settings), setSettings }
+export const SettingsContext = createContext({ ...createI18n(DEFAULT_SETTINGS), setSettings: () => {} });
+
+// Settings plus `t` and `format` helpers for the chosen language and units
+export default function useSettings() {
+  return useContext(SettingsContext);
+}
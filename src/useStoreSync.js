@@ -0,0 +1,77 @@
+import { useState, useEffect, useRef, useMemo, useCallback } from "react";
+import { STORE_KEY, upgradeStore } from "./placeStore";
+import { mergeStores } from "./merge";
+import { createRestAdapter, syncStore } from "./sync";
+
+// Wait this long after the last local change before syncing it
+const SYNC_DELAY_MS = 2000;
+// How often to pick up other devices' changes while nothing happens here
+const SYNC_INTERVAL_MS = 60 * 1000;
+
+// Keeps the store in step with other tabs (through storage events) and, when
+// `syncUrl` is set, with a sync server. Incoming copies are merged place by
+// place with `setRawStore`, which must not stamp them as local changes.
+// Returns { status: { state, at, error }, syncNow }; state is "off", "idle"
+// (not synced yet), "syncing", "ok" or "error".
+export default function useStoreSync(store, setRawStore, syncUrl) {
+  const storeRef = useRef(store);
+  const running = useRef(false);
+  const [status, setStatus] = useState({ state: "idle", at: null, error: null });
+  const adapter = useMemo(() => (syncUrl ? createRestAdapter(syncUrl) : null), [syncUrl]);
+
+  useEffect(() => {
+    storeRef.current = store;
+  }, [store]);
+
+  // Another tab saved the store
+  useEffect(() => {
+    const onStorage = (e) => {
+      if (e.key !== STORE_KEY || !e.newValue) return;
+      let remote;
+      try {
+        remote = upgradeStore(JSON.parse(e.newValue));
+      } catch (error) {
+        console.error("Could not read the bucket list saved by another tab:", error);
+        return;
+      }
+      setRawStore((prev) => mergeStores(prev, remote));
+    };
+    window.addEventListener("storage", onStorage);
+    return () => window.removeEventListener("storage", onStorage);
+  }, [setRawStore]);
+
+  const syncNow = useCallback(async () => {
+    if (!adapter || running.current) return;
+    running.current = true;
+    setStatus((prev) => ({ ...prev, state: "syncing" }));
+    const result = await syncStore(adapter, storeRef.current);
+    running.current = false;
+    if (result.ok) {
+      // Local edits made while the request was out are merged, not lost
+      setRawStore((prev) => mergeStores(prev, result.store));
+      setStatus({ state: "ok", at: Date.now(), error: null });
+    } else {
+      setStatus((prev) => ({ ...prev, state: "error", error: result.error }));
+    }
+  }, [adapter, setRawStore]);
+
+  // Shortly after local changes (and on start)
+  useEffect(() => {
+    if (!adapter) return;
+    const timer = setTimeout(syncNow, SYNC_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [adapter, store, syncNow]);
+
+  // Now and then, and as soon as we're back online
+  useEffect(() => {
+    if (!adapter) return;
+    const timer = setInterval(syncNow, SYNC_INTERVAL_MS);
+    window.addEventListener("online", syncNow);
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener("online", syncNow);
+    };
+  }, [adapter, syncNow]);
+
+  return { status: adapter ? status : { state: "off", at: null, error: null }, syncNow };
+}
@@ -0,0 +1,36 @@
+import { useState, useEffect } from "react";
+import { geocode } from "./geocoding";
+
+// Debounced typeahead suggestions for a search box. Older requests are
+// aborted as the user keeps typing, so only the latest query lands.
+export default function useSuggestions(query, { delay = 400, minLength = 3 } = {}) {
+  const [state, setState] = useState({ query: "", results: [], error: null });
+  const q = query.trim();
+
+  useEffect(() => {
+    if (q.length < minLength) return;
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      const result = await geocode(q, { signal: controller.signal });
+      if (controller.signal.aborted) return;
+      setState({
+        query: q,
+        results: result.ok ? result.results : [],
+        error: result.ok ? null : result.error,
+      });
+    }, delay);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [q, delay, minLength]);
+
+  const current = q.length >= minLength && state.query === q;
+  return {
+    suggestions: current ? state.results : [],
+    error: current ? state.error : null,
+    loading: q.length >= minLength && state.query !== q,
+  };
+}
@@ -0,0 +1,223 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+import { getActiveList, updateList } from "./placeStore";
+
+export const HISTORY_KEY = "undoHistory";
+// Entries kept in each direction
+const HISTORY_LIMIT = 30;
+// Rough size budget (JSON characters) for each direction's saved entries
+const HISTORY_MAX_CHARS = 200 * 1000;
+
+// A patch records one list's change as the places it touched:
+//   { listId, changes, order }
+// where each change is either a whole place added or removed
+//   { id, before: place | null, after: place | null, index }
+// (`index` is where it sits on the side it exists) or an edit
+//   { id, fields: [keys], before: { ...old values }, after: { ...new values } }
+// and `order` ({ before: [ids], after: [ids] }) is only there when places
+// were moved. Applying a side to the current list leaves every place and
+// field the change didn't touch as it is now.
+
+// Stamped by setStore on every change, so not worth undoing
+const IGNORED_FIELDS = new Set(["updatedAt"]);
+
+const sameValue = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+const editOf = (before, after) => {
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])].filter(
+    (key) => !IGNORED_FIELDS.has(key) && !sameValue(before[key], after[key])
+  );
+  if (fields.length === 0) return null;
+  const pick = (place) => Object.fromEntries(fields.filter((key) => key in place).map((key) => [key, place[key]]));
+  return { id: before.id, fields, before: pick(before), after: pick(after) };
+};
+
+// The patch turning `before` into `after`, or null if nothing changed
+export const diffPlaces = (before, after) => {
+  const beforeById = new Map(before.map((place) => [place.id, place]));
+  const afterById = new Map(after.map((place) => [place.id, place]));
+  const changes = [];
+
+  before.forEach((place, index) => {
+    if (!afterById.has(place.id)) changes.push({ id: place.id, before: place, after: null, index });
+  });
+  after.forEach((place, index) => {
+    const old = beforeById.get(place.id);
+    if (!old) changes.push({ id: place.id, before: null, after: place, index });
+    else if (old !== place) {
+      const edit = editOf(old, place);
+      if (edit) changes.push(edit);
+    }
+  });
+
+  // Only record the order when places that stayed changed places
+  const kept = (places, other) => places.map((place) => place.id).filter((id) => other.has(id));
+  const order = sameValue(kept(before, afterById), kept(after, beforeById))
+    ? null
+    : { before: before.map((place) => place.id), after: after.map((place) => place.id) };
+
+  return changes.length > 0 || order ? { changes, order } : null;
+};
+
+// Apply one side ("before" to undo, "after" to redo) of a patch to places
+export const applyPatch = (places, patch, side) => {
+  const changesById = new Map(patch.changes.map((change) => [change.id, change]));
+  let result = places.flatMap((place) => {
+    const change = changesById.get(place.id);
+    if (!change) return [place];
+    if (change.fields) {
+      const next = { ...place };
+      change.fields.forEach((key) => {
+        if (key in change[side]) next[key] = change[side][key];
+        else delete next[key];
+      });
+      return [next];
+    }
+    return change[side] ? [change[side]] : [];
+  });
+
+  const present = new Set(result.map((place) => place.id));
+  patch.changes
+    .filter((change) => !change.fields && change[side] && !present.has(change.id))
+    .sort((a, b) => a.index - b.index)
+    .forEach((change) => {
+      result.splice(Math.min(change.index, result.length), 0, change[side]);
+    });
+
+  if (patch.order) {
+    // Put the recorded places back in their recorded order, in the slots
+    // they take up now; places added since stay where they are
+    const rank = new Map(patch.order[side].map((id, i) => [id, i]));
+    const ranked = result.filter((place) => rank.has(place.id)).sort((a, b) => rank.get(a.id) - rank.get(b.id));
+    let next = 0;
+    result = result.map((place) => (rank.has(place.id) ? ranked[next++] : place));
+  }
+  return result;
+};
+
+// Tags an entry created are added back on redo and, on undo, removed unless
+// a place still uses them
+const applyTags = (store, tags, side) => {
+  if (side === "after") {
+    const known = new Set(store.tags.map((tag) => tag.id));
+    const missing = tags.filter((tag) => !known.has(tag.id));
+    return missing.length > 0 ? { ...store, tags: [...store.tags, ...missing] } : store;
+  }
+  const used = new Set(store.lists.flatMap((list) => list.places.flatMap((place) => place.tagIds || [])));
+  const unused = new Set(tags.filter((tag) => !used.has(tag.id)).map((tag) => tag.id));
+  return unused.size > 0 ? { ...store, tags: store.tags.filter((tag) => !unused.has(tag.id)) } : store;
+};
+
+// Apply one side of an entry to the store and make its (first) list active
+const applyEntry = (store, entry, side) => {
+  let next = entry.patches.reduce(
+    (current, patch) =>
+      updateList(current, patch.listId, (list) => ({ ...list, places: applyPatch(list.places, patch, side) })),
+    store
+  );
+  if (entry.tags) next = applyTags(next, entry.tags, side);
+  const listId = entry.patches[0].listId;
+  return next.lists.some((list) => list.id === listId) ? { ...next, activeListId: listId } : next;
+};
+
+// Newest entries that fit the count and size budgets
+const fit = (stack) => {
+  const kept = [];
+  let chars = 0;
+  for (let i = stack.length - 1; i >= 0 && kept.length < HISTORY_LIMIT; i--) {
+    chars += stack[i].size;
+    if (chars > HISTORY_MAX_CHARS) break;
+    kept.unshift(stack[i]);
+  }
+  return kept;
+};
+
+// In memory the newest entry is kept even when it alone is over budget, so
+// e.g. clearing a big list can still be undone until the next reload
+const trim = (stack) => {
+  const kept = fit(stack);
+  return kept.length === 0 && stack.length > 0 ? stack.slice(-1) : kept;
+};
+
+const loadHistory = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(HISTORY_KEY));
+    // Entries from before patches (whole-list copies) are dropped
+    const valid = (stack) => Array.isArray(stack) && stack.every((entry) => Array.isArray(entry.patches));
+    if (valid(saved?.past) && valid(saved?.future)) return saved;
+  } catch {
+    // fall through to an empty history
+  }
+  return { past: [], future: [] };
+};
+
+// Undo/redo over list mutations. `change(label, updates)` applies and
+// records a change: `updates` maps list ids to `(places) => places`, or is a
+// single such function for the active list. `label` may be a function of the
+// first list's places before the change, which is also what change()
+// returns (null if nothing changed). `tags` are new tags the change's places
+// use; they are added with it and removed again on undo. History is bounded
+// by count and size and persisted, so it survives a reload.
+export default function useUndoHistory(store, setStore) {
+  const [history, setHistory] = useState(loadHistory);
+  const storeRef = useRef(store);
+
+  useEffect(() => {
+    storeRef.current = store;
+  }, [store]);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(HISTORY_KEY, JSON.stringify({ past: fit(history.past), future: fit(history.future) }));
+    } catch (error) {
+      console.error("Could not save undo history:", error);
+    }
+  }, [history]);
+
+  const change = useCallback((label, updates, { tags = [] } = {}) => {
+    const current = storeRef.current;
+    const updaters = typeof updates === "function" ? { [getActiveList(current).id]: updates } : updates;
+    const patches = [];
+    let before = null;
+    Object.entries(updaters).forEach(([listId, updater]) => {
+      const list = current.lists.find((l) => l.id === listId);
+      if (!list) return;
+      before ??= list.places;
+      const patch = diffPlaces(list.places, updater(list.places));
+      if (patch) patches.push({ listId, ...patch });
+    });
+    if (patches.length === 0) return null;
+
+    const entry = { label: typeof label === "function" ? label(before) : label, patches };
+    if (tags.length > 0) entry.tags = tags;
+    entry.size = JSON.stringify(entry).length;
+    // Apply the patch rather than the new arrays, so changes that land in
+    // between (sync, other tabs) are kept
+    storeRef.current = { ...applyEntry(current, entry, "after"), activeListId: current.activeListId };
+    setStore((prev) => ({ ...applyEntry(prev, entry, "after"), activeListId: prev.activeListId }));
+    setHistory((prev) => ({ past: trim([...prev.past, entry]), future: [] }));
+    return before;
+  }, [setStore]);
+
+  // Move the newest entry from one stack to the other, applying it
+  const step = useCallback((from, to) => {
+    const entry = history[from][history[from].length - 1];
+    if (!entry) return null;
+    setStore((prev) => applyEntry(prev, entry, from === "past" ? "before" : "after"));
+    setHistory((prev) => ({
+      [from]: prev[from].slice(0, -1),
+      [to]: trim([...prev[to], entry]),
+    }));
+    return entry.label;
+  }, [history, setStore]);
+
+  const undo = useCallback(() => step("past", "future"), [step]);
+  const redo = useCallback(() => step("future", "past"), [step]);
+
+  return {
+    change,
+    undo,
+    redo,
+    undoLabel: history.past[history.past.length - 1]?.label || null,
+    redoLabel: history.future[history.future.length - 1]?.label || null,
+  };
+}
@@ -0,0 +1,142 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { act, renderHook } from "@testing-library/react";
+import useUndoHistory, { HISTORY_KEY, applyPatch, diffPlaces } from "./useUndoHistory";
+
+const place = (id, extra = {}) => ({ id, name: id.toUpperCase(), visited: false, notes: "", ...extra });
+
+describe("diffPlaces / applyPatch", () => {
+  const before = [place("a"), place("b"), place("c")];
+
+  it("records only the places that changed", () => {
+    const after = [before[0], { ...before[1], visited: true }, before[2]];
+    const patch = diffPlaces(before, after);
+    expect(patch.order).toBeNull();
+    expect(patch.changes).toEqual([{ id: "b", fields: ["visited"], before: { visited: false }, after: { visited: true } }]);
+    expect(diffPlaces(before, before)).toBeNull();
+  });
+
+  it("undoes a change without losing later edits it didn't touch", () => {
+    const patch = diffPlaces(before, [before[0], { ...before[1], visited: true }, before[2]]);
+    // Unrecorded edits since: notes on the same place, another place synced in
+    const now = [before[0], { ...before[1], visited: true, notes: "later" }, before[2], place("d")];
+    expect(applyPatch(now, patch, "before")).toEqual([
+      before[0],
+      { ...before[1], notes: "later" },
+      before[2],
+      place("d"),
+    ]);
+  });
+
+  it("puts removed places back where they were and removes added ones", () => {
+    const removed = diffPlaces(before, [before[0], before[2]]);
+    expect(applyPatch([before[0], before[2]], removed, "before")).toEqual(before);
+    const added = diffPlaces(before, [...before, place("d")]);
+    expect(applyPatch([...before, place("d")], added, "before")).toEqual(before);
+    expect(applyPatch(before, added, "after")).toEqual([...before, place("d")]);
+  });
+
+  it("restores the order of moved places", () => {
+    const moved = diffPlaces(before, [before[2], before[0], before[1]]);
+    expect(moved.order).not.toBeNull();
+    expect(applyPatch([before[2], before[0], before[1]], moved, "before")).toEqual(before);
+  });
+
+  it("removes fields the change added", () => {
+    const patch = diffPlaces([place("a")], [place("a", { marker: { glyph: "⭐" } })]);
+    expect(applyPatch([place("a", { marker: { glyph: "⭐" } })], patch, "before")).toEqual([place("a")]);
+  });
+});
+
+describe("useUndoHistory", () => {
+  const makeStore = () => ({
+    activeListId: "one",
+    tags: [{ id: "t1", name: "Beach" }],
+    lists: [
+      { id: "one", name: "One", places: [place("a"), place("b")] },
+      { id: "two", name: "Two", places: [] },
+    ],
+  });
+
+  const setup = () => {
+    let store = makeStore();
+    const setStore = (update) => {
+      store = typeof update === "function" ? update(store) : update;
+      hook.rerender();
+    };
+    const hook = renderHook(() => useUndoHistory(store, setStore));
+    return { hook, getStore: () => store, setStore };
+  };
+
+  beforeEach(() => localStorage.clear());
+
+  it("undoes and redoes a move between lists", () => {
+    const { hook, getStore } = setup();
+    act(() => {
+      hook.result.current.change("move", {
+        one: (prev) => prev.filter((p) => p.id !== "a"),
+        two: (prev) => [...prev, place("a")],
+      });
+    });
+    expect(getStore().lists.map((list) => list.places.map((p) => p.id))).toEqual([["b"], ["a"]]);
+
+    act(() => {
+      expect(hook.result.current.undo()).toBe("move");
+    });
+    expect(getStore().lists.map((list) => list.places.map((p) => p.id))).toEqual([["a", "b"], []]);
+
+    act(() => {
+      hook.result.current.redo();
+    });
+    expect(getStore().lists.map((list) => list.places.map((p) => p.id))).toEqual([["b"], ["a"]]);
+  });
+
+  it("removes the tags a change created when it is undone, unless they are used", () => {
+    const { hook, getStore, setStore } = setup();
+    const food = { id: "t2", name: "Food" };
+    const hike = { id: "t3", name: "Hike" };
+    act(() => {
+      hook.result.current.change("import", (prev) => [...prev, place("c", { tagIds: ["t2", "t3"] })], { tags: [food, hike] });
+    });
+    expect(getStore().tags.map((tag) => tag.id)).toEqual(["t1", "t2", "t3"]);
+
+    // Meanwhile a place in another list starts using one of them
+    act(() => {
+      setStore((prev) => ({
+        ...prev,
+        lists: prev.lists.map((list) => (list.id === "two" ? { ...list, places: [place("d", { tagIds: ["t3"] })] } : list)),
+      }));
+    });
+    act(() => {
+      hook.result.current.undo();
+    });
+    expect(getStore().lists[0].places.map((p) => p.id)).toEqual(["a", "b"]);
+    expect(getStore().tags.map((tag) => tag.id)).toEqual(["t1", "t3"]);
+
+    act(() => {
+      hook.result.current.redo();
+    });
+    expect(getStore().tags.map((tag) => tag.id)).toEqual(["t1", "t3", "t2"]);
+  });
+
+  it("saves small patches, not copies of the list", () => {
+    const { hook } = setup();
+    act(() => {
+      hook.result.current.change("toggle", (prev) => prev.map((p) => (p.id === "b" ? { ...p, visited: true } : p)));
+    });
+    const saved = JSON.parse(localStorage.getItem(HISTORY_KEY));
+    expect(saved.past).toHaveLength(1);
+    expect(JSON.stringify(saved)).not.toContain('"name"');
+  });
+
+  it("drops the oldest entries once the history grows too big", () => {
+    const { hook } = setup();
+    const notes = "x".repeat(60 * 1000);
+    for (let i = 0; i < 5; i++) {
+      act(() => {
+        hook.result.current.change(`add ${i}`, (prev) => [...prev, place(`n${i}`, { notes })]);
+      });
+    }
+    const saved = JSON.parse(localStorage.getItem(HISTORY_KEY));
+    expect(saved.past.map((entry) => entry.label)).toEqual(["add 2", "add 3", "add 4"]);
+  });
+});
@@ -0,0 +1,60 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+import { fetchWeather, isStale, loadWeatherCache, saveWeatherCache } from "./weather";
+import { hasCoords } from "./placeStore";
+
+// Don't hammer the API for a place whose last attempt just failed
+const RETRY_AFTER_MS = 60 * 1000;
+// How often to look for entries that have gone stale
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+// Per-place weather cache, keyed by place id and persisted to localStorage.
+// Stale or missing entries for `places` are fetched automatically; entries
+// for ids not in `knownIds` are dropped when saving.
+export default function useWeather(places, knownIds) {
+  const [cache, setCache] = useState(loadWeatherCache);
+  const [now, setNow] = useState(Date.now);
+  const attempts = useRef(new Map());
+
+  useEffect(() => {
+    const kept = Object.fromEntries(Object.entries(cache).filter(([id]) => knownIds.has(id)));
+    saveWeatherCache(kept);
+  }, [cache, knownIds]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), CHECK_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Fetch weather for the given places; returns how many succeeded
+  const refresh = useCallback(async (targets) => {
+    const started = Date.now();
+    targets.forEach((place) => attempts.current.set(place.id, started));
+
+    // Requests are queued (see weather.js), so show each one as it arrives
+    let fetched = 0;
+    await Promise.all(
+      targets.map(async (place) => {
+        const data = await fetchWeather(place.lat, place.lng);
+        if (!data) return;
+        fetched++;
+        setCache((prev) => ({ ...prev, [place.id]: data }));
+      })
+    );
+    return fetched;
+  }, []);
+
+  // Refresh anything missing or past its TTL
+  useEffect(() => {
+    // Keep serving the last known weather until we're back online
+    if (!navigator.onLine) return;
+    const due = places.filter(
+      (place) =>
+        hasCoords(place) &&
+        isStale(cache[place.id], now) &&
+        now - (attempts.current.get(place.id) || 0) > RETRY_AFTER_MS
+    );
+    if (due.length) refresh(due);
+  }, [places, cache, now, refresh]);
+
+  return { weatherById: cache, refreshWeather: refresh, now };
+}
@@ -0,0 +1,48 @@
+import { useState, useEffect, useMemo, useSyncExternalStore } from "react";
+import { findAlerts, getAlertHistory, recordAlerts, subscribeAlerts, ALERT_RULES } from "./alerts";
+import useSettings from "./useSettings";
+
+// Browser notification, through the service worker where the page itself
+// isn't allowed to create one (e.g. Chrome on Android). The alert is in the
+// history either way, so a notification that can't be shown is only logged.
+const showNotification = async (title, options) => {
+  try {
+    new Notification(title, options);
+  } catch {
+    try {
+      const registration = await navigator.serviceWorker?.getRegistration();
+      await registration?.showNotification(title, options);
+    } catch (error) {
+      console.warn("Could not show a weather alert notification:", error);
+    }
+  }
+};
+
+// Checks `places`' forecasts against their alert rules whenever the weather
+// changes. New alerts are added to the history and, with permission, shown as
+// browser notifications. Returns the visible history, this session's pop-ups
+// and the unread count.
+export default function useWeatherAlerts(places, weatherById) {
+  const { t, format } = useSettings();
+  const entries = useSyncExternalStore(subscribeAlerts, getAlertHistory);
+  const [since] = useState(Date.now);
+  const alerts = useMemo(() => findAlerts(places, weatherById), [places, weatherById]);
+
+  useEffect(() => {
+    const added = recordAlerts(alerts);
+    if (added.length === 0 || typeof Notification === "undefined" || Notification.permission !== "granted") return;
+    added.forEach((alert) => {
+      showNotification(`${ALERT_RULES[alert.rule].icon} ${t("alerts.notificationTitle")}`, {
+        body: t(`alerts.rule.${alert.rule}`, { name: alert.name, date: format.date(alert.date), temp: format.temp(alert.max) }),
+        tag: alert.id,
+      });
+    });
+  }, [alerts, t, format]);
+
+  const history = useMemo(() => entries.filter((entry) => !entry.hidden), [entries]);
+  return {
+    history,
+    popups: history.filter((entry) => !entry.dismissed && entry.at >= since),
+    unread: history.filter((entry) => !entry.read).length,
+  };
+}
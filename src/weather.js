@@ -0,0 +1,158 @@
+// Weather from Open-Meteo: current conditions plus a 7-day daily forecast.
+//
+// Set VITE_WEATHER_API_URL to point at a local stub instead of the real API.
+
+export const WEATHER_API_URL = import.meta.env.VITE_WEATHER_API_URL || "https://api.open-meteo.com/v1";
+export const WEATHER_CACHE_KEY = "weatherCache";
+
+// How long a fetched forecast counts as fresh
+export const WEATHER_TTL_MS = 60 * 60 * 1000;
+// Days of daily forecast fetched, today included
+export const FORECAST_DAYS = 7;
+
+// Map weather codes to descriptions
+const weatherDescriptions = {
+  0: "Clear sky", 1: "Mainly clear", 2: "Partly cloudy", 3: "Overcast",
+  45: "Foggy", 48: "Foggy", 51: "Light drizzle", 53: "Drizzle", 55: "Heavy drizzle",
+  61: "Light rain", 63: "Rain", 65: "Heavy rain", 71: "Light snow", 73: "Snow", 75: "Heavy snow",
+  77: "Snow grains", 80: "Light showers", 81: "Showers", 82: "Heavy showers",
+  85: "Light snow showers", 86: "Snow showers", 95: "Thunderstorm", 96: "Thunderstorm", 99: "Thunderstorm"
+};
+
+// Map weather codes to emoji icons
+const weatherIcons = {
+  0: "☀️", 1: "🌤️", 2: "⛅", 3: "☁️",
+  45: "🌫️", 48: "🌫️", 51: "🌦️", 53: "🌧️", 55: "🌧️",
+  61: "🌦️", 63: "🌧️", 65: "⛈️", 71: "🌨️", 73: "❄️", 75: "❄️",
+  77: "🌨️", 80: "🌦️", 81: "🌧️", 82: "⛈️",
+  85: "🌨️", 86: "❄️", 95: "⛈️", 96: "⛈️", 99: "⛈️"
+};
+
+export const describeCode = (code) => ({
+  description: weatherDescriptions[code] || "Unknown",
+  icon: weatherIcons[code] || "🌡️",
+});
+
+// At most this many forecast requests at once, started at least
+// MIN_INTERVAL_MS apart, so a big list (or coming back online) doesn't hit
+// Open-Meteo in one burst and get rate-limited
+const MAX_CONCURRENT = 2;
+const MIN_INTERVAL_MS = 250;
+
+// Runs tasks at most `concurrency` at a time, starting them `interval` ms apart
+const createLimiter = (concurrency, interval) => {
+  const waiting = [];
+  let active = 0;
+  let nextStart = 0;
+
+  const startNext = () => {
+    if (active >= concurrency || waiting.length === 0) return;
+    const { task, resolve, reject } = waiting.shift();
+    active++;
+    const wait = Math.max(0, nextStart - Date.now());
+    nextStart = Date.now() + wait + interval;
+    setTimeout(async () => {
+      try {
+        resolve(await task());
+      } catch (error) {
+        reject(error);
+      } finally {
+        active--;
+        startNext();
+      }
+    }, wait);
+    startNext();
+  };
+
+  return (task) =>
+    new Promise((resolve, reject) => {
+      waiting.push({ task, resolve, reject });
+      startNext();
+    });
+};
+
+const limit = createLimiter(MAX_CONCURRENT, MIN_INTERVAL_MS);
+
+// Get current weather and the daily forecast for a location
+const requestWeather = async (lat, lng) => {
+  try {
+    const params = new URLSearchParams({
+      latitude: lat,
+      longitude: lng,
+      current_weather: "true",
+      daily: "temperature_2m_max,temperature_2m_min,precipitation_probability_max,weathercode",
+      forecast_days: String(FORECAST_DAYS),
+      timezone: "auto",
+      temperature_unit: "celsius",
+    });
+    const response = await fetch(`${WEATHER_API_URL}/forecast?${params}`);
+
+    if (!response.ok) {
+      console.error("Weather API error:", response.status);
+      return null;
+    }
+
+    const data = await response.json();
+
+    if (!data.current_weather) {
+      console.error("Invalid weather data:", data);
+      return null;
+    }
+
+    const current = data.current_weather;
+    const daily = data.daily || {};
+
+    return {
+      fetchedAt: Date.now(),
+      temp: Math.round(current.temperature),
+      code: current.weathercode,
+      ...describeCode(current.weathercode),
+      windSpeed: current.windspeed,
+      daily: (daily.time || []).map((date, i) => ({
+        date,
+        min: Math.round(daily.temperature_2m_min[i]),
+        max: Math.round(daily.temperature_2m_max[i]),
+        precipProbability: daily.precipitation_probability_max?.[i] ?? null,
+        code: daily.weathercode[i],
+        ...describeCode(daily.weathercode[i]),
+      })),
+    };
+  } catch (error) {
+    console.error("Weather fetch error:", error);
+    return null;
+  }
+};
+
+// requestWeather through the limiter; resolves to null on failure
+export const fetchWeather = (lat, lng) => limit(() => requestWeather(lat, lng));
+
+export const isStale = (entry, now = Date.now()) =>
+  !entry || !entry.fetchedAt || now - entry.fetchedAt > WEATHER_TTL_MS;
+
+// "5 min ago", "3 hr. ago", "2 days ago" in the given locale; null if unknown
+export const formatAge = (fetchedAt, now = Date.now(), locale) => {
+  if (!fetchedAt) return null;
+  const relative = new Intl.RelativeTimeFormat(locale, { numeric: "auto", style: "short" });
+  const minutes = Math.round((now - fetchedAt) / 60000);
+  if (minutes < 1) return relative.format(0, "second");
+  if (minutes < 60) return relative.format(-minutes, "minute");
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return relative.format(-hours, "hour");
+  return relative.format(-Math.round(hours / 24), "day");
+};
+
+export const loadWeatherCache = () => {
+  try {
+    return JSON.parse(localStorage.getItem(WEATHER_CACHE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+export const saveWeatherCache = (cache) => {
+  try {
+    localStorage.setItem(WEATHER_CACHE_KEY, JSON.stringify(cache));
+  } catch (error) {
+    console.error("Could not save weather cache:", error);
+  }
+};
@@ -0,0 +1,52 @@
+import { describe, it, expect, afterEach, vi } from "vitest";
+import { fetchWeather } from "./weather";
+
+const forecast = {
+  current_weather: { temperature: 21.4, weathercode: 1, windspeed: 10 },
+  daily: {
+    time: ["2026-10-19"],
+    temperature_2m_min: [12.2],
+    temperature_2m_max: [22.8],
+    precipitation_probability_max: [10],
+    weathercode: [1],
+  },
+};
+
+describe("fetchWeather", () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  it("parses the current weather and the daily forecast", async () => {
+    vi.stubGlobal("fetch", async () => ({ ok: true, json: async () => forecast }));
+    const weather = await fetchWeather(1, 2);
+    expect(weather).toMatchObject({ temp: 21, code: 1, windSpeed: 10 });
+    expect(weather.daily).toEqual([
+      expect.objectContaining({ date: "2026-10-19", min: 12, max: 23, precipProbability: 10, code: 1 }),
+    ]);
+  });
+
+  it("never has more than two requests out at once, and spaces them out", async () => {
+    let open = 0;
+    let most = 0;
+    const starts = [];
+    vi.stubGlobal("fetch", async () => {
+      open++;
+      most = Math.max(most, open);
+      starts.push(Date.now());
+      await new Promise((resolve) => setTimeout(resolve, 400));
+      open--;
+      return { ok: true, json: async () => forecast };
+    });
+
+    const results = await Promise.all([1, 2, 3, 4, 5, 6].map((i) => fetchWeather(i, i)));
+    expect(results.every(Boolean)).toBe(true);
+    expect(most).toBe(2);
+    starts.slice(1).forEach((start, i) => expect(start - starts[i]).toBeGreaterThanOrEqual(240));
+  });
+
+  it("resolves to null when the request fails", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    vi.stubGlobal("fetch", async () => ({ ok: false, status: 429 }));
+    expect(await fetchWeather(1, 2)).toBeNull();
+    vi.restoreAllMocks();
+  });
+});
@@ -1,7 +1,42 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { readFileSync, readdirSync } from 'node:fs'
+import { createHash } from 'node:crypto'
+
+// Emits sw.js: the src/sw.js template with the list of built files (and the
+// public/ folder) prepended, so the service worker can precache the app shell.
+// The version changes whenever any of those files does.
+const precacheManifest = () => ({
+  name: 'precache-manifest',
+  apply: 'build',
+  enforce: 'post',
+  generateBundle(_, bundle) {
+    const publicFiles = readdirSync(new URL('./public', import.meta.url))
+    const files = ['./', ...new Set([...Object.keys(bundle), ...publicFiles])]
+      .filter((file) => !file.endsWith('.map') && file !== 'sw.js')
+    const hash = createHash('sha256')
+    files.forEach((file) => {
+      const item = bundle[file]
+      if (item) hash.update(item.type === 'chunk' ? item.code : item.source)
+      else if (file !== './') hash.update(readFileSync(new URL(`./public/${file}`, import.meta.url)))
+    })
+    const version = hash.digest('hex').slice(0, 12)
+    const template = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf8')
+    this.emitFile({
+      type: 'asset',
+      fileName: 'sw.js',
+      source: `const PRECACHE_FILES = ${JSON.stringify(files)};\nconst CACHE_VERSION = "${version}";\n\n${template}`,
+    })
+  },
+})
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  // GitHub Pages serves the app from /<repo-name>/
+  base: '/my-travel-bucket-list/',
+  plugins: [react(), precacheManifest()],
+  test: {
+    environment: 'jsdom',
+    setupFiles: './src/setupTests.js',
+  },
 })